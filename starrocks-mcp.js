@@ -29,17 +29,162 @@
 import 'dotenv/config';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js';
+import express from 'express';
 import mysql from 'mysql2/promise';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import os from 'node:os';
+import net from 'node:net';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
+import { format } from 'node:util';
 import { gunzipSync } from 'node:zlib';
 
+// MCP 日志级别（按严重程度从低到高）
+const MCP_LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// MCP 工具注解（提示客户端哪些工具可自动放行、哪些需要用户确认）
+const TOOL_ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+/**
+ * SecretRegistry - 敏感信息登记与脱敏
+ *
+ * 控制台输出、Logger 日志文件、报告文件和推送给客户端的日志共用同一个登记表（模块级实例 secrets）：
+ * - 按字段名识别敏感字段（password / token / secret / access_key 等），结构化数据中直接替换其值
+ * - 登记敏感字面值：启动时来自环境变量（SR_PASSWORD、CENTRAL_API_TOKEN 等）和 HTTP 客户端令牌，
+ *   运行时来自凭据来源（CredentialProvider），之后在任意文本中出现都会被替换
+ * - 工具参数中的敏感值（sudo_password、ssh_password 等）只登记到当前请求（useScope 提供的请求级登记表），
+ *   请求结束后随请求上下文释放，不会无限累积，也不会影响其他客户端的输出
+ * - 兜底识别常见的凭据写法：mysql -p'...'、--password=...、Authorization: Bearer ...、URL 中的 user:pass@
+ */
+class SecretRegistry {
+  static MASK = '***MASKED***';
+
+  static SENSITIVE_KEY = /passw(or)?d|token|secret|credential|api_?key|access_?key|private_?key/i;
+
+  // 字段名含敏感词但值只是路径（如 MCP_HTTP_TOKENS_FILE）
+  static PATH_KEY = /_(path|file|dir)$/i;
+
+  // 过短的字面值替换会误伤正常文本，只按字段名脱敏
+  static MIN_LENGTH = 4;
+
+  static PATTERNS = [
+    [/(\s-p)'[^']*'/g, `$1'${SecretRegistry.MASK}'`],
+    [/(--password[= ])\S+/gi, `$1${SecretRegistry.MASK}`],
+    [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/g, `$1${SecretRegistry.MASK}`],
+    [/(:\/\/[^/\s:@]+:)[^/\s@]+@/g, `$1${SecretRegistry.MASK}@`],
+  ];
+
+  constructor() {
+    this.values = new Set();
+    this.scope = () => null;
+  }
+
+  /**
+   * 设置请求级登记表的来源
+   * @param {Function} getter - 返回当前请求的 Set，不在请求中时返回 null
+   */
+  useScope(getter) {
+    this.scope = getter;
+  }
+
+  isSensitiveKey(key) {
+    return SecretRegistry.SENSITIVE_KEY.test(key) && !SecretRegistry.PATH_KEY.test(key);
+  }
+
+  /**
+   * 登记一个敏感字面值
+   * @param {Set} target - 登记表，默认为全局登记表
+   */
+  register(value, target = this.values) {
+    if (typeof value === 'string' && value.length >= SecretRegistry.MIN_LENGTH) {
+      target.add(value);
+    }
+  }
+
+  /**
+   * 登记对象中敏感字段的值（环境变量、工具参数等）
+   * 纯数字的值（如 MAX_OUTPUT_TOKENS=32000）只有密码字段才登记，避免把普通数字全部替换掉
+   */
+  registerFrom(obj, target = this.values) {
+    if (!obj || typeof obj !== 'object') return;
+    for (const [key, value] of Object.entries(obj)) {
+      if (this.isSensitiveKey(key)) {
+        if (/^\d+$/.test(value) && !/passw/i.test(key)) continue;
+        this.register(value, target);
+      } else if (value && typeof value === 'object') {
+        this.registerFrom(value, target);
+      }
+    }
+  }
+
+  /**
+   * 替换文本中的敏感信息
+   */
+  redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+    const scoped = this.scope();
+    const values = scoped?.size ? [...this.values, ...scoped] : [...this.values];
+    // 长的先替换，避免短值是长值的一部分时留下残片
+    for (const value of values.sort((a, b) => b.length - a.length)) {
+      if (result.includes(value)) result = result.split(value).join(SecretRegistry.MASK);
+    }
+    for (const [pattern, replacement] of SecretRegistry.PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  /**
+   * 结构化数据脱敏：敏感字段的值整体替换，其余字符串按 redact 处理（返回副本）
+   */
+  redactObject(data) {
+    if (typeof data === 'string') return this.redact(data);
+    if (!data || typeof data !== 'object') return data;
+
+    const redactValue = (value) => {
+      if (typeof value === 'string') return this.redact(value);
+      if (!value || typeof value !== 'object') return value;
+      if (Array.isArray(value)) return value.map(redactValue);
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.isSensitiveKey(key)
+          ? (item ? SecretRegistry.MASK : item)
+          : redactValue(item);
+      }
+      return result;
+    };
+    return redactValue(JSON.parse(JSON.stringify(data)));
+  }
+
+  /**
+   * 控制台输出统一脱敏（console.log / info / warn / error）
+   */
+  installConsole() {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      const original = console[method].bind(console);
+      console[method] = (...args) => original(this.redact(format(...args)));
+    }
+  }
+}
+
+const secrets = new SecretRegistry();
+
 /**
  * Logger - 日志记录工具类
  *
@@ -56,6 +201,7 @@ class Logger {
     this.currentDate = null;
     this.logStream = null;
     this.requestId = 0; // 请求计数器
+    this.context = () => ({}); // 附加到每条记录的上下文字段（如当前请求的集群），由使用方设置
 
     // 如果禁用日志，不初始化日志流
     if (!this.enabled) {
@@ -99,43 +245,10 @@ class Logger {
   }
 
   /**
-   * 脱敏敏感信息
+   * 脱敏敏感信息（敏感字段和已登记的敏感字面值，见 SecretRegistry）
    */
   sanitize(data) {
-    if (!data || typeof data !== 'object') {
-      return data;
-    }
-
-    const sanitized = JSON.parse(JSON.stringify(data));
-    const sensitiveKeys = [
-      'password',
-      'token',
-      'apiToken',
-      'api_token',
-      'secret',
-      'ssh_password',
-      'SR_PASSWORD',
-      'CENTRAL_API_TOKEN',
-    ];
-
-    const maskValue = (obj) => {
-      if (!obj || typeof obj !== 'object') return;
-
-      for (const key in obj) {
-        if (
-          sensitiveKeys.some((sk) =>
-            key.toLowerCase().includes(sk.toLowerCase()),
-          )
-        ) {
-          obj[key] = obj[key] ? '***MASKED***' : '';
-        } else if (typeof obj[key] === 'object') {
-          maskValue(obj[key]);
-        }
-      }
-    };
-
-    maskValue(sanitized);
-    return sanitized;
+    return secrets.redactObject(data);
   }
 
   /**
@@ -235,10 +348,9 @@ class Logger {
   }
 
   /**
-   * 写入日志
-   * @param {boolean} skipSanitize - 是否跳过敏感信息脱敏（默认 false）
+   * 写入日志（所有字段都经过脱敏）
    */
-  write(level, type, message, data = {}, skipSanitize = false) {
+  write(level, type, message, data = {}) {
     // 如果日志被禁用，直接返回
     if (!this.enabled) {
       return;
@@ -251,7 +363,7 @@ class Logger {
       level,
       type,
       message,
-      ...(skipSanitize ? data : this.sanitize(data)),
+      ...this.sanitize({ ...this.context(), ...data }),
     };
 
     this.logStream.write(JSON.stringify(logEntry) + '\n');
@@ -260,10 +372,11 @@ class Logger {
   /**
    * 记录客户端请求（MCP 请求）
    */
-  logClientRequest(requestId, toolName, args) {
+  logClientRequest(requestId, toolName, args, clientId = null) {
     this.write('INFO', 'CLIENT_REQUEST', 'Received request from client', {
       requestId,
       toolName,
+      clientId,
       args: this.sanitize(args),
     });
   }
@@ -330,7 +443,8 @@ class Logger {
 
   /**
    * 生成 MySQL 命令行字符串（用于调试和复现）
-   * @param {Object} dbConfig - 数据库配置
+   * 密码不写进命令，通过 --defaults-extra-file 引用 mysql 客户端配置文件（见 ThinMCPServer.ensureMysqlDefaultsFile）
+   * @param {Object} dbConfig - 数据库配置（defaultsFile 为配置文件路径）
    * @param {string} sql - SQL 语句
    * @returns {string} MySQL 命令字符串
    */
@@ -341,6 +455,11 @@ class Logger {
 
     const parts = ['mysql'];
 
+    // --defaults-extra-file 必须是第一个选项
+    if (dbConfig.password && dbConfig.defaultsFile) {
+      parts.push(`--defaults-extra-file=${dbConfig.defaultsFile}`);
+    }
+
     // 添加连接参数
     if (dbConfig.host) {
       parts.push(`-h${dbConfig.host}`);
@@ -351,10 +470,6 @@ class Logger {
     if (dbConfig.user) {
       parts.push(`-u${dbConfig.user}`);
     }
-    if (dbConfig.password) {
-      // 完整打印密码（不脱敏），方便直接复制命令执行
-      parts.push(`-p'${dbConfig.password}'`);
-    }
 
     // 添加 SQL 语句（如果提供）
     if (sql) {
@@ -396,12 +511,11 @@ class Logger {
         host: dbConfig.host,
         port: dbConfig.port,
         user: dbConfig.user,
-        password: dbConfig.password, // 完整打印密码（不脱敏）
+        defaultsFile: dbConfig.password ? dbConfig.defaultsFile : undefined,
       };
     }
 
-    // 跳过脱敏，完整记录数据库连接信息
-    this.write('INFO', 'DB_QUERY', 'Executing database query', logData, true);
+    this.write('INFO', 'DB_QUERY', 'Executing database query', logData);
   }
 
   /**
@@ -465,6 +579,18 @@ class Logger {
     });
   }
 
+  /**
+   * 记录客户端取消请求
+   */
+  logCancellation(requestId, toolName, phase, reason) {
+    this.write('WARN', 'CANCELLED', 'Request cancelled by client', {
+      requestId,
+      toolName,
+      phase,
+      reason,
+    });
+  }
+
   /**
    * 记录 SSH 命令执行
    */
@@ -480,8 +606,7 @@ class Logger {
         remoteCommand: remoteCmd,
         fullSshCommand: fullCmd,
       },
-      true,
-    ); // skipSanitize=true 保留完整命令
+    );
   }
 
   /**
@@ -513,7 +638,6 @@ class Logger {
         error: error || null,
         durationMs: duration,
       },
-      true,
     );
   }
 
@@ -530,8 +654,7 @@ class Logger {
         command: command.substring(0, 500), // 限制命令长度
         ...metadata,
       },
-      true,
-    ); // skipSanitize=true 保留完整命令
+    );
   }
 
   /**
@@ -553,12 +676,11 @@ class Logger {
         durationMs: duration,
         ...metadata,
       },
-      true,
     );
   }
 
   /**
-   * 记录环境变量
+   * 记录环境变量（敏感变量的值已脱敏）
    */
   logEnvironmentVariables() {
     const envVars = {};
@@ -567,16 +689,9 @@ class Logger {
       envVars[key] = process.env[key];
     });
 
-    // 跳过脱敏，完整记录所有环境变量
-    this.write(
-      'INFO',
-      'STARTUP',
-      'Environment variables at startup',
-      {
-        environmentVariables: envVars,
-      },
-      true,
-    );
+    this.write('INFO', 'STARTUP', 'Environment variables at startup', {
+      environmentVariables: envVars,
+    });
   }
 
   /**
@@ -589,279 +704,3306 @@ class Logger {
   }
 }
 
-class ThinMCPServer {
-  constructor() {
-    // 初始化 Logger
-    const scriptDir = path.dirname(new URL(import.meta.url).pathname);
-    const logDir = path.join(scriptDir, 'logs');
-
-    // 从环境变量读取日志配置（默认启用）
-    const loggingEnabled = process.env.ENABLE_LOGGING !== 'false';
-    this.logger = new Logger(logDir, loggingEnabled);
-
-    // 中心 API 配置
-    this.centralAPI = process.env.CENTRAL_API || 'http://localhost:80';
-    this.apiToken = process.env.CENTRAL_API_TOKEN || '';
-
-    // 本地数据库配置
-    this.dbConfig = {
-      host: process.env.SR_HOST || 'localhost',
-      user: process.env.SR_USER || 'root',
-      password: process.env.SR_PASSWORD || '',
-      port: parseInt(process.env.SR_PORT) || 9030,
-    };
-
-    // SSH 跳板机配置（用于数据库隧道和远程 SSH 命令）
-    // 默认为空，仅当设置了 SSH_JUMP_HOST 环境变量时才启用跳板机作为降级方案
-    this.sshJumpHost = process.env.SSH_JUMP_HOST || '';
-    this.sshUser = process.env.SSH_USER || os.userInfo().username;
-    this.sshKeyPath = process.env.SSH_KEY_PATH || '';
-    this.sshTunnelProcess = null; // SSH 隧道进程
-    this.dbTunnelLocalPort = 19030; // 隧道本地端口
-    // 保存原始数据库地址（隧道建立后 dbConfig 会被改为 127.0.0.1:localPort）
-    this.originalDbHost = this.dbConfig.host;
-    this.originalDbPort = this.dbConfig.port;
-
-    // 连接模式状态（直连优先，跳板机降级）
-    this._dbConnectionMode = null;   // 'direct' | 'tunnel' | null (未探测)
-    this._sshNodeModes = {};         // { nodeIp: 'direct' | 'tunnel' } 逐节点 SSH 模式
-
-    // Prometheus 配置
-    this.prometheusConfig = {
-      protocol: process.env.PROMETHEUS_PROTOCOL || 'http',
-      host: process.env.PROMETHEUS_HOST || 'localhost',
-      port: parseInt(process.env.PROMETHEUS_PORT) || 9090,
-    };
+/**
+ * AuditJournal - 审计日志（只追加、哈希链）
+ *
+ * 与 Logger 的调试日志分开，只记录实际执行的操作：SQL 语句、SSH 命令、CLI 命令和本地文件读取。
+ * 每行一条 JSON，字段顺序固定：
+ * { "seq": 1, "ts": "...", "kind": "sql|ssh|cli|file_read", "request_id": "...", "tool": "...", "client": "...",
+ *   "host": "...", "command": "...", "outcome": "success|error|blocked", "detail": "...",
+ *   "prev": "<上一条的 hash>", "hash": "<sha256(本条除 hash 外的 JSON)>" }
+ * 首条的 prev 为 64 个 0。每次追加后把最后一条的 seq / hash 写入 <file>.head，校验时据此发现尾部截断。
+ * 哈希链不带密钥（普通 SHA-256）：能发现误删、截断和未重算哈希的修改，但能写日志文件的人可以重算整条链和 head，
+ * 需要防篡改时应把日志或 head 及时同步到本机之外。
+ *
+ * 多个进程可以共用同一个文件：追加时持有 <file>.lock（O_EXCL 创建的锁文件），文件在上次写入后有变化时
+ * 重新读取最后一条记录，seq 和 prev 始终接在文件实际的最后一条之后。
+ * 等锁是异步的（不阻塞事件循环），同一进程的记录按 append 调用顺序排队写入；持锁期间只做一次读尾和追加。
+ * 最后一行损坏（写入中途崩溃）时不会从头开始新链：损坏的文件改名为 <file>.corrupt-<时间>，
+ * 新文件的首条为 kind=segment 的记录，previous_segment / previous_hash 指向旧文件及其中最后一条完整记录的 hash。
+ * 文件最后一条落后于 head（或本进程上次写入的记录）时——被截断、删除或替换——下一条之前先写入 kind=segment 的记录，
+ * missing_from / missing_to 给出缺失的 seq 范围，previous_hash 为缺失的最后一条的 hash，之后的追加不会掩盖这次缺失。
+ *
+ * 校验：node starrocks-mcp.js --verify-audit [file]
+ */
+class AuditJournal {
+  static GENESIS = '0'.repeat(64);
+  // 读取最后一条记录时最多读取的文件末尾范围
+  static TAIL_BYTES = 4 * 1024 * 1024;
+  // 等待其他进程释放锁的时间；超过 STALE_LOCK_MS 未释放的锁视为进程崩溃遗留
+  static LOCK_TIMEOUT_MS = 5000;
+  static STALE_LOCK_MS = 30000;
+
+  static defaultFile() {
+    return process.env.AUDIT_LOG_FILE ||
+      path.join(path.dirname(new URL(import.meta.url).pathname), 'logs', 'audit.jsonl');
+  }
 
-    // 工具缓存（避免重复请求 API）
-    this.toolsCache = null;
-    this.cacheTime = null;
-    this.cacheTTL = 3600000; // 1小时缓存
+  static hash(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+  }
 
-    // 会话存储（用于分步执行时保存中间结果）
-    this.sessionStorage = new Map();
-    this.sessionTTL = 3600000; // 会话数据保留1小时
+  constructor(file, enabled = true) {
+    this.file = file;
+    this.headFile = `${file}.head`;
+    this.lockFile = `${file}.lock`;
+    this.enabled = enabled;
+    this.seq = 0;
+    this.lastHash = AuditJournal.GENESIS;
+    this.written = null; // 本进程上次写入后的文件 { ino, size }，不一致时重新读取最后一条
+    this.pending = Promise.resolve(); // 本进程待写入的记录按顺序排队
+    if (!enabled) return;
 
-    console.error('🤖 Thin MCP Server initialized');
-    console.error(`   Central API: ${this.centralAPI}`);
-    console.error(`   Database: ${this.dbConfig.host}:${this.dbConfig.port}`);
-    if (this.sshJumpHost) {
-      console.error(`   SSH Jump Host: ${this.sshJumpHost}`);
-    }
-    console.error(
-      `   Prometheus: ${this.prometheusConfig.protocol}://${this.prometheusConfig.host}:${this.prometheusConfig.port}`,
-    );
-    console.error(`   Logging: ${loggingEnabled ? 'enabled' : 'disabled'}`);
-    if (loggingEnabled) {
-      console.error(`   Log directory: ${logDir}`);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const last = AuditJournal.readLastEntry(file);
+      const head = AuditJournal.readHead(this.headFile);
+      if (head && (head.seq !== (last?.seq || 0) || head.hash !== (last?.hash || AuditJournal.GENESIS))) {
+        console.error(`⚠️  审计日志 ${file} 与 head 记录不一致（可能被截断或修改），下次写入时记录缺失范围，请运行 --verify-audit 检查`);
+      }
+    } catch (error) {
+      console.error(`⚠️  审计日志 ${file} 最后一条记录损坏，下次写入时开始新的日志段: ${error.message}`);
     }
+  }
 
-    // 打印所有环境变量到 console 和日志文件
-    console.error('\n📋 Environment Variables:');
-    const envVars = Object.keys(process.env).sort();
-    envVars.forEach((key) => {
-      console.error(`   ${key}=${process.env[key]}`);
-    });
-
-    // 记录环境变量到日志文件
-    if (loggingEnabled) {
-      this.logger.logEnvironmentVariables();
+  /**
+   * 读取文件最后一条记录；文件不存在或为空时返回 null，最后一行不完整或不是合法记录时抛出错误
+   */
+  static readLastEntry(file) {
+    if (!fs.existsSync(file)) return null;
+    const size = fs.statSync(file).size;
+    if (size === 0) return null;
+
+    const length = Math.min(size, AuditJournal.TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
     }
-
-    // ========== 重构说明 ==========
-    // 所有工具都通过 Central API 编排（Solution C 模式）
-    // MCP Server 只负责执行原子操作：
-    // - 执行 SQL（executeQueries）
-    // - 读取本地文件（handleReadFileLocally）
-    // - SSH 执行命令（executeSshCommands）
-    // - 查询 Prometheus（queryPrometheusRange）
-    //
-    // Central API 通过以下指令编排：
-    // - requires_sql_execution / next_queries → 执行 SQL
-    // - requires_tool_call: read_file → 读取文件
-    // - requires_ssh_execution → SSH 命令
-    // - requires_prometheus_query → Prometheus 查询
-    //
-    // 不再有 localTools 概念，所有工具都走 handleSolutionCTool
+    const text = buffer.toString('utf-8');
+    if (!text.endsWith('\n')) throw new Error('最后一行不完整（缺少换行）');
+    const lines = text.split('\n').filter((line) => line.trim());
+    const entry = JSON.parse(lines[lines.length - 1]);
+    if (!Number.isInteger(entry?.seq) || typeof entry.hash !== 'string') throw new Error('最后一行不是审计记录');
+    return entry;
   }
 
   /**
-   * 建立 SSH 隧道到数据库（通过跳板机中转）
-   * 将远程数据库端口映射到本地 dbTunnelLocalPort
+   * 从后往前查找最后一条完整记录的 hash（开始新日志段时关联旧文件）
    */
-  async ensureDbTunnel() {
-    // 如果没有跳板机或已经建立隧道，直接返回
-    if (!this.sshJumpHost || this.sshTunnelProcess) {
-      return;
+  static findLastValidHash(file) {
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (typeof entry?.hash === 'string') return entry.hash;
+      } catch {
+        // 继续向前查找
+      }
     }
+    return null;
+  }
 
-    // 使用原始数据库地址（dbConfig 可能已被改为 127.0.0.1:localPort）
-    const dbHost = this.originalDbHost || this.dbConfig.host;
-    const dbPort = this.originalDbPort || this.dbConfig.port;
-    const localPort = this.dbTunnelLocalPort;
-    const jumpSpec = this.sshJumpHost.includes('@')
-      ? this.sshJumpHost
-      : `${this.sshUser}@${this.sshJumpHost}`;
-    const keyOpt = this.sshKeyPath ? ['-i', this.sshKeyPath] : [];
+  static readHead(headFile) {
+    if (!fs.existsSync(headFile)) return null;
+    return JSON.parse(fs.readFileSync(headFile, 'utf-8'));
+  }
 
-    console.error(`   🔗 建立 SSH 隧道: 127.0.0.1:${localPort} → ${dbHost}:${dbPort} (via ${this.sshJumpHost})`);
+  /**
+   * 获取跨进程的写入锁（异步等待其他进程释放）
+   * @returns {Promise<number>} 锁文件的 fd，交给 unlock 释放
+   */
+  async lock() {
+    const deadline = Date.now() + AuditJournal.LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const fd = fs.openSync(this.lockFile, 'wx', 0o600);
+        fs.writeSync(fd, `${process.pid}\n`);
+        return fd;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(this.lockFile).mtimeMs > AuditJournal.STALE_LOCK_MS) {
+          console.error(`⚠️  审计日志锁 ${this.lockFile} 超过 ${AuditJournal.STALE_LOCK_MS / 1000}s 未释放，视为遗留锁并删除`);
+          fs.rmSync(this.lockFile, { force: true });
+          continue;
+        }
+      } catch {
+        // 锁刚被释放，直接重试
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`等待审计日志锁 ${this.lockFile} 超时`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
 
-    return new Promise((resolve) => {
-      const args = [
-        '-o', 'StrictHostKeyChecking=no',
-        '-o', 'ConnectTimeout=10',
-        '-o', 'ServerAliveInterval=30',
-        '-o', 'ServerAliveCountMax=3',
-        '-N', // 不执行远程命令
-        '-L', `${localPort}:${dbHost}:${dbPort}`,
-        ...keyOpt,
-        jumpSpec,
-      ];
+  unlock(fd) {
+    fs.closeSync(fd);
+    fs.rmSync(this.lockFile, { force: true });
+  }
 
-      const tunnel = spawn('ssh', args, {
-        stdio: ['ignore', 'ignore', 'pipe'],
-        detached: false,
-      });
+  /**
+   * 在锁内确定下一条记录接在哪条之后：文件在本进程上次写入后有变化（其他进程写入、截断、替换）时重新读取最后一条；
+   * 最后一行损坏时开始新的日志段，最后一条落后于 head 或本进程上次写入的记录时先记录缺失范围
+   */
+  syncTail() {
+    const stat = fs.existsSync(this.file) ? fs.statSync(this.file) : null;
+    if (stat && this.written && stat.ino === this.written.ino && stat.size === this.written.size) return;
 
-      this.sshTunnelProcess = tunnel;
+    // 应有的最后一条：head 与本进程上次写入的记录中较新的一条
+    let expected = this.written ? { seq: this.seq, hash: this.lastHash } : null;
+    try {
+      const head = AuditJournal.readHead(this.headFile);
+      if (head && (!expected || head.seq > expected.seq)) expected = head;
+    } catch {
+      // head 损坏时只按本进程的记录判断
+    }
 
-      tunnel.stderr.on('data', (data) => {
-        const msg = data.toString().trim();
-        if (msg) console.error(`   [SSH-Tunnel] ${msg}`);
+    let last;
+    try {
+      last = AuditJournal.readLastEntry(this.file);
+    } catch (error) {
+      this.startSegment(error.message);
+      return;
+    }
+    this.seq = last?.seq || 0;
+    this.lastHash = last?.hash || AuditJournal.GENESIS;
+
+    if (expected && (this.seq < expected.seq || (this.seq === expected.seq && this.lastHash !== expected.hash))) {
+      const reason = !stat ? '文件被删除' :
+        (this.written && stat.ino !== this.written.ino ? '文件被替换' : '文件被截断或修改');
+      const from = this.seq < expected.seq ? this.seq + 1 : expected.seq;
+      const detail = from === expected.seq ? `seq ${from} 的记录缺失或与 head 不符（${reason}）` : `seq ${from}-${expected.seq} 的记录缺失（${reason}）`;
+      console.error(`⚠️  审计日志 ${this.file} ${detail}，已写入缺失记录`);
+      this.write({
+        kind: 'segment',
+        detail,
+        missing_from: from,
+        missing_to: expected.seq,
+        previous_hash: expected.hash,
       });
+    }
+  }
 
-      tunnel.on('close', (code) => {
-        console.error(`   [SSH-Tunnel] 隧道关闭 (code=${code})`);
-        this.sshTunnelProcess = null;
-      });
+  /**
+   * 最后一行损坏：旧文件改名保留，新文件以 segment 记录开头，记录与旧文件的关联
+   */
+  startSegment(reason) {
+    const broken = `${this.file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const previousHash = AuditJournal.findLastValidHash(this.file);
+    fs.renameSync(this.file, broken);
+    console.error(`⚠️  审计日志 ${this.file} 最后一条记录损坏，已移至 ${broken}，开始新的日志段: ${reason}`);
+
+    this.seq = 0;
+    this.lastHash = AuditJournal.GENESIS;
+    this.write({
+      kind: 'segment',
+      detail: `上一段日志最后一条记录损坏: ${reason}`,
+      previous_segment: path.basename(broken),
+      previous_hash: previousHash,
+    });
+  }
 
-      // 等待隧道建立（给 SSH 一点时间建连）
-      setTimeout(() => {
-        if (tunnel.exitCode === null) {
-          // 隧道进程还在运行，修改 dbConfig 指向本地隧道端口
-          this.dbConfig.host = '127.0.0.1';
-          this.dbConfig.port = localPort;
-          console.error(`   ✅ SSH 隧道已建立, 数据库连接切换到 127.0.0.1:${localPort}`);
-        }
-        resolve();
-      }, 2000);
+  /**
+   * 追加一条记录：按调用顺序排队，ts 取调用时间，等到锁后写入
+   * @param {Object} fields - { kind, request_id, tool, client, host, command, outcome, detail }
+   * @returns {Promise<void>} 写入完成（失败只输出警告，不会 reject）
+   */
+  append(fields) {
+    if (!this.enabled) return this.pending;
+    const ts = new Date().toISOString();
+    this.pending = this.pending.then(async () => {
+      let fd = null;
+      try {
+        fd = await this.lock();
+        this.syncTail();
+        this.write({ ts, ...fields });
+      } catch (error) {
+        console.error(`⚠️  审计日志 ${this.file} 写入失败: ${error.message}`);
+      } finally {
+        if (fd !== null) this.unlock(fd);
+      }
     });
+    return this.pending;
   }
 
   /**
-   * 初始化数据库连接（启动时调用）
-   * 不再主动建隧道，改为首次 getDbConnection() 时惰性探测（直连优先）
+   * 等待已排队的记录写完（进程退出前调用）
    */
-  initDbConnection() {
-    if (this.sshJumpHost) {
-      console.error(`   SSH Jump Host 已配置: ${this.sshJumpHost} (将在直连失败时作为降级方案)`);
-    }
+  flush() {
+    return this.pending;
   }
 
   /**
-   * 获取数据库连接（直连优先，跳板机降级）
-   * - 首次调用时探测：先尝试直连，失败则通过跳板机建隧道
-   * - 探测结果缓存，后续调用直接使用已确定的模式
-   * - 连接失败时重置缓存，允许重新探测
+   * 写入一条记录并更新 head（调用方持有锁）
    */
-  async getDbConnection() {
-    // === 已确定为直连模式 ===
-    if (this._dbConnectionMode === 'direct') {
-      try {
-        return await mysql.createConnection({
-          host: this.originalDbHost,
-          port: this.originalDbPort,
-          user: this.dbConfig.user,
-          password: this.dbConfig.password,
-          connectTimeout: 10000,
-        });
-      } catch (err) {
-        console.error(`   ⚠️ 数据库直连失败，重置连接模式: ${err.message}`);
-        this._dbConnectionMode = null;
-        // 递归重新探测
-        return await this.getDbConnection();
-      }
+  write(fields) {
+    const entry = { seq: this.seq + 1, ts: new Date().toISOString(), ...fields, prev: this.lastHash };
+    entry.hash = AuditJournal.hash(entry);
+    fs.appendFileSync(this.file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    fs.writeFileSync(this.headFile, JSON.stringify({ seq: entry.seq, hash: entry.hash, ts: entry.ts }) + '\n', { mode: 0o600 });
+    const stat = fs.statSync(this.file);
+    this.written = { ino: stat.ino, size: stat.size };
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
+  }
+
+  /**
+   * 校验哈希链和 head 记录：发现修改、删除、重排和尾部截断
+   * @returns {{ ok: boolean, entries: number, lastHash: string, errors: string[], warnings: string[] }}
+   */
+  static verify(file) {
+    const errors = [];
+    const warnings = [];
+    if (!fs.existsSync(file)) {
+      return { ok: false, entries: 0, lastHash: null, errors: [`审计日志 ${file} 不存在`], warnings };
     }
 
-    // === 已确定为隧道模式 ===
-    if (this._dbConnectionMode === 'tunnel') {
-      // 检查隧道活性，死了重建
-      if (!this.sshTunnelProcess) {
-        console.error('   🔗 SSH 隧道已断开，重新建立...');
-        await this.ensureDbTunnel();
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+    if (lines[lines.length - 1] !== '') {
+      errors.push('最后一行不完整（缺少换行），文件可能被截断');
+    }
+
+    let prev = AuditJournal.GENESIS;
+    let seq = 0;
+    let entries = 0;
+    lines.forEach((line, index) => {
+      if (!line) {
+        if (index < lines.length - 1) errors.push(`第 ${index + 1} 行为空行`);
+        return;
       }
+      let entry;
       try {
-        return await mysql.createConnection({
-          host: '127.0.0.1',
-          port: this.dbTunnelLocalPort,
-          user: this.dbConfig.user,
-          password: this.dbConfig.password,
-          connectTimeout: 10000,
-        });
-      } catch (err) {
-        console.error(`   ⚠️ 隧道连接失败，重置连接模式: ${err.message}`);
-        this._dbConnectionMode = null;
-        this.sshTunnelProcess = null;
-        return await this.getDbConnection();
+        entry = JSON.parse(line);
+      } catch {
+        errors.push(`第 ${index + 1} 行不是合法的 JSON（记录被修改或截断）`);
+        return;
       }
-    }
+      const { hash, ...rest } = entry;
+      if (entry.seq !== seq + 1) {
+        errors.push(`第 ${index + 1} 行 seq=${entry.seq}，应为 ${seq + 1}（记录被删除、插入或重排）`);
+      }
+      if (entry.prev !== prev) {
+        errors.push(`第 ${index + 1} 行的 prev 与上一条的 hash 不符（之前的记录被修改或删除）`);
+      }
+      if (AuditJournal.hash(rest) !== hash) {
+        errors.push(`第 ${index + 1} 行的 hash 与内容不符（记录被修改）`);
+      }
+      if (entry.kind === 'segment' && entry.missing_to) {
+        errors.push(`第 ${index + 1} 行记录了之前的缺失：${entry.detail}`);
+      } else if (entry.kind === 'segment') {
+        warnings.push(`第 ${index + 1} 行开始新的日志段，接续 ${entry.previous_segment}（其最后一条完整记录 hash ${entry.previous_hash}）`);
+      }
+      prev = hash;
+      seq = entry.seq;
+      entries++;
+    });
 
-    // === 首次：探测连接模式 ===
-    // 1. 尝试直连
     try {
-      console.error(`   🔍 尝试直连数据库 ${this.originalDbHost}:${this.originalDbPort}...`);
-      const conn = await mysql.createConnection({
-        host: this.originalDbHost,
-        port: this.originalDbPort,
-        user: this.dbConfig.user,
-        password: this.dbConfig.password,
-        connectTimeout: 5000,
-      });
-      await conn.execute('SELECT 1');
-      this._dbConnectionMode = 'direct';
-      // 确保 dbConfig 指向原始地址（以前可能被隧道改过）
-      this.dbConfig.host = this.originalDbHost;
-      this.dbConfig.port = this.originalDbPort;
-      console.error(`   ✅ 数据库直连成功`);
-      return conn;
-    } catch (directErr) {
-      console.error(`   ⚠️ 数据库直连失败: ${directErr.message}`);
+      const head = AuditJournal.readHead(`${file}.head`);
+      if (!head) {
+        warnings.push(`缺少 ${file}.head，无法检查尾部截断`);
+      } else if (head.seq !== seq || head.hash !== prev) {
+        errors.push(`head 记录最后一条为 seq=${head.seq}，日志中最后一条为 seq=${seq}（尾部被截断或记录被修改）`);
+      }
+    } catch (error) {
+      errors.push(`${file}.head 无法解析: ${error.message}`);
     }
 
-    // 2. 直连失败，尝试隧道降级
-    if (this.sshJumpHost) {
-      try {
-        console.error(`   🔗 降级到 SSH 隧道模式 (via ${this.sshJumpHost})...`);
-        await this.ensureDbTunnel();
-        const conn = await mysql.createConnection({
-          host: '127.0.0.1',
-          port: this.dbTunnelLocalPort,
-          user: this.dbConfig.user,
-          password: this.dbConfig.password,
-          connectTimeout: 10000,
+    return { ok: errors.length === 0, entries, lastHash: prev, errors, warnings };
+  }
+}
+
+/**
+ * SqlPolicy - SQL 只读策略
+ *
+ * Central API 下发的 SQL 使用本地数据库凭据执行，执行前逐条分类：
+ * - 只读：SELECT / WITH、SHOW、DESC(RIBE)、EXPLAIN、ADMIN SHOW
+ * - 修改：DML（INSERT/UPDATE/DELETE...）、DDL（CREATE/DROP/ALTER...）、ADMIN SET 等其他语句
+ * 默认拒绝修改类语句，可通过策略文件配置允许的语句前缀，并按工具覆盖
+ *
+ * 策略文件（SQL_POLICY_FILE）格式：
+ * {
+ *   "read_only": true,
+ *   "allow": ["ANALYZE TABLE"],
+ *   "tools": { "<tool>": { "allow": ["ADMIN SET FRONTEND CONFIG"] }, "<trusted_tool>": { "read_only": false } }
+ * }
+ */
+class SqlPolicy {
+  constructor(policyFile = '') {
+    this.policyFile = policyFile;
+    this.policy = { read_only: true, allow: [], tools: {} };
+
+    if (!policyFile) return;
+    try {
+      const loaded = JSON.parse(fs.readFileSync(policyFile, 'utf-8'));
+      this.policy = {
+        read_only: loaded.read_only !== false,
+        allow: Array.isArray(loaded.allow) ? loaded.allow : [],
+        tools: loaded.tools && typeof loaded.tools === 'object' ? loaded.tools : {},
+      };
+    } catch (error) {
+      // 策略文件有误时保持默认的严格只读，不因配置错误放开写操作
+      console.error(`⚠️  SQL 策略文件 ${policyFile} 加载失败，使用默认只读策略: ${error.message}`);
+    }
+  }
+
+  /**
+   * 拆分多条语句，去掉注释并将字符串字面量替换为空串（避免字符串中的关键字被误判）
+   * @returns {string[]} 规整后的语句（大写、空白合并）
+   */
+  static normalizeStatements(sql) {
+    const statements = [];
+    let current = '';
+    let i = 0;
+
+    while (i < sql.length) {
+      const ch = sql[i];
+      const next = sql[i + 1];
+
+      if ((ch === '-' && next === '-') || ch === '#') {
+        // 单行注释
+        while (i < sql.length && sql[i] !== '\n') i++;
+        current += ' ';
+      } else if (ch === '/' && next === '*') {
+        // 块注释（含 /*+ hint */）
+        const end = sql.indexOf('*/', i + 2);
+        i = end === -1 ? sql.length : end + 2;
+        current += ' ';
+      } else if (ch === '\'' || ch === '"' || ch === '`') {
+        // 字符串 / 标识符，支持反斜杠转义和重复引号转义
+        let j = i + 1;
+        while (j < sql.length) {
+          if (sql[j] === '\\' && ch !== '`') {
+            j += 2;
+          } else if (sql[j] === ch) {
+            if (sql[j + 1] === ch) {
+              j += 2;
+            } else {
+              break;
+            }
+          } else {
+            j++;
+          }
+        }
+        current += ch === '`' ? sql.substring(i, j + 1) : `${ch}${ch}`;
+        i = j + 1;
+      } else if (ch === ';') {
+        statements.push(current);
+        current = '';
+        i++;
+      } else {
+        current += ch;
+        i++;
+      }
+    }
+    statements.push(current);
+
+    return statements
+      .map((stmt) => stmt.replace(/\s+/g, ' ').trim().replace(/^\(+\s*/, '').toUpperCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * 对单条规整后的语句分类
+   * @returns {Object} { readOnly, type, category } category: read | dml | ddl | admin | other
+   */
+  static classifyStatement(stmt) {
+    const words = stmt.split(/[\s(]+/);
+    const first = words[0];
+
+    if (first === 'SELECT' || first === 'WITH') {
+      if (/\bINTO\s+OUTFILE\b/.test(stmt)) {
+        return { readOnly: false, type: 'SELECT INTO OUTFILE', category: 'dml' };
+      }
+      // WITH ... INSERT / CTE 后接修改语句
+      const dml = first === 'WITH' && stmt.match(/\b(INSERT|UPDATE|DELETE)\b/);
+      if (dml) return { readOnly: false, type: `WITH ... ${dml[1]}`, category: 'dml' };
+      return { readOnly: true, type: first, category: 'read' };
+    }
+    if (first === 'SHOW' || first === 'DESC' || first === 'DESCRIBE') {
+      return { readOnly: true, type: first, category: 'read' };
+    }
+    if (first === 'EXPLAIN') {
+      // EXPLAIN ANALYZE 会真正执行语句，按被分析的语句分类
+      const analyzed = stmt.match(/^EXPLAIN\s+ANALYZE\s+(.*)$/);
+      return analyzed ? SqlPolicy.classifyStatement(analyzed[1]) : { readOnly: true, type: 'EXPLAIN', category: 'read' };
+    }
+    if (first === 'ADMIN') {
+      const type = `ADMIN ${words[1] || ''}`.trim();
+      return { readOnly: words[1] === 'SHOW', type, category: words[1] === 'SHOW' ? 'read' : 'admin' };
+    }
+
+    const dmlKeywords = ['INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'LOAD', 'MERGE', 'EXPORT'];
+    const ddlKeywords = ['CREATE', 'DROP', 'ALTER', 'TRUNCATE', 'RENAME', 'RECOVER', 'GRANT', 'REVOKE', 'REFRESH'];
+    const category = dmlKeywords.includes(first) ? 'dml' : ddlKeywords.includes(first) ? 'ddl' : 'other';
+    return { readOnly: false, type: first, category };
+  }
+
+  /**
+   * 检查 SQL 是否允许执行
+   * @param {string} sql - 待执行的 SQL（可能包含多条语句）
+   * @param {string} toolName - 发起执行的工具，用于按工具覆盖策略
+   * @returns {Object} { allowed, reason, statements: [{ readOnly, type, category }] }
+   */
+  check(sql, toolName = null) {
+    const toolPolicy = (toolName && this.policy.tools[toolName]) || {};
+    const readOnly = toolPolicy.read_only !== undefined ? toolPolicy.read_only !== false : this.policy.read_only;
+    const allow = [...this.policy.allow, ...(Array.isArray(toolPolicy.allow) ? toolPolicy.allow : [])]
+      .map((prefix) => String(prefix).replace(/\s+/g, ' ').trim().toUpperCase())
+      .filter(Boolean);
+
+    const normalized = SqlPolicy.normalizeStatements(sql || '');
+    const statements = normalized.map((stmt) => SqlPolicy.classifyStatement(stmt));
+
+    if (!readOnly) return { allowed: true, reason: null, statements };
+
+    for (let i = 0; i < normalized.length; i++) {
+      const classified = statements[i];
+      if (classified.readOnly) continue;
+      if (allow.some((prefix) => normalized[i].startsWith(prefix))) continue;
+
+      const categoryName = { dml: 'DML', ddl: 'DDL', admin: '管理', other: '非只读' }[classified.category];
+      return {
+        allowed: false,
+        reason: `${categoryName}语句 ${classified.type} 不在只读白名单中${toolName ? `（工具 ${toolName}）` : ''}`,
+        statements,
+      };
+    }
+
+    return { allowed: true, reason: null, statements };
+  }
+}
+
+/**
+ * ResultMasker - SQL 结果脱敏
+ *
+ * 查询结果（SHOW PROFILELIST 的语句、导入任务的错误信息、SHOW CREATE TABLE 等）上传 Central API 前按规则脱敏，
+ * 作用于 executeQueries 的每条 SQL 结果，以及 fetchQueryProfiles（query_id 为 query_profile）
+ * 和 fetchTableSchemas（query_id 为 table_schema）。
+ *
+ * 规则文件（RESULT_MASKING_FILE）格式：
+ * {
+ *   "hash_salt": "<随机串>",
+ *   "rules": [
+ *     { "name": "sql_literals", "columns": ["Statement", "statement"], "action": "scrub_literals" },
+ *     { "name": "users", "query_ids": ["load_jobs"], "columns": ["User"], "action": "hash" },
+ *     { "name": "ips", "column_pattern": "(^|_)(ip|host)$", "action": "truncate_ip" },
+ *     { "name": "phones", "pattern": "1[3-9]\\d{9}", "action": "redact", "replacement": "<phone>" }
+ *   ]
+ * }
+ * query_ids / columns / column_pattern 限定作用范围（省略表示全部，列名不区分大小写）；
+ * 配置了 pattern 时只处理值中匹配的部分，否则处理整个值。
+ * action：scrub_literals（SQL 中的字符串和数字字面量替换为 ?）、hash（加盐 SHA-256 前 12 位）、
+ * truncate_ip（IPv4 末段置 0）、redact（替换为 replacement，默认 ***）
+ * 规则文件无法读取、解析或含无效规则时不部分生效，而是拒绝上传 SQL 结果。
+ */
+class ResultMasker {
+  static ACTIONS = ['scrub_literals', 'hash', 'truncate_ip', 'redact'];
+
+  constructor(rulesFile = '') {
+    this.rulesFile = rulesFile;
+    this.salt = '';
+    this.rules = [];
+    // 配置了规则文件却无法按规则脱敏时记录原因，此时拒绝上传结果（见 analyzeResultsWithAPI）
+    this.error = null;
+
+    if (!rulesFile) return;
+    try {
+      const loaded = JSON.parse(fs.readFileSync(rulesFile, 'utf-8'));
+      if (!Array.isArray(loaded?.rules)) {
+        throw new Error('rules 应为数组');
+      }
+      if (loaded.hash_salt !== undefined && typeof loaded.hash_salt !== 'string') {
+        throw new Error('hash_salt 应为字符串');
+      }
+      this.rules = loaded.rules.map((rule, index) => {
+        try {
+          return ResultMasker.compileRule(rule, index);
+        } catch (error) {
+          throw new Error(`规则 #${index + 1} 无效: ${error.message}`);
+        }
+      });
+      this.salt = loaded.hash_salt || '';
+      if (!this.salt && this.rules.some((rule) => rule.action === 'hash')) {
+        this.salt = ResultMasker.loadGeneratedSalt();
+      }
+      secrets.register(this.salt);
+    } catch (error) {
+      this.rules = [];
+      this.error = `脱敏规则文件 ${rulesFile} 无效: ${error.message}`;
+      console.error(`❌ ${this.error}，SQL 结果将拒绝上传 Central API`);
+    }
+  }
+
+  /**
+   * 规则文件未配置 hash_salt 时使用本机生成的随机盐（~/.starrocks-mcp/masking-salt，仅当前用户可读），
+   * 重启后保持不变，同一个值的 hash 结果仍可跨次关联
+   */
+  static loadGeneratedSalt() {
+    const saltFile = path.join(os.homedir(), '.starrocks-mcp', 'masking-salt');
+    if (fs.existsSync(saltFile)) {
+      const salt = fs.readFileSync(saltFile, 'utf-8').trim();
+      if (salt) return salt;
+    }
+    const salt = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(saltFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(saltFile, `${salt}\n`, { mode: 0o600 });
+    fs.chmodSync(saltFile, 0o600);
+    console.error(`   🧂 脱敏规则未配置 hash_salt，已生成随机盐: ${saltFile}`);
+    return salt;
+  }
+
+  static compileRule(rule, index) {
+    if (!ResultMasker.ACTIONS.includes(rule?.action)) {
+      throw new Error(`action 应为 ${ResultMasker.ACTIONS.join(' / ')}`);
+    }
+    const toList = (value) => (value === undefined ? null : [].concat(value).map(String));
+    return {
+      name: rule.name || `rule_${index + 1}`,
+      action: rule.action,
+      queryIds: toList(rule.query_ids ?? rule.query_id),
+      columns: toList(rule.columns ?? rule.column)?.map((c) => c.toLowerCase()) || null,
+      columnPattern: rule.column_pattern ? new RegExp(rule.column_pattern, 'i') : null,
+      pattern: rule.pattern ? new RegExp(rule.pattern, 'g') : null,
+      replacement: typeof rule.replacement === 'string' ? rule.replacement : '***',
+    };
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * 脱敏一组结果行（返回新数组，不修改原对象），命中情况累计到 report
+   * @param {string} queryId - 查询 ID
+   * @param {Array<Object>} rows - 结果行
+   * @param {Map} report - `${queryId}|${column}|${rule}` -> { query_id, column, rule, action, values }
+   */
+  maskRows(queryId, rows, report) {
+    if (!this.enabled || !Array.isArray(rows)) return rows;
+    const rules = this.rules.filter((rule) => !rule.queryIds || rule.queryIds.includes(queryId));
+    if (rules.length === 0) return rows;
+
+    return rows.map((row) => {
+      if (!row || typeof row !== 'object') return row;
+      const masked = { ...row };
+      for (const [column, value] of Object.entries(row)) {
+        if (value === null || value === undefined || typeof value === 'object') continue;
+        let current = value;
+        for (const rule of rules) {
+          if (rule.columns && !rule.columns.includes(column.toLowerCase())) continue;
+          if (rule.columnPattern && !rule.columnPattern.test(column)) continue;
+          const next = this.apply(rule, current);
+          if (next === current) continue;
+          current = next;
+          const key = `${queryId}|${column}|${rule.name}`;
+          const entry = report.get(key) || { query_id: queryId, column, rule: rule.name, action: rule.action, values: 0 };
+          entry.values++;
+          report.set(key, entry);
+        }
+        masked[column] = current;
+      }
+      return masked;
+    });
+  }
+
+  /**
+   * 对单个值执行规则；未改变时原样返回（数字等非字符串值只有 hash / redact 会处理）
+   */
+  apply(rule, value) {
+    if (typeof value !== 'string' && !['hash', 'redact'].includes(rule.action)) return value;
+    const text = String(value);
+    const transform = (input) => {
+      switch (rule.action) {
+        case 'scrub_literals':
+          return ResultMasker.scrubLiterals(input);
+        case 'hash':
+          return `hash:${crypto.createHash('sha256').update(this.salt + input).digest('hex').slice(0, 12)}`;
+        case 'truncate_ip':
+          return input.replace(/\b(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}\b/g, '$1.$2.$3.0');
+        default:
+          return rule.replacement;
+      }
+    };
+    const result = rule.pattern ? text.replace(rule.pattern, (match) => transform(match)) : transform(text);
+    return result === text ? value : result;
+  }
+
+  /**
+   * 替换 SQL 文本中的字符串和数字字面量（标识符、反引号中的名字保留）
+   */
+  static scrubLiterals(sql) {
+    return sql.replace(
+      /'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"|\b\d+(?:\.\d+)?\b/g,
+      (literal) => (literal[0] === '\'' || literal[0] === '"' ? '\'?\'' : '?'),
+    );
+  }
+}
+
+/**
+ * ResultCollector - 流式收集 SQL 结果（executeQueries 使用）
+ *
+ * 逐行接收 mysql2 查询流中的结果，内存中最多保留 max_rows 行 / max_bytes 字节（按行 JSON 长度计）：
+ * - 未超出上限时结果仍是行数组
+ * - 超出后停止保留，由调用方 KILL QUERY 停止读取，返回
+ *   { rows, truncated: true, truncated_by, returned_rows, total_rows_estimated, max_rows, max_bytes }，
+ *   total_rows_estimated 只是 KILL 生效前收到的行数（total_rows_is_lower_bound: true）
+ * - aggregate 模式不保留任何行，只返回各列统计
+ *   { aggregate_only: true, total_rows, columns: { <列名>: { count, nulls, distinct, min, max, avg, max_length } } }
+ *   mysql2 以字符串返回的 DECIMAL / BIGINT 按数值统计
+ */
+class ResultCollector {
+  static DISTINCT_LIMIT = 10000;
+  // mysql2 可能以字符串返回的数值列类型
+  static NUMERIC_STRING_TYPES = new Set([mysql.Types.DECIMAL, mysql.Types.NEWDECIMAL, mysql.Types.LONGLONG]);
+
+  /**
+   * @param {Object} options - { maxRows, maxBytes, aggregate }
+   * @param {Function} maskRow - 逐行脱敏函数（见 ResultMasker），统计和保留的都是脱敏后的值
+   */
+  constructor({ maxRows, maxBytes, aggregate = false }, maskRow = (row) => row) {
+    this.maxRows = maxRows;
+    this.maxBytes = maxBytes;
+    this.aggregate = aggregate;
+    this.maskRow = maskRow;
+    this.rows = [];
+    this.bytes = 0;
+    this.totalRows = 0;
+    this.truncatedBy = null; // 'max_rows' | 'max_bytes'
+    this.columns = new Map(); // aggregate 模式：列名 -> 统计
+    this.numericColumns = new Set(); // 以字符串返回的数值列
+  }
+
+  /**
+   * 取结果中的行：行数组，或截断 / 超时的部分结果中的 rows；aggregate 结果、失败的查询等没有行时返回 null
+   */
+  static rows(result) {
+    if (Array.isArray(result)) return result;
+    return Array.isArray(result?.rows) ? result.rows : null;
+  }
+
+  /**
+   * 接收结果集的列定义（查询流的 fields 事件）
+   */
+  setFields(fields) {
+    for (const field of fields || []) {
+      if (ResultCollector.NUMERIC_STRING_TYPES.has(field.columnType)) this.numericColumns.add(field.name);
+    }
+  }
+
+  get truncated() {
+    return this.truncatedBy !== null;
+  }
+
+  /**
+   * 超时或被 KILL 时是否已有可返回的部分结果（已截断的行，或 aggregate 模式已统计的行）
+   */
+  get hasPartial() {
+    return this.truncated || (this.aggregate && this.totalRows > 0);
+  }
+
+  /**
+   * 接收一行；返回 false 表示已无需继续读取（结果已截断）
+   */
+  add(row) {
+    this.totalRows++;
+    if (this.aggregate) {
+      this.addStats(this.maskRow(row));
+      return true;
+    }
+    if (this.truncated) return false;
+
+    if (this.rows.length >= this.maxRows) {
+      this.truncatedBy = 'max_rows';
+      return false;
+    }
+    const masked = this.maskRow(row);
+    const size = Buffer.byteLength(JSON.stringify(masked) || '');
+    if (this.bytes + size > this.maxBytes) {
+      this.truncatedBy = 'max_bytes';
+      return false;
+    }
+    this.rows.push(masked);
+    this.bytes += size;
+    return true;
+  }
+
+  addStats(row) {
+    for (const [column, raw] of Object.entries(row)) {
+      let stats = this.columns.get(column);
+      if (!stats) {
+        stats = { count: 0, nulls: 0, distinct: new Set(), distinctCapped: false, min: null, max: null, sum: 0, numeric: true, maxLength: 0 };
+        this.columns.set(column, stats);
+      }
+      if (raw === null || raw === undefined) {
+        stats.nulls++;
+        continue;
+      }
+      stats.count++;
+      // 脱敏后不再是数字的值（如哈希）按字符串统计
+      const numeric = this.numericColumns.has(column) && typeof raw === 'string' && raw.trim() !== '' && Number.isFinite(Number(raw));
+      const value = raw instanceof Date ? raw.toISOString() : Buffer.isBuffer(raw) ? raw.toString('hex') : numeric ? Number(raw) : raw;
+      if (typeof value === 'number') {
+        stats.sum += value;
+      } else {
+        stats.numeric = false;
+        stats.maxLength = Math.max(stats.maxLength, String(value).length);
+      }
+      if (stats.min === null || value < stats.min) stats.min = value;
+      if (stats.max === null || value > stats.max) stats.max = value;
+      if (!stats.distinctCapped) {
+        stats.distinct.add(value);
+        if (stats.distinct.size > ResultCollector.DISTINCT_LIMIT) {
+          stats.distinctCapped = true;
+          stats.distinct.clear();
+        }
+      }
+    }
+  }
+
+  /**
+   * 生成结果
+   * @param {boolean} complete - 是否读完了整个结果集（截断后被 KILL 或超时时为 false，总行数只是下限）
+   */
+  result(complete = true) {
+    if (this.aggregate) {
+      const columns = {};
+      for (const [column, stats] of this.columns) {
+        columns[column] = {
+          count: stats.count,
+          nulls: stats.nulls,
+          distinct: stats.distinctCapped ? `>${ResultCollector.DISTINCT_LIMIT}` : stats.distinct.size,
+          min: stats.min,
+          max: stats.max,
+          ...(stats.numeric && stats.count > 0 ? { avg: stats.sum / stats.count } : {}),
+          ...(!stats.numeric ? { max_length: stats.maxLength } : {}),
+        };
+      }
+      return { aggregate_only: true, total_rows: this.totalRows, ...(complete ? {} : { total_rows_is_lower_bound: true }), columns };
+    }
+    if (!this.truncated) return this.rows;
+    return {
+      rows: this.rows,
+      truncated: true,
+      truncated_by: this.truncatedBy,
+      returned_rows: this.rows.length,
+      total_rows_estimated: this.totalRows,
+      ...(complete ? {} : { total_rows_is_lower_bound: true }),
+      max_rows: this.maxRows,
+      max_bytes: this.maxBytes,
+    };
+  }
+}
+
+/**
+ * SshPolicy - 远程 SSH 命令策略
+ *
+ * Central API 下发的 ssh_command 会在所有 FE/BE/CN 节点上执行，执行前按 shell 语法拆成简单命令逐条检查：
+ * - 命令必须属于允许的命令族（ps、find、grep、awk、tail、cat、jstack 等），sudo / xargs / timeout 检查其包装的命令
+ * - 输出重定向只允许写入 /tmp 或 /dev/null，禁止写入 conf 目录
+ * - cat / tail / head 等读取的绝对路径必须位于日志目录或 /tmp 下（/proc 只允许 PROC_FILES 中的统计文件）
+ * - 不允许命令前的变量赋值（LD_PRELOAD=... cmd），date / hostname / dmesg / ss / sar 只允许查看类选项
+ * - 禁止 find -delete/-exec、sed -i、awk system() 等会修改文件或执行任意命令的用法，禁止 bash -c / eval 等嵌套 shell
+ * 能用结构化模板的场景，Central API 可下发 { template, params }，由本地模板渲染命令（参数按正则校验并加引号）
+ *
+ * 策略文件（SSH_POLICY_FILE）格式：
+ * {
+ *   "enforce": true,
+ *   "allow_commands": ["iotop"],
+ *   "deny_commands": ["lsof"],
+ *   "read_paths": ["/data/starrocks/"],
+ *   "templates": { "<name>": { "command": "jstack -l {pid}", "params": { "pid": "^[0-9]+$" } } }
+ * }
+ */
+class SshPolicy {
+  static DEFAULT_COMMANDS = [
+    // 进程与系统信息
+    'ps', 'pgrep', 'pidof', 'top', 'free', 'uptime', 'uname', 'hostname', 'date', 'id', 'whoami', 'nproc',
+    'lscpu', 'iostat', 'vmstat', 'sar', 'dmesg', 'lsof', 'netstat', 'ss', 'df', 'du',
+    // 文件查找与读取
+    'ls', 'stat', 'find', 'file', 'readlink', 'realpath', 'dirname', 'basename', 'md5sum',
+    'cat', 'zcat', 'tail', 'head', 'grep', 'egrep', 'fgrep', 'zgrep', 'wc',
+    // 文本处理
+    'awk', 'gawk', 'sed', 'sort', 'uniq', 'cut', 'tr', 'echo', 'printf', 'base64', 'gzip', 'tar',
+    // shell 内建
+    'test', '[', 'true', 'false', 'cd', 'sleep',
+    // JVM 诊断
+    'jps', 'jstack', 'jmap', 'jstat',
+  ];
+
+  // 包装其他命令执行的命令，检查被包装的命令；值为带参数的选项
+  static WRAPPERS = {
+    sudo: ['-u', '-g', '-p', '-C', '-U', '-h', '-r', '-t'],
+    xargs: ['-I', '-i', '-n', '-P', '-d', '-L', '-l', '-s', '-E', '-e', '-a'],
+    timeout: ['-s', '-k', '--signal', '--kill-after'],
+    nice: ['-n'],
+    nohup: [],
+  };
+
+  static SHELLS = ['sh', 'bash', 'zsh', 'ksh', 'dash', 'eval', 'exec', 'source', '.'];
+
+  // 拼进本地 ssh 命令的节点地址、用户名和跳板机（[user@]host）的格式，不允许空格、引号和 shell 元字符，也不能以 - 开头
+  static HOST_PATTERN = /^[\w.:][\w.:-]*$/;
+  static USER_PATTERN = /^[\w.][\w.-]*$/;
+  static JUMP_HOST_PATTERN = /^([\w.][\w.-]*@)?[\w.:][\w.:-]*$/;
+
+  // 读取文件内容的命令，检查其读取的路径；PATTERN_FIRST 中的命令第一个参数是模式 / 脚本而不是文件
+  static READERS = ['cat', 'zcat', 'tail', 'head', 'grep', 'egrep', 'fgrep', 'zgrep', 'awk', 'gawk', 'sed', 'sort', 'uniq', 'cut', 'base64', 'gzip', 'tar', 'cd'];
+  static PATTERN_FIRST = ['grep', 'egrep', 'fgrep', 'zgrep', 'awk', 'gawk', 'sed'];
+
+  // 读取类命令中带参数的选项，参数不作为要读取的文件（同族命令按第一个名称查找）
+  static OPTIONS_WITH_VALUE = {
+    tail: ['-n', '-c', '-s', '--lines', '--bytes', '--sleep-interval', '--pid', '--max-unchanged-stats'],
+    head: ['-n', '-c', '--lines', '--bytes'],
+    grep: ['-e', '-f', '-m', '-A', '-B', '-C', '-d', '-D', '--regexp', '--file', '--max-count', '--after-context',
+      '--before-context', '--context', '--directories', '--devices', '--label', '--include', '--exclude', '--exclude-dir'],
+    awk: ['-F', '-v', '-f', '-i', '-l', '-E', '--field-separator', '--assign', '--file', '--include', '--load', '--exec'],
+    sed: ['-e', '-f', '-l', '--expression', '--file', '--line-length'],
+    sort: ['-k', '-t', '-o', '-S', '-T', '--key', '--field-separator', '--output', '--buffer-size', '--temporary-directory', '--parallel'],
+    uniq: ['-f', '-s', '-w', '--skip-fields', '--skip-chars', '--check-chars'],
+    cut: ['-b', '-c', '-d', '-f', '--bytes', '--characters', '--delimiter', '--fields', '--output-delimiter'],
+    base64: ['-w', '--wrap'],
+    gzip: ['-S', '--suffix'],
+    tar: ['-f', '-C', '-T', '-X', '-I', '-F', '-g', '-b', '-H', '--file', '--directory', '--files-from', '--exclude-from',
+      '--use-compress-program', '--info-script', '--new-volume-script', '--listed-incremental', '--to-command',
+      '--checkpoint-action', '--index-file', '--rsh-command', '--rmt-command', '--blocking-factor', '--format'],
+  };
+  static OPTION_ALIASES = { egrep: 'grep', fgrep: 'grep', zgrep: 'grep', gawk: 'awk', zcat: 'cat' };
+
+  // 查看类命令中带参数的选项（用于 ARGUMENT_RULES 的检查）
+  static INFO_OPTIONS_WITH_VALUE = {
+    date: ['-d', '--date'],
+    dmesg: ['-l', '-f', '--level', '--facility', '--time-format', '--since', '--until'],
+    ss: ['-A', '-f', '--query', '--socket', '--family'],
+    sar: ['-n', '-P', '-I', '-f', '-s', '-e', '-i', '-m'],
+  };
+
+  // 带参数即可修改系统状态的查看类命令（date -s、hostname <name>、dmesg -C、ss -K、sar -o）：
+  // 只允许列出的选项，operands 为操作数需要满足的正则（null 表示不允许操作数）
+  static ARGUMENT_RULES = {
+    date: {
+      options: ['-u', '-R', '-I', '-d', '--utc', '--universal', '--date', '--rfc-email', '--rfc-2822', '--rfc-3339', '--iso-8601'],
+      operands: /^\+/,
+    },
+    hostname: {
+      options: ['-s', '-f', '-d', '-i', '-I', '-A', '--short', '--fqdn', '--long', '--domain', '--ip-address', '--all-ip-addresses', '--all-fqdns'],
+      operands: null,
+    },
+    dmesg: {
+      options: ['-T', '-t', '-k', '-u', '-x', '-r', '-d', '-e', '-L', '-l', '-f', '--ctime', '--notime', '--kernel', '--userspace',
+        '--decode', '--raw', '--show-delta', '--reltime', '--color', '--nopager', '--level', '--facility', '--time-format', '--since', '--until'],
+      operands: null,
+    },
+    ss: {
+      options: ['-a', '-l', '-n', '-r', '-t', '-u', '-w', '-x', '-p', '-e', '-m', '-o', '-i', '-s', '-H', '-O', '-T', '-4', '-6', '-0', '-A', '-f',
+        '--all', '--listening', '--numeric', '--resolve', '--tcp', '--udp', '--raw', '--unix', '--packet', '--processes', '--extended',
+        '--memory', '--options', '--info', '--summary', '--no-header', '--oneline', '--threads', '--ipv4', '--ipv6', '--query', '--socket', '--family'],
+      operands: /^[\w .:/=<>!()[\]*-]+$/,
+    },
+    sar: {
+      options: ['-u', '-r', '-b', '-d', '-q', '-W', '-B', '-S', '-w', '-v', '-y', '-h', '-p', '-A', '-H', '-R', '-t', '-n', '-P', '-I', '-f', '-s', '-e', '-i', '-m'],
+      operands: /^\d+$/,
+    },
+  };
+
+  // /proc 下允许读取的文件：系统统计和进程的状态、限制等；root、cwd、exe、environ、mem、fd 等
+  // 可以访问其他文件、进程环境或内存的入口一律拒绝
+  static PROC_FILES = new RegExp('^/proc/(' + [
+    'meminfo', 'loadavg', 'cpuinfo', 'stat', 'uptime', 'vmstat', 'diskstats', 'version', 'mounts', 'swaps', 'interrupts', 'buddyinfo',
+    'net/(dev|snmp|netstat|sockstat)', 'sys/fs/file-(nr|max)', 'sys/vm/[a-z_]+', 'sys/net/core/somaxconn',
+    '(\\d+|self)/(task/\\d+/)?(status|limits|stat|statm|io|sched|cmdline|oom_score|smaps_rollup)',
+  ].join('|') + ')$');
+
+  // tar 中执行外部程序或写入额外文件的选项
+  static TAR_DENIED_OPTIONS = ['-I', '-F', '-g', '-T', '--use-compress-program', '--to-command', '--checkpoint-action',
+    '--info-script', '--new-volume-script', '--rsh-command', '--rmt-command', '--listed-incremental', '--index-file',
+    '--files-from', '--remove-files'];
+
+  static DEFAULT_TEMPLATES = {
+    process_list: {
+      command: 'ps -eo pid,user,etime,rss,args | grep -E {pattern} | grep -v grep',
+      params: { pattern: '^[A-Za-z0-9_.|-]+$' },
+    },
+    jstack: { command: 'jstack -l {pid}', params: { pid: '^[0-9]+$' } },
+    jmap_histo: { command: 'jmap -histo:live {pid} | head -n {limit}', params: { pid: '^[0-9]+$', limit: '^[0-9]+$' } },
+    tail_log: { command: 'tail -n {lines} {file}', params: { lines: '^[0-9]+$', file: '^/[A-Za-z0-9_./-]+$' } },
+    grep_log: { command: 'grep -ahE {pattern} {file} | tail -n {lines}', params: { pattern: '^.+$', file: '^/[A-Za-z0-9_./-]+$', lines: '^[0-9]+$' } },
+    disk_usage: { command: 'df -h', params: {} },
+  };
+
+  constructor(policyFile = '') {
+    this.policyFile = policyFile;
+    this.enforce = true;
+    this.commands = new Set(SshPolicy.DEFAULT_COMMANDS);
+    this.readPaths = [];
+    this.templates = { ...SshPolicy.DEFAULT_TEMPLATES };
+
+    if (!policyFile) return;
+    try {
+      const loaded = JSON.parse(fs.readFileSync(policyFile, 'utf-8'));
+      this.enforce = loaded.enforce !== false;
+      for (const name of loaded.allow_commands || []) this.commands.add(name);
+      for (const name of loaded.deny_commands || []) this.commands.delete(name);
+      this.readPaths = Array.isArray(loaded.read_paths) ? loaded.read_paths : [];
+      Object.assign(this.templates, loaded.templates || {});
+    } catch (error) {
+      // 策略文件有误时保持默认策略，不因配置错误放开限制
+      console.error(`⚠️  SSH 策略文件 ${policyFile} 加载失败，使用默认策略: ${error.message}`);
+    }
+  }
+
+  /**
+   * 用模板渲染远程命令，参数按模板中的正则校验后以单引号包裹
+   * @param {string} name - 模板名称
+   * @param {Object} params - 模板参数
+   * @returns {string} 渲染后的命令
+   */
+  renderTemplate(name, params = {}) {
+    const template = this.templates[name];
+    if (!template) {
+      throw new Error(`未知的 SSH 命令模板: ${name}`);
+    }
+
+    return template.command.replace(/\{(\w+)\}/g, (_, key) => {
+      const value = params[key];
+      if (value === undefined || value === null || value === '') {
+        throw new Error(`SSH 命令模板 ${name} 缺少参数 ${key}`);
+      }
+      const pattern = template.params?.[key];
+      if (pattern && !new RegExp(pattern).test(String(value))) {
+        throw new Error(`SSH 命令模板 ${name} 的参数 ${key} 不合法: ${value}`);
+      }
+      return `'${String(value).replace(/'/g, `'\\''`)}'`;
+    });
+  }
+
+  /**
+   * 按 shell 语法拆分为简单命令（管道、&&、||、;、子 shell、命令替换都会展开）
+   * 引号中的内容作为普通文本；命令替换 $(...) / `...` 递归解析，在原位置留下 $(...) 占位
+   * @returns {Array} [{ words: string[], redirects: [{ op, target }] }]
+   */
+  static parse(command) {
+    const commands = [];
+    let words = [];
+    let redirects = [];
+    let word = null;
+    let pendingRedirect = null;
+    let i = 0;
+
+    const endWord = () => {
+      if (word === null) return;
+      if (pendingRedirect) {
+        redirects.push({ op: pendingRedirect, target: word });
+        pendingRedirect = null;
+      } else {
+        words.push(word);
+      }
+      word = null;
+    };
+    const endCommand = () => {
+      endWord();
+      if (pendingRedirect) throw new Error(`重定向 ${pendingRedirect} 缺少目标`);
+      if (words.length > 0 || redirects.length > 0) commands.push({ words, redirects });
+      words = [];
+      redirects = [];
+    };
+    // 读取与 open 配对的内容（跳过引号），返回结束位置
+    const readBalanced = (start, open, close) => {
+      let depth = 1;
+      let j = start;
+      while (j < command.length) {
+        const c = command[j];
+        if (c === '\\') {
+          j += 2;
+          continue;
+        }
+        if (c === '\'') {
+          j = command.indexOf('\'', j + 1);
+          if (j === -1) throw new Error('单引号未闭合');
+        } else if (c === '"') {
+          j++;
+          while (j < command.length && command[j] !== '"') j += command[j] === '\\' ? 2 : 1;
+        } else if (c === open) {
+          depth++;
+        } else if (c === close && --depth === 0) {
+          return j;
+        }
+        j++;
+      }
+      throw new Error(`${open}${close} 未闭合`);
+    };
+    const substitute = (inner) => {
+      commands.push(...SshPolicy.parse(inner));
+      word = (word || '') + '$(...)';
+    };
+
+    while (i < command.length) {
+      const c = command[i];
+
+      if (c === ' ' || c === '\t') {
+        endWord();
+        i++;
+      } else if (c === '\n' || c === ';' || c === '|' || c === '&' || c === '(' || c === ')') {
+        if (c === '&' && command[i + 1] === '>') {
+          // &> file：stdout 和 stderr 一起重定向
+          endWord();
+          pendingRedirect = command[i + 2] === '>' ? '&>>' : '&>';
+          i += pendingRedirect.length;
+          continue;
+        }
+        endCommand();
+        i += (command[i + 1] === c && (c === '|' || c === '&' || c === ';')) ? 2 : 1;
+      } else if (c === '>' || c === '<') {
+        // 紧跟在数字后面的是文件描述符（2>、1>>）
+        if (word !== null && !/^\d+$/.test(word)) endWord();
+        const fd = word;
+        word = null;
+        let op = c;
+        if (command[i + 1] === c) op += c;
+        else if (command[i + 1] === '|') op += '|';
+        i += op.length;
+        if (op === '<<') throw new Error('不支持 here-document');
+        if (command[i] === '&') {
+          // 2>&1、>&2：复制文件描述符，不写文件
+          i++;
+          while (i < command.length && /[\d-]/.test(command[i])) i++;
+          continue;
+        }
+        pendingRedirect = `${fd || ''}${op}`;
+      } else if (c === '\'') {
+        const end = command.indexOf('\'', i + 1);
+        if (end === -1) throw new Error('单引号未闭合');
+        word = (word || '') + command.substring(i + 1, end);
+        i = end + 1;
+      } else if (c === '"') {
+        word = word || '';
+        i++;
+        while (i < command.length && command[i] !== '"') {
+          if (command[i] === '\\') {
+            word += command[i + 1] || '';
+            i += 2;
+          } else if (command[i] === '$' && command[i + 1] === '(') {
+            const end = readBalanced(i + 2, '(', ')');
+            substitute(command.substring(i + 2, end));
+            i = end + 1;
+          } else if (command[i] === '`') {
+            const end = command.indexOf('`', i + 1);
+            if (end === -1) throw new Error('反引号未闭合');
+            substitute(command.substring(i + 1, end));
+            i = end + 1;
+          } else {
+            word += command[i++];
+          }
+        }
+        if (i >= command.length) throw new Error('双引号未闭合');
+        i++;
+      } else if (c === '\\') {
+        word = (word || '') + (command[i + 1] || '');
+        i += 2;
+      } else if (c === '$' && command[i + 1] === '(') {
+        const end = readBalanced(i + 2, '(', ')');
+        substitute(command.substring(i + 2, end));
+        i = end + 1;
+      } else if (c === '`') {
+        const end = command.indexOf('`', i + 1);
+        if (end === -1) throw new Error('反引号未闭合');
+        substitute(command.substring(i + 1, end));
+        i = end + 1;
+      } else {
+        word = (word || '') + c;
+        i++;
+      }
+    }
+    endCommand();
+    return commands;
+  }
+
+  /**
+   * 按 getopt 规则拆分选项和操作数：短选项可以合写（-rn），带参数的选项取紧跟的剩余部分或下一个参数
+   * tar 的第一个参数可以不带 -（tar czf ...）
+   * @returns {Object} { options: [{ name, value }], operands: string[] }
+   */
+  static parseOptions(base, args) {
+    const withValue = SshPolicy.OPTIONS_WITH_VALUE[SshPolicy.OPTION_ALIASES[base] || base] || SshPolicy.INFO_OPTIONS_WITH_VALUE[base] || [];
+    if (base === 'tar' && /^[a-zA-Z]+$/.test(args[0] || '')) args = [`-${args[0]}`, ...args.slice(1)];
+
+    const options = [];
+    const operands = [];
+    for (let j = 0; j < args.length; j++) {
+      const arg = args[j];
+      if (arg === '--') {
+        operands.push(...args.slice(j + 1));
+        break;
+      }
+      if (arg.startsWith('--')) {
+        const eq = arg.indexOf('=');
+        const name = eq >= 0 ? arg.substring(0, eq) : arg;
+        const value = eq >= 0 ? arg.substring(eq + 1) : (withValue.includes(name) ? args[++j] : undefined);
+        options.push({ name, value });
+      } else if (arg.startsWith('-') && arg.length > 1) {
+        for (let k = 1; k < arg.length; k++) {
+          const name = `-${arg[k]}`;
+          if (withValue.includes(name)) {
+            options.push({ name, value: arg.substring(k + 1) || args[++j] });
+            break;
+          }
+          options.push({ name });
+        }
+      } else {
+        operands.push(arg);
+      }
+    }
+    return { options, operands };
+  }
+
+  /**
+   * 查找 sed 脚本中执行命令或读写文件的命令（e、w、W、r、R 以及 s 命令的 e / w 标志）
+   * 无法识别的内容按命令处理，宁可误拒也不放过
+   * @returns {string|null} 找到的命令
+   */
+  static findSedFileCommand(script) {
+    let i = 0;
+    // 从 start 开始查找未转义的分隔符，返回其位置
+    const findDelimiter = (start, delimiter) => {
+      let j = start;
+      while (j < script.length && script[j] !== delimiter) j += script[j] === '\\' ? 2 : 1;
+      return j;
+    };
+    const skipLine = (stops) => {
+      while (i < script.length && !stops.includes(script[i])) i++;
+    };
+
+    while (i < script.length) {
+      const c = script[i];
+      if (/[\s;{}!,$~+0-9]/.test(c)) {
+        // 分隔符和行号地址
+        i++;
+      } else if (c === '/') {
+        i = findDelimiter(i + 1, '/') + 1;
+      } else if (c === '\\') {
+        i = findDelimiter(i + 2, script[i + 1]) + 1;
+      } else if ('ewWrR'.includes(c)) {
+        return c;
+      } else if (c === 's' || c === 'y') {
+        const delimiter = script[i + 1];
+        i = findDelimiter(findDelimiter(i + 2, delimiter) + 1, delimiter) + 1;
+        const flags = (script.substring(i).match(/^[a-zA-Z0-9]*/) || [''])[0];
+        if (c === 's' && /[ew]/.test(flags)) return `s///${flags}`;
+        i += flags.length;
+      } else if ('aic#'.includes(c)) {
+        // 追加文本和注释到行尾
+        skipLine('\n');
+      } else if (':btT'.includes(c)) {
+        skipLine(';\n');
+      } else {
+        i++;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 去掉 awk 脚本中的字符串和正则字面量，剩下的部分用于检查管道和重定向
+   */
+  static stripAwkLiterals(script) {
+    let stripped = '';
+    let previous = '';
+    let i = 0;
+    while (i < script.length) {
+      const c = script[i];
+      if (c === '"' || (c === '/' && (previous === '' || '(,!~{};&|'.includes(previous)))) {
+        i++;
+        while (i < script.length && script[i] !== c) i += script[i] === '\\' ? 2 : 1;
+        stripped += `${c}${c}`;
+        previous = c;
+        i++;
+        continue;
+      }
+      stripped += c;
+      if (!/\s/.test(c)) previous = c;
+      i++;
+    }
+    return stripped;
+  }
+
+  /**
+   * 路径是否位于 conf 目录
+   */
+  static isConfPath(target) {
+    return /(^|\/)conf(\/|$)/.test(target) || /\.conf$/.test(target);
+  }
+
+  /**
+   * 路径是否可以写入：/tmp 下、不含 ..、不会被 shell 展开（通配符、大括号、变量、命令替换），且不是 conf 路径
+   * 用于输出重定向、sort -o、tar -f 和 jmap -dump
+   */
+  static isTmpWritePath(target) {
+    return target.startsWith('/tmp/') && !target.split('/').includes('..') &&
+      !/[{}*?[\]$`~]/.test(target) && !SshPolicy.isConfPath(target);
+  }
+
+  /**
+   * 路径是否允许读取：日志目录（路径中含 log / logs 目录）、/tmp、PROC_FILES 中的 /proc 文件或策略文件中的 read_paths
+   */
+  isReadablePath(target) {
+    if (target.split('/').includes('..')) return false;
+    if (target === '/dev/null' || target.startsWith('/tmp/')) return true;
+    // /proc 和 /dev 下的路径只按白名单判断，不因路径中含 log 而放行（/proc/1/root/var/log/...）
+    if (target === '/proc' || target.startsWith('/proc/')) return SshPolicy.PROC_FILES.test(target);
+    if (target.startsWith('/dev/')) return false;
+    if (/\/logs?(\/|$)/.test(target)) return true;
+    return this.readPaths.some((prefix) => target.startsWith(prefix));
+  }
+
+  /**
+   * 读取类命令的文件参数是否允许：变量、~、命令替换、通配符和大括号展开后的路径无法检查，一律拒绝
+   * （/var/log/{.,.}./etc 展开后是 /var/log/../etc）；相对路径只允许在 cd 到日志目录或 /tmp 之后使用
+   */
+  isReadableOperand(target, cwdReadable) {
+    if (target.startsWith('~') || /[$`{}*?[\]]/.test(target)) return false;
+    if (target.split('/').includes('..')) return false;
+    if (target.startsWith('/')) return this.isReadablePath(target);
+    return target === '-' || cwdReadable;
+  }
+
+  /**
+   * xargs 的输入是否为可读目录下的文件列表：上一条命令是只带查找条件的 find（find ... | xargs grep），
+   * 且 xargs 不从文件读取参数
+   */
+  isFindFileList(xargsOptions, state) {
+    if (xargsOptions.some((a) => /[$`]/.test(a) || /^-a/.test(a) || a.startsWith('--arg-file'))) return false;
+    const { words = [], redirects = [] } = state.previous || {};
+    if (words[0] !== 'find' || redirects.length > 0) return false;
+    if (words.some((a) => /[$`]/.test(a) || ['-printf', '-fprintf', '-fprint', '-fprint0', '-fls'].includes(a))) return false;
+
+    let j = 1;
+    while (j < words.length && ['-H', '-L', '-P'].includes(words[j])) j++;
+    const roots = [];
+    while (j < words.length && !/^[-(!]/.test(words[j])) roots.push(words[j++]);
+    if (roots.length === 0) return state.cwdReadable;
+    return roots.every((root) => this.isReadableOperand(root, state.cwdReadable));
+  }
+
+  /**
+   * 检查单个简单命令，违反策略时返回原因
+   */
+  checkSimpleCommand({ words, redirects }, state) {
+    for (const { op, target } of redirects) {
+      if (op.includes('<')) {
+        if (!this.isReadableOperand(target, state.cwdReadable)) return `输入重定向只允许读取日志目录或 /tmp 下的文件，不允许读取 ${target}`;
+        continue;
+      }
+      if (target === '/dev/null') continue;
+      if (SshPolicy.isConfPath(target)) return `禁止写入配置文件 ${target}`;
+      if (!SshPolicy.isTmpWritePath(target)) {
+        return `输出重定向只允许写入 /tmp 或 /dev/null，不允许写入 ${target}`;
+      }
+    }
+
+    // 跳过分组符号；命令前的变量赋值（LD_PRELOAD=... cat、PATH=/tmp cat）会改变实际执行的程序，一律拒绝，
+    // 只允许单独出现的小写变量保存命令替换的输出（result=$(...)），大写的 PATH、IFS 等会影响后续命令
+    let args = words;
+    const assignments = [];
+    for (;;) {
+      if (args.length > 0 && ['{', '}', '!'].includes(args[0])) {
+        args = args.slice(1);
+      } else if (args.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(args[0])) {
+        assignments.push(args[0]);
+        args = args.slice(1);
+      } else {
+        break;
+      }
+    }
+    if (assignments.length > 0 && args.length > 0) return `禁止在命令前设置变量 ${assignments[0]}`;
+    const assignment = assignments.find((a) => !/^[a-z_][a-z0-9_]*=\$\(\.\.\.\)$/.test(a));
+    if (assignment) return `变量赋值只允许 name=$(...)（小写变量名），不允许 ${assignment}`;
+    if (args.length === 0) return null;
+
+    // 展开 sudo / xargs / timeout 等包装命令
+    let name = args[0];
+    let xargsOptions = null;
+    while (SshPolicy.WRAPPERS[name]) {
+      const optionsWithValue = SshPolicy.WRAPPERS[name];
+      let j = 1;
+      while (j < args.length && args[j].startsWith('-')) {
+        if (name === 'sudo' && (/^-[a-zA-Z]*[is]/.test(args[j]) || ['--login', '--shell'].includes(args[j]))) {
+          return '禁止通过 sudo -i / sudo -s 打开 shell';
+        }
+        j += optionsWithValue.includes(args[j]) ? 2 : 1;
+      }
+      if (name === 'timeout') j++; // 时长参数
+      if (name === 'xargs') xargsOptions = args.slice(1, j);
+      args = args.slice(j);
+      if (args.length === 0) return null;
+      name = args[0];
+    }
+
+    if (name.startsWith('$') && !name.includes('/')) return `不允许执行动态命令 ${name}`;
+    const base = name.includes('/') ? name.substring(name.lastIndexOf('/') + 1) : name;
+    if (SshPolicy.SHELLS.includes(base)) return `不允许通过 ${base} 执行嵌套 shell 命令`;
+    if (!this.commands.has(base)) return `命令 ${base} 不在允许的命令族中`;
+
+    const rest = args.slice(1);
+    const { options, operands } = SshPolicy.parseOptions(base, rest);
+    const optionNames = options.map((o) => o.name);
+    const optionValue = (...names) => options.find((o) => names.includes(o.name))?.value;
+    // 读取类命令要读取的文件和目录，带参数的选项读取的路径一并放入
+    let files = operands;
+
+    const argumentRule = SshPolicy.ARGUMENT_RULES[base];
+    if (argumentRule) {
+      const denied = optionNames.find((o) => !argumentRule.options.includes(o));
+      if (denied) return `${base} 只允许查看类选项，禁止 ${denied}`;
+      const operand = operands.find((a) => !argumentRule.operands?.test(a));
+      if (operand !== undefined) return `${base} 不允许参数 ${operand}`;
+    }
+
+    switch (base) {
+      case 'find': {
+        const denied = rest.find((a) => ['-delete', '-exec', '-execdir', '-ok', '-okdir', '-fprint', '-fprint0', '-fprintf', '-fls'].includes(a));
+        if (denied) return `禁止 find ${denied}`;
+        break;
+      }
+      case 'sed': {
+        if (optionNames.some((o) => o === '-i' || o === '--in-place')) return '禁止 sed -i 原地修改文件';
+        if (optionNames.some((o) => o === '-f' || o === '--file')) return '禁止 sed -f 从文件读取脚本';
+        const scripts = options.filter((o) => o.name === '-e' || o.name === '--expression').map((o) => o.value || '');
+        if (scripts.length === 0) {
+          scripts.push(operands[0] || '');
+          files = operands.slice(1);
+        }
+        for (const script of scripts) {
+          const command = SshPolicy.findSedFileCommand(script);
+          if (command) return `sed 脚本中禁止执行命令或读写文件（${command}）`;
+        }
+        break;
+      }
+      case 'awk':
+      case 'gawk': {
+        const denied = optionNames.find((o) => ['-f', '-i', '-l', '-E', '--file', '--include', '--load', '--exec'].includes(o));
+        if (denied) return `禁止 ${base} ${denied} 从文件加载脚本`;
+        const script = SshPolicy.stripAwkLiterals(operands[0] || '');
+        if (/\bsystem\s*\(|\bgetline\b[^;{}]*<|(^|[^|])\|(?!\|)|\bprintf?\b[^;{}]*>|@\s*(load|include)/.test(script)) {
+          return `${base} 脚本中禁止 system()、管道、getline < 文件和输出重定向`;
+        }
+        // 脚本之后的 var=value 是变量赋值而不是文件
+        files = operands.slice(1).filter((a) => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(a));
+        break;
+      }
+      case 'grep':
+      case 'egrep':
+      case 'fgrep':
+      case 'zgrep': {
+        const patternOptions = options.filter((o) => ['-e', '-f', '--regexp', '--file'].includes(o.name));
+        if (patternOptions.length === 0) files = operands.slice(1);
+        const recursive = optionNames.some((o) => ['-r', '-R', '--recursive', '--dereference-recursive'].includes(o));
+        if (recursive && files.length === 0 && !state.cwdReadable) return `${base} -r 必须指定日志目录或 /tmp 下的目录`;
+        files = [...files, ...patternOptions.filter((o) => o.name === '-f' || o.name === '--file').map((o) => o.value || '')];
+        break;
+      }
+      case 'sort': {
+        if (optionNames.includes('--files0-from')) return '禁止 sort --files0-from';
+        const output = optionValue('-o', '--output');
+        if (output !== undefined && !SshPolicy.isTmpWritePath(output)) {
+          return `sort 只允许写入 /tmp，不允许写入 ${output}`;
+        }
+        break;
+      }
+      case 'uniq':
+        // uniq 的第二个文件参数是输出文件
+        if (operands.length > 1) return 'uniq 只允许输出到标准输出';
+        break;
+      case 'gzip':
+        if (operands.length > 0 && !optionNames.some((o) => ['-c', '-l', '-t', '--stdout', '--to-stdout', '--list', '--test'].includes(o))) {
+          return 'gzip 只允许输出到标准输出（-c），禁止原地压缩或解压文件';
+        }
+        break;
+      case 'tar': {
+        const denied = optionNames.find((o) => SshPolicy.TAR_DENIED_OPTIONS.includes(o));
+        if (denied) return `禁止 tar ${denied}`;
+        if (optionNames.some((o) => ['-x', '-r', '-A', '-u', '--extract', '--get', '--delete', '--append', '--update', '--catenate', '--concatenate'].includes(o))) {
+          return 'tar 只允许打包和列出文件';
+        }
+        const archive = optionValue('-f', '--file');
+        if (archive !== undefined && archive !== '-' && !SshPolicy.isTmpWritePath(archive)) {
+          return `tar 只允许写入标准输出或 /tmp，不允许写入 ${archive}`;
+        }
+        // -C 切换目录后的相对路径相对于该目录，目录本身按读取路径检查
+        const directories = options.filter((o) => o.name === '-C' || o.name === '--directory').map((o) => o.value || '');
+        const directory = directories.find((dir) => !this.isReadableOperand(dir, state.cwdReadable));
+        if (directory !== undefined) return `tar 只允许读取日志目录或 /tmp 下的文件，不允许读取 ${directory}`;
+        if (directories.length > 0) {
+          const file = files.find((a) => !this.isReadableOperand(a, true));
+          if (file !== undefined) return `tar 只允许读取日志目录或 /tmp 下的文件，不允许读取 ${file}`;
+          files = [];
+        }
+        break;
+      }
+      case 'jmap': {
+        const dump = rest.find((a) => a.startsWith('-dump:'));
+        const file = dump && (dump.match(/file=([^,]+)/) || [])[1];
+        if (dump && (!file || !SshPolicy.isTmpWritePath(file))) return `jmap -dump 只允许写入 /tmp，不允许写入 ${file || '(未指定)'}`;
+        break;
+      }
+      case 'sar': {
+        const file = optionValue('-f');
+        if (file !== undefined && !this.isReadableOperand(file, state.cwdReadable)) return `sar -f 只允许读取日志目录下的文件，不允许读取 ${file}`;
+        break;
+      }
+    }
+
+    if (SshPolicy.READERS.includes(base)) {
+      // xargs 从标准输入拼接文件参数，只接受紧邻的 find 在可读目录下查找到的文件
+      if (xargsOptions && !this.isFindFileList(xargsOptions, state)) {
+        return `xargs 向 ${base} 传入的文件只能来自在日志目录或 /tmp 下查找的 find`;
+      }
+      if (base === 'cd' && files.includes('-')) return '不允许 cd -';
+      const denied = files.find((a) => !this.isReadableOperand(a, state.cwdReadable));
+      if (denied !== undefined) return `${base} 只允许读取日志目录或 /tmp 下的文件，不允许读取 ${denied}`;
+      // 不带参数的 cd 回到 home 目录
+      if (base === 'cd') state.cwdReadable = files.length > 0;
+    }
+
+    return null;
+  }
+
+  /**
+   * 检查远程命令是否允许执行
+   * @returns {Object} { allowed, reason }
+   */
+  check(command) {
+    let commands;
+    try {
+      commands = SshPolicy.parse(command || '');
+    } catch (error) {
+      return this.result(`无法解析命令: ${error.message}`);
+    }
+
+    const state = { cwdReadable: false, previous: null };
+    for (const simple of commands) {
+      const reason = this.checkSimpleCommand(simple, state);
+      if (reason) return this.result(reason);
+      state.previous = simple;
+    }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * 生成拒绝结果；enforce=false 时只记录原因不拦截
+   */
+  result(reason) {
+    return { allowed: !this.enforce, reason };
+  }
+}
+
+/**
+ * SshHostKeys - SSH 主机密钥校验（首次使用时固定）
+ *
+ * 所有 ssh 调用（节点探测、远程命令、fetch_log_scp、数据库隧道）使用 MCP Server 自己维护的 known_hosts
+ * （SSH_KNOWN_HOSTS_FILE，默认 ~/.starrocks-mcp/known_hosts），按 SSH_HOST_KEY_CHECKING 校验：
+ * - tofu（默认）：未登记的主机首次连接时登记密钥，之后密钥变化即拒绝连接
+ * - strict：只连接已登记的主机
+ * - off：不校验（StrictHostKeyChecking=no，仅用于排查）
+ * 经跳板机访问的节点由跳板机上的 ssh 连接：首次使用时通过跳板机上的 ssh-keyscan 获取密钥并登记到同一文件，
+ * 之后每次把登记的密钥随命令带到跳板机，由跳板机上的 ssh 严格校验。
+ */
+class SshHostKeys {
+  // 模式 -> StrictHostKeyChecking
+  static MODES = { tofu: 'accept-new', strict: 'yes', off: 'no' };
+
+  constructor(file, mode = 'tofu') {
+    this.file = file;
+    this.mode = SshHostKeys.MODES[mode] ? mode : 'tofu';
+    if (mode && !SshHostKeys.MODES[mode]) {
+      console.error(`⚠️  SSH_HOST_KEY_CHECKING=${mode} 无效，使用 tofu`);
+    }
+    if (this.mode === 'off') {
+      console.error('⚠️  SSH 主机密钥校验已关闭 (SSH_HOST_KEY_CHECKING=off)');
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    } catch (error) {
+      console.error(`⚠️  known_hosts 目录创建失败 ${path.dirname(file)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * ssh 参数（spawn / execFile 直接传参）
+   */
+  options() {
+    if (this.mode === 'off') return ['-o', 'StrictHostKeyChecking=no'];
+    return [
+      '-o', `StrictHostKeyChecking=${SshHostKeys.MODES[this.mode]}`,
+      '-o', `UserKnownHostsFile=${this.file}`,
+      '-o', 'HashKnownHosts=no',
+    ];
+  }
+
+  /**
+   * ssh 参数（拼接进 shell 命令）
+   */
+  shellOptions() {
+    return this.options()
+      .map((a) => (/^[\w@%+=:,./-]+$/.test(a) ? a : `'${a.replace(/'/g, `'\\''`)}'`))
+      .join(' ');
+  }
+
+  /**
+   * known_hosts 中登记的该主机的记录（不含哈希形式的主机名）
+   */
+  entries(host) {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf-8').split('\n').filter((line) => {
+      const [hosts] = line.trim().split(/\s+/);
+      return hosts && !hosts.startsWith('#') &&
+        hosts.split(',').some((h) => h === host || h === `[${host}]:22`);
+    });
+  }
+
+  /**
+   * 登记 ssh-keyscan 输出中该主机的密钥
+   * @returns {number} 登记的条数
+   */
+  pin(host, keyscanOutput) {
+    const lines = String(keyscanOutput).split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#') && line.split(/\s+/)[0] === host);
+    if (lines.length > 0) {
+      fs.appendFileSync(this.file, lines.join('\n') + '\n', { mode: 0o600 });
+    }
+    return lines.length;
+  }
+
+  /**
+   * 跳板机上执行的 ssh 命令：把登记的密钥写入跳板机上的临时 known_hosts，由跳板机上的 ssh 严格校验
+   * @param {string} host - 目标节点
+   * @param {string} sshArgs - 跳板机上 ssh 的其余参数（连接选项、目标和远程命令）
+   * @param {string} inputBase64 - 通过 stdin 传给目标节点的内容（base64）
+   */
+  jumpCommand(host, sshArgs, inputBase64) {
+    const input = `echo ${inputBase64} | base64 -d`;
+    if (this.mode === 'off') {
+      return `${input} | ssh -o StrictHostKeyChecking=no ${sshArgs}`;
+    }
+    const known = Buffer.from(this.entries(host).join('\n') + '\n').toString('base64');
+    return `k=$(mktemp) && echo ${known} | base64 -d > $k && ${input} | ` +
+      `ssh -o StrictHostKeyChecking=yes -o UserKnownHostsFile=$k ${sshArgs}; rc=$?; rm -f $k; exit $rc`;
+  }
+
+  /**
+   * 根据 ssh 的 stderr 判断是否为主机密钥校验失败，返回诊断信息（不是则返回 null）
+   * @param {string} via - 经跳板机连接时的跳板机
+   */
+  diagnose(stderr, host, via = null) {
+    const text = String(stderr || '');
+    const changed = /Host key for (\S+) has changed/.exec(text) ||
+      (/REMOTE HOST IDENTIFICATION HAS CHANGED/.test(text) ? [null, host] : null);
+    const unknown = /No \S+ host key is known for (\S+)/.exec(text);
+    if (!changed && !unknown && !/Host key verification failed/.test(text)) return null;
+
+    const where = via ? `（经跳板机 ${via}）` : '';
+    if (changed) {
+      const offending = changed[1];
+      // 经跳板机连接时 Offending 指向跳板机上的临时文件，只在指向本地 known_hosts 时给出行号
+      const offendingEntry = /Offending \S+ key in (\S+):(\d+)/.exec(text);
+      const line = offendingEntry?.[1] === this.file ? offendingEntry[2] : null;
+      return `SSH 主机密钥已变化，已拒绝连接: ${offending}${where} 提供的密钥与 ${this.file}` +
+        `${line ? ` 第 ${line} 行` : ' 中'}登记的不一致。可能是节点重装或更换了密钥，也可能是中间人攻击；` +
+        `确认变更合法后删除旧记录再重试: ssh-keygen -R ${offending} -f ${this.file}`;
+    }
+    if (unknown) {
+      return `SSH 主机密钥未登记，已拒绝连接: ${unknown[1]}${where} 不在 ${this.file} 中（SSH_HOST_KEY_CHECKING=${this.mode}）；` +
+        `核对密钥指纹后登记: ssh-keyscan ${unknown[1]} >> ${this.file}`;
+    }
+    return `SSH 主机密钥校验失败，已拒绝连接: ${host}${where}（known_hosts: ${this.file}）: ${text.trim().split('\n').pop()}`;
+  }
+}
+
+/**
+ * CliPolicy - 对象存储 CLI 命令策略
+ *
+ * CLI 指令以 { binary, args[] } 结构下发，不经过 shell 执行，参数中的 shell 元字符不会被解释：
+ * - binary 只允许 aws、ossutil、s3cmd、coscli、hdfs、gsutil、az
+ * - 子命令只允许只读动作：ls、du、stat，以及下载到 /tmp 的 cp
+ * - 不允许 file:// / fileb:// 参数（aws 会读取本地文件作为参数值），hdfs 不允许把默认文件系统指向本地或加载其他配置
+ * - 指定服务地址的选项（--endpoint-url 等）只允许 CLI_ALLOWED_ENDPOINTS 中登记的地址，请求的签名和令牌不会发往其他地址
+ * 兼容旧的 command 字符串：只接受单条简单命令（不含管道、重定向和命令替换），拆成参数后按同样规则检查
+ */
+class CliPolicy {
+  // binary -> { 子命令前缀: 归一化动作 }
+  static BINARIES = {
+    aws: { 's3 ls': 'ls', 's3 cp': 'cp', 's3api head-object': 'stat', 's3api list-objects-v2': 'ls' },
+    ossutil: { ls: 'ls', du: 'du', stat: 'stat', cp: 'cp' },
+    s3cmd: { ls: 'ls', du: 'du', info: 'stat', get: 'cp' },
+    coscli: { ls: 'ls', du: 'du', stat: 'stat', cp: 'cp' },
+    hdfs: {
+      'dfs -ls': 'ls', 'dfs -du': 'du', 'dfs -count': 'du', 'dfs -stat': 'stat',
+      'dfs -get': 'cp', 'dfs -copyToLocal': 'cp',
+    },
+    gsutil: { ls: 'ls', du: 'du', stat: 'stat', cp: 'cp' },
+    az: {
+      'storage blob list': 'ls', 'storage blob show': 'stat', 'storage blob download': 'cp',
+      'storage fs file list': 'ls', 'storage fs file show': 'stat',
+    },
+  };
+
+  // binary -> 带参数的选项（全局选项和子命令选项），其参数不作为源路径 / 目标路径；--opt=value 形式无需列出
+  static OPTIONS_WITH_VALUE = {
+    aws: [
+      '--endpoint-url', '--region', '--profile', '--output', '--query', '--color', '--ca-bundle', '--cli-read-timeout',
+      '--cli-connect-timeout', '--cli-binary-format', '--page-size', '--max-items', '--starting-token', '--bucket', '--key',
+      '--prefix', '--delimiter', '--include', '--exclude', '--version-id', '--request-payer', '--sse-c', '--sse-c-key',
+      '--expected-size', '--encoding-type', '--expected-bucket-owner', '--part-number', '--range', '--checksum-mode',
+    ],
+    ossutil: [
+      '-e', '-i', '-k', '-c', '-t', '-j', '--endpoint', '--access-key-id', '--access-key-secret', '--sts-token',
+      '--config-file', '--region', '--loglevel', '--jobs', '--parallel', '--part-size', '--output-dir', '--include',
+      '--exclude', '--encoding-type', '--limited-num', '--marker', '--version-id', '--payer', '--range', '--sign-version',
+      '--retry-times', '--addressing-style', '--proxy-host', '--proxy-user', '--proxy-pwd',
+    ],
+    s3cmd: [
+      '-c', '--config', '--access_key', '--secret_key', '--access_token', '--host', '--host-bucket', '--region',
+      '--bucket-location', '--include', '--exclude', '--rinclude', '--rexclude', '--ca-certs', '--limit',
+    ],
+    coscli: [
+      '-c', '-e', '-i', '-k', '-p', '--config-path', '--endpoint', '--secret-id', '--secret-key', '--token', '--profile',
+      '--include', '--exclude', '--routines', '--thread-num', '--part-size', '--rate-limiting', '--limit',
+    ],
+    hdfs: ['--config', '--loglevel', '-D', '-fs', '-conf', '-t', '-q'],
+    gsutil: ['-o', '-h', '-u', '-p', '-L', '-z', '-j', '-s', '-a'],
+    az: [
+      '--account-name', '--account-key', '--connection-string', '--sas-token', '--auth-mode', '--blob-endpoint',
+      '--container-name', '-c', '--name', '-n', '--file', '-f', '--file-system', '--path', '-p', '--output', '-o', '--query',
+      '--subscription', '--prefix', '--delimiter', '--marker', '--num-results', '--include', '--blob-url', '--version-id',
+      '--snapshot', '--start-range', '--end-range', '--max-connections', '--timeout', '--lease-id',
+    ],
+  };
+
+  // binary -> 指定服务地址的选项，只允许 CLI_ALLOWED_ENDPOINTS 中登记的地址
+  static ENDPOINT_OPTIONS = {
+    aws: ['--endpoint-url'],
+    ossutil: ['-e', '--endpoint', '--proxy-host'],
+    coscli: ['-e', '--endpoint'],
+    s3cmd: ['--host', '--host-bucket'],
+    az: ['--blob-endpoint', '--blob-url'],
+  };
+
+  // binary -> 加载本地配置文件的选项（配置中可以改写服务地址或默认文件系统），一律拒绝
+  static CONFIG_OPTIONS = {
+    hdfs: ['-conf', '--config'],
+  };
+
+  // binary -> 向本地写文件的选项（报告、清单等），只允许写入 /tmp
+  static LOCAL_OUTPUT_OPTIONS = {
+    ossutil: ['--output-dir'],
+    gsutil: ['-L'],
+  };
+
+  /**
+   * 将 CLI 指令解析为 { binary, args, verb }，不符合策略时抛出错误
+   * @param {Object} cmd - { binary, args } 或旧格式 { command }
+   * @param {string[]} allowedEndpoints - 允许的服务地址（CLI_ALLOWED_ENDPOINTS）
+   */
+  static resolve(cmd, allowedEndpoints = []) {
+    let binary = cmd.binary;
+    let args = cmd.args;
+
+    if (!binary && typeof cmd.command === 'string') {
+      let parsed;
+      try {
+        parsed = SshPolicy.parse(cmd.command);
+      } catch (error) {
+        throw new Error(`无法解析 CLI 命令: ${error.message}`);
+      }
+      if (parsed.length !== 1 || parsed[0].redirects.length > 0 || parsed[0].words.some((w) => w.includes('$('))) {
+        throw new Error('CLI 命令只允许单条命令，不支持管道、重定向和命令替换，请使用 { binary, args } 格式');
+      }
+      [binary, ...args] = parsed[0].words;
+    }
+
+    if (typeof binary !== 'string' || !Array.isArray(args) || args.some((a) => typeof a !== 'string' && typeof a !== 'number')) {
+      throw new Error('CLI 指令格式错误，应为 { binary: string, args: string[] }');
+    }
+    args = args.map(String);
+
+    const verbs = CliPolicy.BINARIES[binary];
+    if (!verbs) {
+      throw new Error(`CLI 程序 ${binary} 不在允许列表中（${Object.keys(CliPolicy.BINARIES).join(', ')}）`);
+    }
+
+    // aws 把 file:// / fileb:// 参数值替换为本地文件内容（可随请求发出），hdfs 的 file: 路径是本地文件系统
+    const localArg = args.find((a) => /(^|=)(file|fileb):/i.test(a));
+    if (localArg) throw new Error(`${binary} 不允许引用本地文件的参数 ${localArg}`);
+
+    // 去掉选项（全局选项可以在子命令之前）后取最长匹配的子命令前缀
+    const { options, positionals } = CliPolicy.splitArgs(binary, args);
+    CliPolicy.checkOptions(binary, options, allowedEndpoints);
+    const prefix = Object.keys(verbs)
+      .filter((key) => {
+        const parts = key.split(' ');
+        return parts.every((part, idx) => positionals[idx] === part);
+      })
+      .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) {
+      throw new Error(`${binary} ${positionals.slice(0, 2).join(' ')} 不是允许的只读子命令（${Object.keys(verbs).join(', ')}）`);
+    }
+
+    const verb = verbs[prefix];
+    if (verb === 'cp') CliPolicy.checkDownload(binary, positionals.slice(prefix.split(' ').length), options);
+    return { binary, args, verb };
+  }
+
+  /**
+   * 按 OPTIONS_WITH_VALUE 拆分选项和位置参数；hdfs 的 -ls、-get 等子命令按位置参数处理
+   * @returns {Object} { options: [{ name, value }], positionals: string[] }
+   */
+  static splitArgs(binary, args) {
+    const withValue = CliPolicy.OPTIONS_WITH_VALUE[binary] || [];
+    const verbWords = new Set(Object.keys(CliPolicy.BINARIES[binary]).flatMap((key) => key.split(' ')));
+    const options = [];
+    const positionals = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (!arg.startsWith('-') || arg === '-' || verbWords.has(arg)) {
+        positionals.push(arg);
+      } else if (arg.startsWith('--') && arg.includes('=')) {
+        const eq = arg.indexOf('=');
+        options.push({ name: arg.substring(0, eq), value: arg.substring(eq + 1) });
+      } else if (withValue.includes(arg)) {
+        if (i + 1 >= args.length) throw new Error(`${binary} 选项 ${arg} 缺少参数`);
+        options.push({ name: arg, value: args[++i] });
+      } else {
+        options.push({ name: arg });
+      }
+    }
+    return { options, positionals };
+  }
+
+  /**
+   * 检查服务地址和配置类选项：服务地址只允许登记过的，加载本地配置的选项一律拒绝
+   */
+  static checkOptions(binary, options, allowedEndpoints) {
+    const allowed = new Set(allowedEndpoints.map(CliPolicy.endpointHost));
+    for (const { name, value } of options) {
+      if ((CliPolicy.CONFIG_OPTIONS[binary] || []).includes(name)) {
+        throw new Error(`${binary} 不允许 ${name} 加载其他配置`);
+      }
+      let endpoint = (CliPolicy.ENDPOINT_OPTIONS[binary] || []).includes(name) ? value : undefined;
+      if (binary === 'az' && name === '--connection-string') endpoint = /BlobEndpoint=([^;]+)/i.exec(value || '')?.[1];
+      if (binary === 'gsutil' && name === '-o' && /(host|proxy|url)\s*=/i.test(value || '')) endpoint = value;
+      if (endpoint !== undefined && !allowed.has(CliPolicy.endpointHost(endpoint))) {
+        throw new Error(`${binary} ${name} 指定的服务地址 ${endpoint} 不在 CLI_ALLOWED_ENDPOINTS 中`);
+      }
+    }
+  }
+
+  /**
+   * 服务地址归一化为小写的 host[:port]（去掉 scheme 和路径），用于与 CLI_ALLOWED_ENDPOINTS 比较
+   */
+  static endpointHost(endpoint) {
+    return String(endpoint || '').trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split('/')[0];
+  }
+
+  /**
+   * 本地目标路径是否允许：标准输出或 /tmp 下的路径
+   */
+  static isLocalDestination(destination) {
+    if (destination === '-') return true;
+    return Boolean(destination) && !destination.includes('://') && path.resolve(destination).startsWith('/tmp/');
+  }
+
+  /**
+   * cp 只允许从对象存储下载到本地 /tmp（或输出到标准输出）：恰好一个远程源路径和一个本地目标路径
+   */
+  static checkDownload(binary, operands, options) {
+    for (const { name, value } of options) {
+      if ((CliPolicy.LOCAL_OUTPUT_OPTIONS[binary] || []).includes(name) && !CliPolicy.isLocalDestination(value)) {
+        throw new Error(`${binary} ${name} 只允许写入 /tmp，路径 ${value} 不允许`);
+      }
+    }
+
+    let destination;
+    if (binary === 'az') {
+      if (operands.length > 0) throw new Error(`az storage blob download 不接受位置参数: ${operands.join(' ')}`);
+      destination = options.find((o) => o.name === '--file' || o.name === '-f')?.value;
+    } else {
+      if (operands.length !== 2) {
+        throw new Error(`${binary} cp 只允许一个远程源路径和一个本地目标路径，实际为: ${operands.join(' ') || '(无)'}`);
+      }
+      const source = operands[0];
+      destination = operands[1];
+      // hdfs 的源路径可以不带 scheme；file:// 是本地文件，不算远程路径
+      if (/^file:/i.test(source) || (binary !== 'hdfs' && !source.includes('://'))) {
+        throw new Error(`${binary} cp 只允许从对象存储下载，源路径 ${source} 不是远程路径`);
+      }
+    }
+
+    if (!CliPolicy.isLocalDestination(destination)) {
+      throw new Error(`${binary} cp 只允许下载到 /tmp，目标路径 ${destination || '(未指定)'} 不允许`);
+    }
+  }
+
+  /**
+   * 参数中的对象存储地址（scheme://bucket），作为审计日志的目标
+   */
+  static target(args) {
+    for (const arg of args) {
+      const match = /^([a-z][a-z0-9+.-]*:\/\/[^/]+)/i.exec(arg);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * 参数列表转为可读的命令行（仅用于日志展示）
+   */
+  static format(binary, args) {
+    return [binary, ...args]
+      .map((a) => (/^[\w@%+=:,./-]+$/.test(a) ? a : `'${a.replace(/'/g, `'\\''`)}'`))
+      .join(' ');
+  }
+}
+
+/**
+ * CredentialProvider - 凭据来源
+ *
+ * 数据库密码、Central API Token、SSH 私钥在使用时才解析（连接数据库、调用中心 API、执行 SSH 前），
+ * 解析结果按 TTL 缓存，凭据轮换后无需重启即可生效；认证失败时调用方 invalidate 后下次立即重新获取。
+ *
+ * 来源通过 <NAME>_SOURCE 环境变量配置，未配置时读取同名环境变量：
+ * - env:SR_PASSWORD                              环境变量
+ * - file:/var/run/secrets/starrocks/password     文件内容（如挂载的 Kubernetes Secret）
+ * - mycnf:~/.my.cnf#client                       mysql 选项文件中指定段（默认 client）的 password
+ * - command:/usr/local/bin/get-secret starrocks  外部命令（credential_process），不经过 shell 执行，
+ *                                                取 stdout；输出 JSON 时取 value / password / token / secret 字段
+ * - vault:http://127.0.0.1:8200/v1/secret/data/starrocks#password
+ *                                                Vault 兼容 HTTP 接口（KV v1/v2），Token 取 VAULT_TOKEN 或 ~/.vault-token
+ */
+class CredentialProvider {
+  static SCHEMES = ['env', 'file', 'mycnf', 'command', 'vault'];
+  // 来源暂时不可用、沿用旧值时的重试间隔
+  static RETRY_MS = 30000;
+
+  /**
+   * @param {Object} options - { ttlMs, timeoutMs, run }，run(file, args, { timeout }) 执行外部命令
+   */
+  constructor({ ttlMs = 300000, timeoutMs = 10000, run } = {}) {
+    this.ttlMs = ttlMs;
+    this.timeoutMs = timeoutMs;
+    this.run = run;
+    this.sources = new Map(); // name -> { scheme, target, fragment }
+    this.cache = new Map();   // name -> { value, expiresAt }
+    this.pending = new Map(); // name -> Promise，并发调用共享同一次解析
+  }
+
+  /**
+   * 登记凭据来源；spec 为空时读取同名环境变量，配置无效时同样回退到环境变量
+   * @param {Object} options - { isSecret(value) }：取到的值是否为机密，只有机密才登记脱敏（默认都是）
+   */
+  define(name, spec = '', { isSecret = null } = {}) {
+    let source = CredentialProvider.parseSource(spec || `env:${name}`);
+    if (!source) {
+      console.error(`⚠️  凭据 ${name} 的来源配置无效 (${spec})，使用环境变量 ${name}`);
+      source = { scheme: 'env', target: name, fragment: '' };
+    }
+    this.sources.set(name, { ...source, isSecret });
+  }
+
+  /**
+   * 解析来源配置 scheme:target[#fragment]；mycnf 和 vault 的 # 之后为段名 / 字段名
+   */
+  static parseSource(spec) {
+    const match = /^([a-z]+):(.+)$/.exec(String(spec).trim());
+    if (!match || !CredentialProvider.SCHEMES.includes(match[1])) return null;
+    const [, scheme, rest] = match;
+    const hashIndex = scheme === 'mycnf' || scheme === 'vault' ? rest.lastIndexOf('#') : -1;
+    if (hashIndex === -1) return { scheme, target: rest, fragment: '' };
+    return { scheme, target: rest.slice(0, hashIndex), fragment: rest.slice(hashIndex + 1) };
+  }
+
+  static expandHome(file) {
+    return file === '~' || file.startsWith('~/') ? path.join(os.homedir(), file.slice(1)) : file;
+  }
+
+  /**
+   * 获取凭据（缓存未过期时直接返回）
+   * @returns {Promise<string>} 未配置时为空串
+   */
+  async get(name) {
+    const cached = this.cache.get(name);
+    if (cached && Date.now() < cached.expiresAt) return cached.value;
+    if (!this.pending.has(name)) {
+      this.pending.set(name, this.refresh(name, cached).finally(() => this.pending.delete(name)));
+    }
+    return this.pending.get(name);
+  }
+
+  /**
+   * 丢弃缓存（认证失败时调用，下次 get 重新从来源读取）
+   */
+  invalidate(name) {
+    this.cache.delete(name);
+  }
+
+  async refresh(name, stale) {
+    const source = this.sources.get(name) || { scheme: 'env', target: name, fragment: '' };
+    try {
+      const value = await this.resolve(source);
+      if (!source.isSecret || source.isSecret(value)) secrets.register(value);
+      if (stale && stale.value !== value) {
+        console.error(`   🔑 凭据 ${name} 已更新 (${source.scheme})`);
+      }
+      this.cache.set(name, { value, expiresAt: Date.now() + this.ttlMs });
+      return value;
+    } catch (error) {
+      // 来源暂时不可用（Vault 重启、命令超时）时沿用旧值，稍后再试；被 invalidate 过的不会走到这里
+      if (stale) {
+        console.error(`⚠️  凭据 ${name} 刷新失败，沿用缓存值: ${error.message}`);
+        this.cache.set(name, { value: stale.value, expiresAt: Date.now() + Math.min(this.ttlMs, CredentialProvider.RETRY_MS) });
+        return stale.value;
+      }
+      throw new Error(`凭据 ${name} 获取失败 (${source.scheme}:${source.target}): ${error.message}`);
+    }
+  }
+
+  async resolve({ scheme, target, fragment }) {
+    switch (scheme) {
+      case 'env':
+        return process.env[target] || '';
+      case 'file':
+        return fs.readFileSync(CredentialProvider.expandHome(target), 'utf-8').trim();
+      case 'mycnf':
+        return CredentialProvider.readOptionFile(CredentialProvider.expandHome(target), fragment || 'client', 'password');
+      case 'command':
+        return this.runCommand(target);
+      case 'vault':
+        return this.fetchVault(target, fragment || 'value');
+      default:
+        throw new Error(`不支持的凭据来源 ${scheme}`);
+    }
+  }
+
+  /**
+   * 读取 mysql 选项文件（~/.my.cnf 格式）中指定段的选项，同名段重复时以最后一次为准
+   */
+  static readOptionFile(file, section, key) {
+    let current = null;
+    let value = null;
+    for (const rawLine of fs.readFileSync(file, 'utf-8').split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+      const header = /^\[(.+)\]$/.exec(line);
+      if (header) {
+        current = header[1].trim();
+        continue;
+      }
+      const eq = line.indexOf('=');
+      if (current !== section || eq === -1) continue;
+      if (line.slice(0, eq).trim().replace(/-/g, '_') !== key) continue;
+
+      const raw = line.slice(eq + 1).trim();
+      const quote = raw[0];
+      if ((quote === '"' || quote === '\'') && raw.length > 1 && raw.endsWith(quote)) {
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', s: ' ' };
+        value = raw.slice(1, -1).replace(/\\(.)/g, (_, c) => escapes[c] ?? c);
+      } else {
+        // 未加引号的值中 # 之后为注释
+        value = raw.replace(/\s+#.*$/, '');
+      }
+    }
+    if (value === null) throw new Error(`${file} 的 [${section}] 段没有 ${key}`);
+    return value;
+  }
+
+  /**
+   * 执行外部命令获取凭据（只接受单条简单命令，按参数直接执行）
+   */
+  async runCommand(commandLine) {
+    const parsed = SshPolicy.parse(commandLine);
+    if (parsed.length !== 1 || parsed[0].redirects.length > 0) {
+      throw new Error('credential_process 只支持单条简单命令（不含管道和重定向）');
+    }
+    const [file, ...args] = parsed[0].words;
+    const { stdout } = await this.run(file, args, { timeout: this.timeoutMs });
+    const output = stdout.trim();
+    if (!output.startsWith('{')) return output;
+
+    const data = JSON.parse(output);
+    const value = data.value ?? data.password ?? data.token ?? data.secret;
+    if (typeof value !== 'string') {
+      throw new Error('命令输出的 JSON 中没有 value / password / token / secret 字段');
+    }
+    return value;
+  }
+
+  /**
+   * 从 Vault 兼容的 HTTP 接口读取字段（KV v2 数据在 data.data，KV v1 在 data）
+   */
+  async fetchVault(url, field) {
+    const headers = {};
+    let token = process.env.VAULT_TOKEN || '';
+    const tokenFile = path.join(os.homedir(), '.vault-token');
+    if (!token && fs.existsSync(tokenFile)) {
+      token = fs.readFileSync(tokenFile, 'utf-8').trim();
+      secrets.register(token);
+    }
+    if (token) {
+      headers['X-Vault-Token'] = token;
+    }
+
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const body = await response.json();
+    const data = body?.data?.data && typeof body.data.data === 'object' ? body.data.data : body?.data;
+    if (!data || data[field] === undefined || data[field] === null) {
+      throw new Error(`响应中没有字段 ${field}`);
+    }
+    return String(data[field]);
+  }
+}
+
+/**
+ * ClusterRegistry - 多集群注册表
+ *
+ * 每个集群有自己的数据库地址、凭据、Prometheus、跳板机、SSH 用户和私钥；工具调用通过 cluster 参数选择，
+ * 省略时使用默认集群。未配置 CLUSTERS_FILE 时只有一个由 SR_* / PROMETHEUS_* / SSH_* 环境变量描述的集群
+ * （名称取 SR_CLUSTER_NAME，默认 default）。
+ *
+ * 集群配置文件（CLUSTERS_FILE）格式：
+ * {
+ *   "default": "prod-bj",
+ *   "clusters": {
+ *     "prod-bj": {
+ *       "description": "北京生产集群",
+ *       "host": "10.0.1.10", "port": 9030, "user": "diag",
+ *       "password_source": "vault:http://127.0.0.1:8200/v1/secret/data/sr-prod-bj#password",
+ *       "prometheus": { "protocol": "http", "host": "10.0.1.20", "port": 9090 },
+ *       "ssh_jump_host": "jump-bj.example.com", "ssh_user": "ops",
+ *       "ssh_key_source": "file:/etc/starrocks-mcp/keys/prod-bj.path",
+ *       "tls": { "mode": "verify_identity", "ca": "/etc/starrocks-mcp/tls/ca.pem",
+ *                "cert": "/etc/starrocks-mcp/tls/client.pem", "key": "/etc/starrocks-mcp/tls/client-key.pem" },
+ *       "auth_plugin": "authentication_ldap_simple"
+ *     },
+ *     "staging": { "host": "10.0.9.10", "password_source": "env:SR_PASSWORD_STAGING" }
+ *   }
+ * }
+ * 未配置的字段使用对应的环境变量；password_source / ssh_key_source 的格式见 CredentialProvider，
+ * 也可以用 ssh_key_path 直接指定私钥路径。每个集群的隧道本地端口默认为 19030 起依次递增（tunnel_local_port）。
+ * tls.mode 同 mysql 客户端的 --ssl-mode：disabled、required（加密但不校验证书）、verify_ca、verify_identity；
+ * auth_plugin 为 authentication_ldap_simple 时按 mysql_clear_password 发送明文密码，要求 tls.mode 为
+ * verify_ca 或 verify_identity（required 不校验证书，中间人可以直接拿到密码）。
+ * 配置无效的集群保留在注册表中（list_clusters 可见），连接时报告 configError。
+ */
+class ClusterRegistry {
+  static NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+  static TUNNEL_BASE_PORT = 19030;
+  static TLS_MODES = ['disabled', 'required', 'verify_ca', 'verify_identity'];
+  static AUTH_PLUGINS = ['mysql_native_password', 'authentication_ldap_simple'];
+
+  constructor(registryFile = '', env = process.env) {
+    this.registryFile = registryFile;
+    this.clusters = new Map(); // name -> 集群配置和运行时状态
+    this.defaultName = null;
+
+    let loaded = null;
+    if (registryFile) {
+      try {
+        loaded = JSON.parse(fs.readFileSync(registryFile, 'utf-8'));
+        if (!loaded?.clusters || typeof loaded.clusters !== 'object' || Array.isArray(loaded.clusters)) {
+          throw new Error('缺少 clusters 对象');
+        }
+      } catch (error) {
+        console.error(`⚠️  集群配置文件 ${registryFile} 加载失败，只使用环境变量中的集群: ${error.message}`);
+        loaded = null;
+      }
+    }
+
+    const specs = loaded
+      ? Object.entries(loaded.clusters)
+      : [[env.SR_CLUSTER_NAME || 'default', {}]];
+    for (const [name, spec] of specs) {
+      if (!ClusterRegistry.NAME_PATTERN.test(name)) {
+        console.error(`⚠️  集群名称 ${name} 无效（只能包含字母、数字、_ . -），已忽略`);
+        continue;
+      }
+      this.clusters.set(name, ClusterRegistry.build(name, spec || {}, this.clusters.size, env, Boolean(loaded)));
+    }
+    if (this.clusters.size === 0) {
+      const name = env.SR_CLUSTER_NAME || 'default';
+      this.clusters.set(name, ClusterRegistry.build(name, {}, 0, env));
+    }
+
+    this.defaultName = this.clusters.has(loaded?.default) ? loaded.default : this.clusters.keys().next().value;
+  }
+
+  /**
+   * 由配置项生成集群对象（未配置的字段取环境变量）
+   */
+  static build(name, spec, index, env, fromFile = false) {
+    const prometheus = spec.prometheus || {};
+    const host = spec.host || env.SR_HOST || 'localhost';
+    const port = parseInt(spec.port) || parseInt(env.SR_PORT) || 9030;
+    return {
+      name,
+      description: spec.description || '',
+      dbConfig: {
+        host,
+        user: spec.user || env.SR_USER || 'root',
+        // 配置了凭据来源时在连接前刷新；未配置时沿用 SR_PASSWORD 的来源
+        password: spec.password_source ? '' : env.SR_PASSWORD || '',
+        port,
+      },
+      // 原始数据库地址（隧道建立后 dbConfig 会被改为 127.0.0.1:localPort）
+      originalDbHost: host,
+      originalDbPort: port,
+      passwordCredential: `SR_PASSWORD@${name}`,
+      passwordSource: spec.password_source || env.SR_PASSWORD_SOURCE || 'env:SR_PASSWORD',
+      // mysql 客户端配置文件：每个集群一份，日志中可复现的 mysql 命令通过 --defaults-extra-file 引用
+      mysqlDefaultsFile: spec.mysql_defaults_file || (fromFile
+        ? path.join(os.homedir(), '.starrocks-mcp', `mysql-${name}.cnf`)
+        : env.MYSQL_DEFAULTS_FILE || path.join(os.homedir(), '.starrocks-mcp', 'mysql.cnf')),
+      prometheusConfig: {
+        protocol: prometheus.protocol || env.PROMETHEUS_PROTOCOL || 'http',
+        host: prometheus.host || env.PROMETHEUS_HOST || 'localhost',
+        port: parseInt(prometheus.port) || parseInt(env.PROMETHEUS_PORT) || 9090,
+      },
+      // 跳板机为空时不启用隧道和 SSH 降级
+      sshJumpHost: spec.ssh_jump_host ?? env.SSH_JUMP_HOST ?? '',
+      sshUser: spec.ssh_user || env.SSH_USER || os.userInfo().username,
+      sshKeyPath: spec.ssh_key_path || '',
+      sshKeyCredential: `SSH_KEY@${name}`,
+      sshKeySource: spec.ssh_key_source || env.SSH_KEY_SOURCE || 'env:SSH_KEY_PATH',
+      dbTunnelLocalPort: parseInt(spec.tunnel_local_port) || ClusterRegistry.TUNNEL_BASE_PORT + index,
+      ...ClusterRegistry.buildSecurity(name, spec, env),
+
+      // 运行时状态
+      sshTunnelProcess: null,  // SSH 隧道进程
+      dbConnectionMode: null,  // 'direct' | 'tunnel' | null (未探测)
+      sshNodeModes: {},        // { nodeIp: 'direct' | 'tunnel' } 逐节点 SSH 模式
+    };
+  }
+
+  /**
+   * TLS 与认证插件配置（直连和隧道都生效），检查不通过时记录 configError，连接时拒绝而不是降级为明文
+   */
+  static buildSecurity(name, spec, env) {
+    const tls = spec.tls || {};
+    const dbTls = {
+      mode: String(tls.mode || env.SR_TLS_MODE || 'disabled').toLowerCase(),
+      ca: tls.ca ?? env.SR_TLS_CA ?? '',
+      cert: tls.cert ?? env.SR_TLS_CERT ?? '',
+      key: tls.key ?? env.SR_TLS_KEY ?? '',
+      servername: tls.servername ?? env.SR_TLS_SERVERNAME ?? '',
+    };
+    const authPlugin = spec.auth_plugin || env.SR_AUTH_PLUGIN || 'mysql_native_password';
+
+    let configError = null;
+    if (!ClusterRegistry.TLS_MODES.includes(dbTls.mode)) {
+      configError = `tls.mode ${dbTls.mode} 无效（可选 ${ClusterRegistry.TLS_MODES.join(' / ')}）`;
+    } else if (!ClusterRegistry.AUTH_PLUGINS.includes(authPlugin)) {
+      configError = `auth_plugin ${authPlugin} 无效（可选 ${ClusterRegistry.AUTH_PLUGINS.join(' / ')}）`;
+    } else if (authPlugin === 'authentication_ldap_simple' && !['verify_ca', 'verify_identity'].includes(dbTls.mode)) {
+      configError = 'authentication_ldap_simple 以明文发送密码，tls.mode 需要为 verify_ca 或 verify_identity';
+    } else if (Boolean(dbTls.cert) !== Boolean(dbTls.key)) {
+      configError = 'tls.cert 和 tls.key 需要同时配置';
+    }
+    if (configError) console.error(`⚠️  集群 ${name} 的数据库连接配置无效: ${configError}`);
+    return { dbTls, authPlugin, configError };
+  }
+
+  get(name) {
+    return this.clusters.get(name) || null;
+  }
+
+  get names() {
+    return [...this.clusters.keys()];
+  }
+
+  get default() {
+    return this.clusters.get(this.defaultName);
+  }
+
+  /**
+   * 集群概要（list_clusters 使用，不含凭据）
+   */
+  describe(cluster) {
+    const { protocol, host, port } = cluster.prometheusConfig;
+    return {
+      name: cluster.name,
+      description: cluster.description,
+      default: cluster.name === this.defaultName,
+      database: `${cluster.originalDbHost}:${cluster.originalDbPort}`,
+      user: cluster.dbConfig.user,
+      prometheus: `${protocol}://${host}:${port}`,
+      ssh_jump_host: cluster.sshJumpHost || null,
+      ssh_user: cluster.sshUser,
+      tls_mode: cluster.dbTls.mode,
+      auth_plugin: cluster.authPlugin,
+      ...(cluster.configError ? { config_error: cluster.configError } : {}),
+      connection_mode: cluster.dbConnectionMode,
+    };
+  }
+}
+
+class ThinMCPServer {
+  constructor() {
+    // 登记环境变量中的凭据，之后所有控制台输出都经过脱敏
+    secrets.registerFrom(process.env);
+    secrets.installConsole();
+
+    // 初始化 Logger
+    const scriptDir = path.dirname(new URL(import.meta.url).pathname);
+    const logDir = path.join(scriptDir, 'logs');
+
+    // 从环境变量读取日志配置（默认启用）
+    const loggingEnabled = process.env.ENABLE_LOGGING !== 'false';
+    this.logger = new Logger(logDir, loggingEnabled);
+    // 审计日志：单独记录执行的 SQL / SSH / CLI 命令和文件读取，哈希链防篡改（默认启用）
+    this.auditJournal = new AuditJournal(AuditJournal.defaultFile(), process.env.ENABLE_AUDIT_LOG !== 'false');
+
+    // 中心 API 配置
+    this.centralAPI = process.env.CENTRAL_API || 'http://localhost:80';
+
+    // 凭据来源：数据库密码、Central API Token、SSH 私钥在使用时解析并按 TTL 缓存，轮换后无需重启
+    this.credentials = new CredentialProvider({
+      ttlMs: parseInt(process.env.CREDENTIAL_CACHE_TTL_MS) || 300000,
+      timeoutMs: parseInt(process.env.CREDENTIAL_TIMEOUT_MS) || 10000,
+      run: (file, args, options) => this.execFileGroup(file, args, options),
+    });
+    this.credentials.define('CENTRAL_API_TOKEN', process.env.CENTRAL_API_TOKEN_SOURCE);
+
+    // 集群注册表：数据库、Prometheus、跳板机按集群配置，工具调用通过 cluster 参数选择（默认集群见 CLUSTERS_FILE）
+    // 每个集群的数据库密码和 SSH 私钥单独登记凭据来源；mysql 客户端配置文件不内联密码，日志中的 mysql 命令引用它
+    this.clusters = new ClusterRegistry(process.env.CLUSTERS_FILE || '');
+    for (const cluster of this.clusters.clusters.values()) {
+      this.credentials.define(cluster.passwordCredential, cluster.passwordSource);
+      // SSH_KEY_PATH 等来源返回的是私钥路径，不是机密；只有返回私钥内容时才登记脱敏
+      this.credentials.define(cluster.sshKeyCredential, cluster.sshKeySource, {
+        isSecret: (value) => value.includes('PRIVATE KEY-----'),
+      });
+      this.ensureMysqlDefaultsFile(cluster);
+    }
+
+    // SQL 只读策略：Central API 下发的语句执行前分类，默认拒绝 DML/DDL/ADMIN SET 等修改类语句
+    this.sqlPolicy = new SqlPolicy(process.env.SQL_POLICY_FILE || '');
+    // SQL 结果脱敏：上传 Central API 前按规则处理 SQL 文本中的字面量、用户名、IP 等
+    this.resultMasker = new ResultMasker(process.env.RESULT_MASKING_FILE || '');
+
+    // SSH 命令策略：Central API 下发的远程命令执行前检查命令族、重定向和读取路径
+    this.sshPolicy = new SshPolicy(process.env.SSH_POLICY_FILE || '');
+    // CLI 指令中 --endpoint-url 等选项允许的服务地址（逗号分隔），未配置时只能使用各 CLI 的默认地址
+    this.cliAllowedEndpoints = (process.env.CLI_ALLOWED_ENDPOINTS || '').split(',').map((e) => e.trim()).filter(Boolean);
+    // SSH 主机密钥：MCP Server 自己维护的 known_hosts，首次使用时登记，密钥变化时拒绝连接
+    this.sshHostKeys = new SshHostKeys(
+      process.env.SSH_KNOWN_HOSTS_FILE || path.join(os.homedir(), '.starrocks-mcp', 'known_hosts'),
+      process.env.SSH_HOST_KEY_CHECKING || 'tofu',
+    );
+
+    // 数据库连接池：每个集群一个 mysql2 连接池，多阶段分析复用连接，不再每次重新建连（尤其经 SSH 隧道时）
+    // 新连接先执行会话初始化语句；取出时检查连接寿命，空闲较久的连接先 ping
+    this.dbPoolConfig = {
+      connectionLimit: parseInt(process.env.DB_POOL_SIZE) || 4,
+      maxIdle: parseInt(process.env.DB_POOL_MAX_IDLE) || 2,
+      idleTimeout: parseInt(process.env.DB_POOL_IDLE_TIMEOUT_MS) || 60000,
+      maxLifetimeMs: parseInt(process.env.DB_POOL_MAX_LIFETIME_MS) || 1800000,
+      healthCheckIdleMs: parseInt(process.env.DB_POOL_HEALTH_CHECK_IDLE_MS) || 30000,
+      // 禁用 session 的 profile 记录，避免系统查询挤掉用户查询的 profile；DB_SESSION_INIT 追加的语句以分号分隔
+      sessionInit: [
+        'SET enable_profile = false',
+        ...(process.env.DB_SESSION_INIT || '').split(';').map((stmt) => stmt.trim()).filter(Boolean),
+      ],
+    };
+    this.dbPools = new Map(); // 集群名称 -> { pool, mode, password, created, lastUsed }
+    // SQL 执行超时：Central API 可在查询指令中用 timeout_ms 覆盖默认值（不超过上限）
+    // 同时设置会话的 StarRocks query_timeout，客户端截止时间到达后通过另一条连接 KILL QUERY
+    this.sqlTimeoutConfig = {
+      defaultMs: parseInt(process.env.SQL_QUERY_TIMEOUT_MS) || 120000,
+      maxMs: parseInt(process.env.SQL_QUERY_TIMEOUT_MAX_MS) || 600000,
+      killGraceMs: 5000, // 截止后等待 KILL QUERY 生效的时间，超过则放弃该连接
+    };
+    this.dbQueryTimeouts = new WeakMap(); // 底层连接 -> { original, current }：会话原有和当前的 query_timeout（秒）
+    // SQL 结果上限：流式读取，超出 max_rows / max_bytes 的行不保留（查询指令可覆盖，见 ResultCollector）
+    this.sqlResultLimits = {
+      maxRows: parseInt(process.env.SQL_MAX_ROWS) || 50000,
+      maxBytes: parseInt(process.env.SQL_MAX_BYTES) || 16 * 1024 * 1024,
+    };
+
+    // 工具缓存（避免重复请求 API）
+    this.toolsCache = null;
+    this.cacheTime = null;
+    this.cacheTTL = 3600000; // 1小时缓存
+    // 后台轮询 /api/tools（带 ETag），工具目录变化时通知客户端；最近一次成功获取的目录保存到磁盘，
+    // Central API 不可用时冷启动也能列出工具
+    this.toolsEtag = null;
+    // 默认 5 分钟，0 表示关闭后台轮询
+    const toolsRefreshInterval = parseInt(process.env.TOOLS_REFRESH_INTERVAL_MS);
+    this.toolsRefreshInterval = Number.isNaN(toolsRefreshInterval) ? 300000 : toolsRefreshInterval;
+    this.toolsRefreshing = null; // 进行中的后台刷新
+    this.toolsCacheFile = process.env.TOOLS_CACHE_FILE ||
+      path.join(os.homedir(), '.starrocks-mcp', 'tools-cache.json');
+    this.toolsRefreshTimer = null;
+    // 本地覆盖的工具注解（JSON: { "<tool>": { "readOnlyHint": false }, "*": { ... } }），优先于 Central API 元数据
+    this.toolAnnotationsFile = process.env.TOOL_ANNOTATIONS_FILE || '';
+    this.toolAnnotationOverrides = this.loadToolAnnotationOverrides();
+
+    // 参数补全缓存（按集群缓存库名、表名、label、query_id 候选值）
+    this.completionCache = new Map(); // `${cluster}|${argName}|${scope}` -> { values, time }
+    this.completionCacheTTL = 30000;
+
+    // Prompt 模板缓存（Central API 不可用时使用本地模板）
+    this.promptsCache = null;
+    this.promptsCacheTime = null;
+
+    // 会话存储（用于分步执行时保存中间结果）
+    this.sessionStorage = new Map();
+    this.sessionTTL = 3600000; // 会话数据保留1小时
+
+    // 报告资源（分析报告以 MCP resource 发布，客户端与 Server 不在同一台机器时也能读取）
+    this.reportResources = new Map(); // uri -> { uri, name, title, mimeType, path, toolName, createdAt }
+    this.maxReportResources = 100;
+    this.stdioServer = null; // stdio 模式下的 MCP Server 实例（HTTP 模式的实例在 httpSessions 中）
+
+    // 本地文件读取沙箱：read_file 和 file_path / table_schema_path / large_file_path 读取的内容会上传 Central API，
+    // 只允许读取报告目录、/tmp/sr_* 和 profile 目录（FILE_READ_ROOTS 可覆盖，逗号分隔，末尾 * 表示前缀匹配）
+    this.reportDir = process.env.REPORT_DIR || '/tmp/sr_reports';
+    this.profilesDir = process.env.PROFILES_DIR || path.join(os.homedir(), '.starrocks-mcp', 'profiles');
+    this.fileReadRoots = process.env.FILE_READ_ROOTS
+      ? process.env.FILE_READ_ROOTS.split(',').map((root) => root.trim()).filter(Boolean)
+      : [this.reportDir, '/tmp/sr_*', this.profilesDir];
+    this.fileReadMaxBytes = parseInt(process.env.FILE_READ_MAX_BYTES) || 20 * 1024 * 1024; // 默认 20MB
+
+    // Elicitation：客户端支持时由 MCP Server 直接向用户询问（任务选择、sudo 密码），等待用户输入的超时
+    this.elicitationTimeout = parseInt(process.env.MCP_ELICITATION_TIMEOUT_MS) || 600000;
+
+    // 审批模式：SSH、CLI 和非 SELECT 的 SQL 执行前暂停，返回待执行命令，用户带 approval_token 再次调用后才执行
+    this.requireApproval = process.env.REQUIRE_APPROVAL === 'true';
+    // 客户端不支持 elicitation 时，审批令牌写入此目录（每个会话一个文件，权限 600）并输出到 stderr，不通过工具结果返回
+    this.approvalTokenDir = process.env.APPROVAL_TOKEN_DIR || path.join(os.homedir(), '.starrocks-mcp', 'approvals');
+
+    // 传输层配置（默认 stdio；MCP_TRANSPORT=http 时启用 Streamable HTTP + 旧版 SSE）
+    // HTTP 模式下一个常驻实例可同时服务多个工程师的 MCP 客户端
+    this.transportMode = (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+    this.httpConfig = {
+      host: process.env.MCP_HTTP_HOST || '127.0.0.1',
+      port: parseInt(process.env.MCP_HTTP_PORT) || 3100,
+      tokens: process.env.MCP_HTTP_TOKENS || '',          // "alice:token1,bob:token2"
+      tokensFile: process.env.MCP_HTTP_TOKENS_FILE || '', // JSON: { "alice": "token1" }
+    };
+    this.httpSessions = new Map(); // sessionId -> { transport, server, clientId, kind }
+
+    // MCP logging：执行过程以 notifications/message 发给客户端
+    // 默认级别 MCP_LOG_LEVEL（info），客户端可通过 logging/setLevel 调整；请求上下文用于只通知发起请求的客户端
+    this.clientLogLevel = MCP_LOG_LEVELS.includes(process.env.MCP_LOG_LEVEL)
+      ? process.env.MCP_LOG_LEVEL
+      : 'info';
+    this.clientLogLevels = new WeakMap(); // Server 实例 -> 客户端设置的级别
+    this.requestContext = new AsyncLocalStorage(); // { server, requestId, cluster, dryRun, dryRunCommands, approval, secrets }
+    secrets.useScope(() => this.requestContext.getStore()?.secrets || null);
+    // 文件日志的每条记录都带上当前请求的集群
+    this.logger.context = () => {
+      const cluster = this.requestContext.getStore()?.cluster;
+      return cluster ? { cluster: cluster.name } : {};
+    };
+
+    console.error('🤖 Thin MCP Server initialized');
+    console.error(`   Central API: ${this.centralAPI}`);
+    for (const cluster of this.clusters.clusters.values()) {
+      const isDefault = cluster.name === this.clusters.defaultName;
+      console.error(`   Cluster ${cluster.name}${isDefault ? ' (default)' : ''}:`);
+      console.error(`      Database: ${cluster.dbConfig.host}:${cluster.dbConfig.port}`);
+      if (cluster.sshJumpHost) {
+        console.error(`      SSH Jump Host: ${cluster.sshJumpHost}`);
+      }
+      console.error(
+        `      Prometheus: ${cluster.prometheusConfig.protocol}://${cluster.prometheusConfig.host}:${cluster.prometheusConfig.port}`,
+      );
+    }
+    console.error(`   Transport: ${this.transportMode}`);
+    console.error(`   Logging: ${loggingEnabled ? 'enabled' : 'disabled'}`);
+    if (loggingEnabled) {
+      console.error(`   Log directory: ${logDir}`);
+    }
+
+    // 打印所有环境变量到 console 和日志文件（敏感变量只显示 ***MASKED***）
+    console.error('\n📋 Environment Variables:');
+    const envVars = secrets.redactObject({ ...process.env });
+    Object.keys(envVars).sort().forEach((key) => {
+      console.error(`   ${key}=${envVars[key]}`);
+    });
+
+    // 记录环境变量到日志文件
+    if (loggingEnabled) {
+      this.logger.logEnvironmentVariables();
+    }
+
+    // ========== 重构说明 ==========
+    // 所有工具都通过 Central API 编排（Solution C 模式）
+    // MCP Server 只负责执行原子操作：
+    // - 执行 SQL（executeQueries）
+    // - 读取本地文件（handleReadFileLocally）
+    // - SSH 执行命令（executeSshCommands）
+    // - 查询 Prometheus（queryPrometheusRange）
+    //
+    // Central API 通过以下指令编排：
+    // - requires_sql_execution / next_queries → 执行 SQL
+    // - requires_tool_call: read_file → 读取文件
+    // - requires_ssh_execution → SSH 命令
+    // - requires_prometheus_query → Prometheus 查询
+    //
+    // 不再有 localTools 概念，所有工具都走 handleSolutionCTool
+  }
+
+  /**
+   * 建立 SSH 隧道到数据库（通过跳板机中转）
+   * 将远程数据库端口映射到集群的本地隧道端口 dbTunnelLocalPort
+   */
+  async ensureDbTunnel(cluster = this.currentCluster()) {
+    // 如果没有跳板机或已经建立隧道，直接返回
+    if (!cluster.sshJumpHost || cluster.sshTunnelProcess) {
+      return;
+    }
+
+    // 使用原始数据库地址（dbConfig 可能已被改为 127.0.0.1:localPort）
+    const dbHost = cluster.originalDbHost || cluster.dbConfig.host;
+    const dbPort = cluster.originalDbPort || cluster.dbConfig.port;
+    const localPort = cluster.dbTunnelLocalPort;
+    const jumpSpec = cluster.sshJumpHost.includes('@')
+      ? cluster.sshJumpHost
+      : `${cluster.sshUser}@${cluster.sshJumpHost}`;
+    const sshKeyPath = await this.getSshKeyPath(cluster);
+    const keyOpt = sshKeyPath ? ['-i', sshKeyPath] : [];
+
+    console.error(`   🔗 建立 SSH 隧道: 127.0.0.1:${localPort} → ${dbHost}:${dbPort} (via ${cluster.sshJumpHost})`);
+
+    return new Promise((resolve, reject) => {
+      const args = [
+        ...this.sshHostKeys.options(),
+        '-o', 'ConnectTimeout=10',
+        '-o', 'ServerAliveInterval=30',
+        '-o', 'ServerAliveCountMax=3',
+        '-N', // 不执行远程命令
+        '-L', `${localPort}:${dbHost}:${dbPort}`,
+        ...keyOpt,
+        jumpSpec,
+      ];
+
+      const tunnel = spawn('ssh', args, {
+        stdio: ['ignore', 'ignore', 'pipe'],
+        detached: false,
+      });
+
+      cluster.sshTunnelProcess = tunnel;
+
+      let stderrText = '';
+      tunnel.stderr.on('data', (data) => {
+        const msg = data.toString().trim();
+        stderrText += data.toString();
+        if (msg) console.error(`   [SSH-Tunnel] ${msg}`);
+      });
+
+      tunnel.on('close', (code) => {
+        console.error(`   [SSH-Tunnel] 隧道关闭 (code=${code})`);
+        cluster.sshTunnelProcess = null;
+        // 经隧道的池化连接随之失效
+        if (this.dbPools.get(cluster.name)?.mode === 'tunnel') {
+          this.closeDbPool(cluster.name, 'SSH 隧道关闭');
+        }
+      });
+
+      // 等待隧道建立（给 SSH 一点时间建连）
+      setTimeout(() => {
+        const established = tunnel.exitCode === null;
+        const hostKeyError = established ? null : this.sshHostKeys.diagnose(stderrText, cluster.sshJumpHost);
+        this.audit('ssh', CliPolicy.format('ssh', args), established ? 'success' : 'error', {
+          host: cluster.sshJumpHost,
+          detail: established
+            ? `tunnel 127.0.0.1:${localPort} → ${dbHost}:${dbPort}`
+            : hostKeyError || `exit code ${tunnel.exitCode}`,
         });
-        await conn.execute('SELECT 1');
-        this._dbConnectionMode = 'tunnel';
+        // 跳板机主机密钥校验失败时直接报错，不当作普通的连接失败
+        if (hostKeyError) {
+          console.error(`   ❌ ${hostKeyError}`);
+          this.clientLog('error', 'ssh', hostKeyError);
+          reject(new Error(hostKeyError));
+          return;
+        }
+        if (established) {
+          // 隧道进程还在运行，修改 dbConfig 指向本地隧道端口
+          cluster.dbConfig.host = '127.0.0.1';
+          cluster.dbConfig.port = localPort;
+          console.error(`   ✅ SSH 隧道已建立, 数据库连接切换到 127.0.0.1:${localPort}`);
+        }
+        resolve();
+      }, 2000);
+    });
+  }
+
+  /**
+   * 初始化数据库连接（启动时调用）
+   * 不再主动建隧道，改为首次 getDbConnection() 时惰性探测（直连优先）
+   */
+  initDbConnection() {
+    for (const cluster of this.clusters.clusters.values()) {
+      if (cluster.sshJumpHost) {
+        console.error(`   [${cluster.name}] SSH Jump Host 已配置: ${cluster.sshJumpHost} (将在直连失败时作为降级方案)`);
+      }
+    }
+  }
+
+  /**
+   * 当前请求选择的集群（请求上下文之外，如启动和后台任务，为默认集群）
+   */
+  currentCluster() {
+    return this.requestContext.getStore()?.cluster || this.clusters.default;
+  }
+
+  /**
+   * 当前请求的客户端（HTTP 模式为令牌对应的 clientId，stdio 模式为 null）；会话和报告按它隔离
+   */
+  currentClientId() {
+    return this.requestContext.getStore()?.clientId || null;
+  }
+
+  /**
+   * 获取当前集群的数据库连接（直连优先，跳板机降级），用完后调用 connection.release() 归还连接池
+   * - 首次调用时探测：先尝试直连，失败则通过跳板机建隧道
+   * - 探测结果按集群缓存，后续调用直接使用已确定的模式
+   * - 连接失败时重置缓存并关闭连接池，允许重新探测
+   */
+  async getDbConnection(cluster = this.currentCluster()) {
+    await this.refreshDbPassword(cluster);
+
+    // === 已确定为直连模式 ===
+    if (cluster.dbConnectionMode === 'direct') {
+      try {
+        return await this.acquireDbConnection(cluster, 'direct');
+      } catch (err) {
+        console.error(`   ⚠️ 数据库直连失败，重置连接模式: ${err.message}`);
+        this.invalidateDbPassword(cluster, err);
+        cluster.dbConnectionMode = null;
+        await this.closeDbPool(cluster.name, '直连失败');
+        // 递归重新探测
+        return await this.getDbConnection(cluster);
+      }
+    }
+
+    // === 已确定为隧道模式 ===
+    if (cluster.dbConnectionMode === 'tunnel') {
+      // 检查隧道活性，死了重建
+      if (!cluster.sshTunnelProcess) {
+        console.error('   🔗 SSH 隧道已断开，重新建立...');
+        await this.ensureDbTunnel(cluster);
+      }
+      try {
+        return await this.acquireDbConnection(cluster, 'tunnel');
+      } catch (err) {
+        console.error(`   ⚠️ 隧道连接失败，重置连接模式: ${err.message}`);
+        this.invalidateDbPassword(cluster, err);
+        cluster.dbConnectionMode = null;
+        cluster.sshTunnelProcess = null;
+        await this.closeDbPool(cluster.name, '隧道连接失败');
+        return await this.getDbConnection(cluster);
+      }
+    }
+
+    // === 首次：探测连接模式 ===
+    // 1. 尝试直连
+    try {
+      console.error(`   🔍 尝试直连数据库 ${cluster.originalDbHost}:${cluster.originalDbPort}...`);
+      // 新连接会先执行会话初始化语句，成功即说明数据库可用
+      const conn = await this.acquireDbConnection(cluster, 'direct', 5000);
+      cluster.dbConnectionMode = 'direct';
+      // 确保 dbConfig 指向原始地址（以前可能被隧道改过）
+      cluster.dbConfig.host = cluster.originalDbHost;
+      cluster.dbConfig.port = cluster.originalDbPort;
+      console.error(`   ✅ 数据库直连成功`);
+      return conn;
+    } catch (directErr) {
+      console.error(`   ⚠️ 数据库直连失败: ${directErr.message}`);
+      this.invalidateDbPassword(cluster, directErr);
+      await this.closeDbPool(cluster.name, '直连探测失败');
+    }
+
+    // 2. 直连失败，尝试隧道降级
+    if (cluster.sshJumpHost) {
+      try {
+        console.error(`   🔗 降级到 SSH 隧道模式 (via ${cluster.sshJumpHost})...`);
+        await this.ensureDbTunnel(cluster);
+        const conn = await this.acquireDbConnection(cluster, 'tunnel');
+        cluster.dbConnectionMode = 'tunnel';
         // 更新 dbConfig 指向隧道（兼容其他可能直接读 dbConfig 的地方）
-        this.dbConfig.host = '127.0.0.1';
-        this.dbConfig.port = this.dbTunnelLocalPort;
+        cluster.dbConfig.host = '127.0.0.1';
+        cluster.dbConfig.port = cluster.dbTunnelLocalPort;
         console.error(`   ✅ SSH 隧道连接成功`);
         return conn;
       } catch (tunnelErr) {
         console.error(`   ❌ SSH 隧道连接也失败: ${tunnelErr.message}`);
+        this.invalidateDbPassword(cluster, tunnelErr);
+        await this.closeDbPool(cluster.name, '隧道连接失败');
         throw tunnelErr;
       }
     }
 
-    // 无跳板机可用
-    throw new Error(`数据库连接失败: 直连 ${this.originalDbHost}:${this.originalDbPort} 失败且未配置 SSH_JUMP_HOST`);
+    // 无跳板机可用
+    throw new Error(`数据库连接失败: 集群 ${cluster.name} 直连 ${cluster.originalDbHost}:${cluster.originalDbPort} 失败且未配置跳板机`);
+  }
+
+  /**
+   * 从集群的连接池取出连接（连接池按集群名称登记，直连和隧道共用）
+   * - 连接模式（direct / tunnel）或数据库密码变化时关闭旧连接池后重建
+   * - 新连接先执行会话初始化语句（dbPoolConfig.sessionInit）
+   * - 超过最大寿命的连接丢弃；空闲超过健康检查间隔的连接先 ping，失败则丢弃后重新取
+   * @param {Object} cluster - 集群（见 ClusterRegistry）
+   * @param {string} mode - direct / tunnel
+   * @param {number} connectTimeout - 新建连接池时的建连超时（毫秒）
+   */
+  async acquireDbConnection(cluster, mode, connectTimeout = 10000) {
+    if (cluster.configError) throw new Error(`集群 ${cluster.name} 的数据库连接配置无效: ${cluster.configError}`);
+    const key = cluster.name;
+    let entry = this.dbPools.get(key);
+    if (entry && (entry.mode !== mode || entry.password !== cluster.dbConfig.password)) {
+      await this.closeDbPool(key, entry.mode !== mode ? `连接模式 ${entry.mode} → ${mode}` : '数据库密码已更新');
+      entry = null;
+    }
+    if (!entry) {
+      const target = this.dbTarget(cluster, mode);
+      entry = {
+        mode,
+        password: cluster.dbConfig.password,
+        pool: mysql.createPool({
+          ...this.dbConnectionOptions(cluster, target),
+          user: cluster.dbConfig.user,
+          password: cluster.dbConfig.password,
+          connectTimeout,
+          connectionLimit: this.dbPoolConfig.connectionLimit,
+          maxIdle: this.dbPoolConfig.maxIdle,
+          idleTimeout: this.dbPoolConfig.idleTimeout,
+          enableKeepAlive: true,
+        }),
+        created: new WeakMap(), // 底层连接 -> 建立时间
+        lastUsed: new WeakMap(), // 底层连接 -> 上次取出时间
+      };
+      this.dbPools.set(key, entry);
+      const tls = cluster.dbTls.mode === 'disabled' ? '' : `, TLS ${cluster.dbTls.mode}`;
+      console.error(`   🏊 [${cluster.name}] 连接池已创建: ${target.host}:${target.port} (${mode}${tls}, 最多 ${this.dbPoolConfig.connectionLimit} 个连接)`);
+    }
+
+    for (;;) {
+      const connection = await entry.pool.getConnection();
+      const raw = connection.connection;
+      const now = Date.now();
+      if (!entry.created.has(raw)) {
+        entry.created.set(raw, now);
+        try {
+          for (const statement of this.dbPoolConfig.sessionInit) {
+            await this.auditedQuery(connection, statement);
+          }
+        } catch (error) {
+          connection.destroy();
+          throw error;
+        }
+      } else if (now - entry.created.get(raw) > this.dbPoolConfig.maxLifetimeMs) {
+        connection.destroy();
+        continue;
+      } else if (now - entry.lastUsed.get(raw) > this.dbPoolConfig.healthCheckIdleMs) {
+        try {
+          await connection.ping();
+        } catch (error) {
+          console.error(`   ⚠️ 连接池健康检查失败，丢弃连接: ${error.message}`);
+          connection.destroy();
+          continue;
+        }
+      }
+      entry.lastUsed.set(raw, now);
+      return connection;
+    }
+  }
+
+  /**
+   * 连接模式对应的实际地址：直连为数据库地址，隧道为本地转发端口
+   */
+  dbTarget(cluster, mode) {
+    return mode === 'tunnel'
+      ? { host: '127.0.0.1', port: cluster.dbTunnelLocalPort }
+      : { host: cluster.originalDbHost, port: cluster.originalDbPort };
+  }
+
+  /**
+   * 连接池的地址、TLS 和认证插件选项
+   * 启用 TLS 时通过 stream 连接实际地址（直连地址或隧道本地端口），host 取原始主机名（或 tls.servername），
+   * 隧道模式下 SNI 和证书主机名校验仍针对数据库本身而不是 127.0.0.1；证书文件在每次创建连接池时读取
+   * @param {Object} cluster - 集群（见 ClusterRegistry）
+   * @param {Object} target - 实际连接的 { host, port }
+   */
+  dbConnectionOptions(cluster, target) {
+    const { dbTls } = cluster;
+    // authentication_ldap_simple 的用户由 FE 切换到 mysql_clear_password；未启用时 mysql2 拒绝发送明文密码
+    const auth = cluster.authPlugin === 'authentication_ldap_simple' ? { enableCleartextPlugin: true } : {};
+    if (dbTls.mode === 'disabled') return { ...target, ...auth };
+
+    const readPem = (file) => (file ? fs.readFileSync(CredentialProvider.expandHome(file)) : undefined);
+    return {
+      host: dbTls.servername || cluster.originalDbHost,
+      port: target.port,
+      stream: () => net.connect(target.port, target.host),
+      ssl: {
+        ca: readPem(dbTls.ca),
+        cert: readPem(dbTls.cert),
+        key: readPem(dbTls.key),
+        rejectUnauthorized: dbTls.mode !== 'required',
+        verifyIdentity: dbTls.mode === 'verify_identity',
+      },
+      ...auth,
+    };
+  }
+
+  /**
+   * 关闭并移除连接池（模式切换、连接失败、隧道关闭和进程退出时调用）
+   */
+  async closeDbPool(key, reason) {
+    const entry = this.dbPools.get(key);
+    if (!entry) return;
+    this.dbPools.delete(key);
+    console.error(`   🏊 关闭连接池 ${key} (${entry.mode}): ${reason}`);
+    await entry.pool.end().catch((error) => {
+      console.error(`   ⚠️ 关闭连接池失败: ${error.message}`);
+    });
+  }
+
+  /**
+   * 退出前关闭所有连接池和 SSH 隧道（最多等待 3 秒）
+   */
+  async shutdown(reason) {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    console.error(`\n👋 ${reason}，正在退出...`);
+    await Promise.race([
+      Promise.all([...this.dbPools.keys()].map((key) => this.closeDbPool(key, '进程退出'))).then(() => this.auditJournal.flush()),
+      new Promise((resolve) => setTimeout(resolve, 3000)),
+    ]);
+    for (const cluster of this.clusters.clusters.values()) {
+      if (cluster.sshTunnelProcess) cluster.sshTunnelProcess.kill();
+    }
+    process.exit(0);
+  }
+
+  /**
+   * 按凭据来源刷新数据库密码（TTL 缓存），密码轮换后同步更新 mysql 客户端配置文件
+   */
+  async refreshDbPassword(cluster) {
+    const password = await this.credentials.get(cluster.passwordCredential);
+    if (password !== cluster.dbConfig.password) {
+      cluster.dbConfig.password = password;
+      this.ensureMysqlDefaultsFile(cluster);
+    }
+    return password;
+  }
+
+  /**
+   * 认证失败时丢弃缓存的密码，下次连接重新从凭据来源读取
+   */
+  invalidateDbPassword(cluster, error) {
+    if (error?.code === 'ER_ACCESS_DENIED_ERROR') {
+      this.credentials.invalidate(cluster.passwordCredential);
+    }
+  }
+
+  /**
+   * 解析集群的 SSH 私钥路径；凭据来源返回的是私钥内容（如 Vault 中保存的私钥）时写入权限 600 的本地文件
+   * 私钥轮换后删除旧私钥文件（其他集群仍在使用的除外）
+   */
+  async getSshKeyPath(cluster = this.currentCluster()) {
+    if (cluster.sshKeyPath) return cluster.sshKeyPath;
+    const value = await this.credentials.get(cluster.sshKeyCredential);
+    const keyFile = value.includes('PRIVATE KEY-----') ? this.writeSshKeyFile(value) : null;
+
+    const previous = cluster.sshKeyFile;
+    cluster.sshKeyFile = keyFile;
+    if (previous && previous !== keyFile &&
+        !this.clusters.names.some((name) => this.clusters.get(name).sshKeyFile === previous)) {
+      try {
+        fs.rmSync(previous, { force: true });
+        console.error(`   🔑 SSH 私钥已轮换，删除旧私钥文件 ${previous}`);
+      } catch (error) {
+        console.error(`⚠️  旧私钥文件 ${previous} 删除失败: ${error.message}`);
+      }
+    }
+    return keyFile || value;
+  }
+
+  /**
+   * 私钥内容写入 ~/.starrocks-mcp/keys/<digest>.key（权限 600），返回文件路径
+   */
+  writeSshKeyFile(value) {
+    const digest = crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+    const keyFile = path.join(os.homedir(), '.starrocks-mcp', 'keys', `${digest}.key`);
+    if (!fs.existsSync(keyFile)) {
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(keyFile, `${value}\n`, { mode: 0o600 });
+    }
+    return keyFile;
+  }
+
+  /**
+   * 生成集群的 mysql 客户端配置文件（[client] 段的 user / password，权限 600）
+   * 文件已存在且不是本程序生成的（用户自己维护）时不覆盖；未配置密码时不生成
+   */
+  ensureMysqlDefaultsFile(cluster) {
+    if (!cluster.dbConfig.password) return;
+    const marker = '# generated by starrocks-mcp';
+    const quote = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    try {
+      if (fs.existsSync(cluster.mysqlDefaultsFile) &&
+          !fs.readFileSync(cluster.mysqlDefaultsFile, 'utf-8').startsWith(marker)) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(cluster.mysqlDefaultsFile), { recursive: true, mode: 0o700 });
+      // TLS 和认证插件选项与 mysql2 连接保持一致，日志中的 mysql 命令可直接复现
+      const { dbTls } = cluster;
+      const options = [
+        `user=${quote(cluster.dbConfig.user)}`,
+        `password=${quote(cluster.dbConfig.password)}`,
+        ...(dbTls.mode !== 'disabled' ? [`ssl-mode=${dbTls.mode.toUpperCase()}`] : []),
+        ...(dbTls.ca ? [`ssl-ca=${quote(CredentialProvider.expandHome(dbTls.ca))}`] : []),
+        ...(dbTls.cert ? [`ssl-cert=${quote(CredentialProvider.expandHome(dbTls.cert))}`] : []),
+        ...(dbTls.key ? [`ssl-key=${quote(CredentialProvider.expandHome(dbTls.key))}`] : []),
+        ...(cluster.authPlugin === 'authentication_ldap_simple' ? ['enable-cleartext-plugin'] : []),
+      ];
+      fs.writeFileSync(cluster.mysqlDefaultsFile, `${marker}\n[client]\n${options.join('\n')}\n`, { mode: 0o600 });
+      fs.chmodSync(cluster.mysqlDefaultsFile, 0o600);
+    } catch (error) {
+      console.error(`⚠️  mysql 配置文件 ${cluster.mysqlDefaultsFile} 写入失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 写入审计日志；请求 ID、工具名和发起客户端取自当前请求上下文
+   * @param {string} kind - sql | ssh | cli | file_read
+   * @param {string} command - 执行的语句、命令或文件路径（脱敏后记录）
+   * @param {string} outcome - success | error | blocked
+   * @param {Object} options - { host, detail }，SQL 默认记录数据库原始地址，文件读取为 localhost
+   */
+  audit(kind, command, outcome, { host = null, detail = null } = {}) {
+    const context = this.requestContext.getStore();
+    this.auditJournal.append({
+      kind,
+      request_id: context?.requestId || null,
+      tool: context?.tool || null,
+      client: context?.clientId || context?.server?.getClientVersion()?.name || null,
+      cluster: this.currentCluster().name,
+      host: host || (kind === 'sql' ? `${this.currentCluster().originalDbHost}:${this.currentCluster().originalDbPort}` : 'localhost'),
+      command: secrets.redact(String(command)),
+      outcome,
+      detail: detail === null ? null : secrets.redact(String(detail)),
+    });
+  }
+
+  /**
+   * 按脱敏规则处理即将上传的结果行，命中情况累计到当前请求的脱敏报告
+   * @param {string} queryId - 查询 ID（query_profile / table_schema 为本地补充查询）
+   * @param {Array<Object>} rows - 结果行
+   */
+  maskResultRows(queryId, rows) {
+    if (!this.resultMasker.enabled) return rows;
+    const context = this.requestContext.getStore();
+    const report = context ? (context.maskingReport ||= new Map()) : new Map();
+    return this.resultMasker.maskRows(queryId, rows, report);
+  }
+
+  /**
+   * 返回逐行脱敏函数（流式收集结果时使用；查询流的事件回调不在请求上下文中，脱敏报告在此时取定）
+   */
+  resultRowMasker(queryId) {
+    if (!this.resultMasker.enabled) return (row) => row;
+    const context = this.requestContext.getStore();
+    const report = context ? (context.maskingReport ||= new Map()) : new Map();
+    return (row) => this.resultMasker.maskRows(queryId, [row], report)[0];
+  }
+
+  /**
+   * 执行 SQL 并写入审计日志，失败时记录后原样抛出
+   * @param {Object} connection - mysql2 连接
+   * @param {string|Object} sql - SQL 文本，或 mysql2 的 { sql, timeout } 选项
+   * @param {Array} values - 占位符参数
+   */
+  async auditedQuery(connection, sql, values = undefined) {
+    const text = typeof sql === 'string' ? sql : sql.sql;
+    const params = values?.length ? `params=${JSON.stringify(values)}` : null;
+    try {
+      const result = await connection.query(sql, values);
+      const rows = result[0];
+      const detail = [Array.isArray(rows) ? `${rows.length} rows` : null, params].filter(Boolean).join(', ');
+      this.audit('sql', text, 'success', { detail: detail || null });
+      return result;
+    } catch (error) {
+      this.audit('sql', text, 'error', { detail: [error.message, params].filter(Boolean).join(', ') });
+      throw error;
+    }
+  }
+
+  /**
+   * 通过 mysql2 查询流执行 SQL，逐行交给 ResultCollector（不缓冲整个结果集），并写入审计日志
+   * 结果被截断时立即 KILL QUERY 停止读取，返回部分结果（总行数为下限）；非结果集语句返回 ResultSetHeader
+   * @param {Object} connection - 连接池取出的连接
+   * @param {string} sql - SQL 文本
+   * @param {ResultCollector} collector - 结果收集器
+   */
+  async streamQuery(connection, sql, collector) {
+    const raw = connection.connection;
+    const requestStore = this.requestContext.getStore();
+    let stopping = null;
+    let interrupted = false; // KILL 生效，结果集没有读完
+    try {
+      const header = await new Promise((resolve, reject) => {
+        let isResultSet = false;
+        let okPacket = null;
+        raw.query(sql)
+          .on('fields', (fields) => {
+            isResultSet = true;
+            collector.setFields(fields);
+          })
+          .on('result', (row) => {
+            if (!isResultSet) {
+              okPacket = row;
+              return;
+            }
+            if (!collector.add(row) && !stopping) {
+              // 查询流的回调不在请求上下文中，KILL 需回到本请求的上下文（集群、审计字段）
+              stopping = this.requestContext.run(requestStore, () => this.killQuery(raw.threadId));
+            }
+          })
+          .on('error', (error) => {
+            if (!stopping) return reject(error);
+            interrupted = true;
+            resolve(null);
+          })
+          .on('end', () => resolve(okPacket));
+      });
+      if (stopping) await stopping;
+      const detail = header
+        ? null
+        : collector.truncated
+          ? `${collector.rows.length}/${collector.totalRows}${interrupted ? '+' : ''} rows (truncated by ${collector.truncatedBy})`
+          : `${collector.totalRows} rows${collector.aggregate ? ' (aggregate)' : ''}`;
+      this.audit('sql', sql, 'success', { detail });
+      return header || collector.result(!interrupted);
+    } catch (error) {
+      this.audit('sql', sql, 'error', { detail: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 通过另一条连接终止正在执行的语句（KILL QUERY）
+   * 用于客户端取消请求或语句超时时停止 StarRocks 上仍在运行的查询，失败只记录不抛出
+   * KILL 使用单独新建的连接（与连接池相同的地址、TLS 和认证选项），不占用连接池：
+   * 连接池已满（包括 DB_POOL_SIZE=1）时也能发出；建连和执行总共最多等待 killGraceMs
+   * @param {number} connectionId - 执行语句的连接 ID（connection.threadId）
+   * @returns {Promise<boolean>} 是否成功发出 KILL QUERY
+   */
+  async killQuery(connectionId, requestId = null) {
+    if (!connectionId) return false;
+    const cluster = this.currentCluster();
+    const timeout = this.sqlTimeoutConfig.killGraceMs;
+    let killConn = null;
+    let timer = null;
+    const killing = (async () => {
+      const mode = this.dbPools.get(cluster.name)?.mode || cluster.dbConnectionMode;
+      if (!mode) throw new Error('数据库连接模式未确定');
+      killConn = await mysql.createConnection({
+        ...this.dbConnectionOptions(cluster, this.dbTarget(cluster, mode)),
+        user: cluster.dbConfig.user,
+        password: cluster.dbConfig.password,
+        connectTimeout: timeout,
+      });
+      await this.auditedQuery(killConn, { sql: `KILL QUERY ${Number(connectionId)}`, timeout });
+    })();
+    try {
+      await Promise.race([
+        killing,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`${timeout}ms 内未完成`)), timeout);
+        }),
+      ]);
+      console.error(`   🛑 [${requestId || 'no-id'}] 已终止查询: connection_id=${connectionId}`);
+      return true;
+    } catch (err) {
+      console.error(`   ⚠️ [${requestId || 'no-id'}] KILL QUERY ${connectionId} 失败: ${err.message}`);
+      return false;
+    } finally {
+      clearTimeout(timer);
+      // 超时返回后建连可能仍在进行，完成后再关闭
+      killing.catch(() => {}).finally(() => killConn?.destroy());
+    }
+  }
+
+  /**
+   * 在截止时间内流式执行 SQL（executeQueries 使用）
+   * - 执行前把会话的 query_timeout 设为对应秒数，客户端未能终止时由 StarRocks 兜底；
+   *   归还连接前须调用 restoreQueryTimeout 恢复原值
+   * - 超过 timeoutMs 后通过另一条连接 KILL QUERY；此后 killGraceMs 内仍未返回时（包括 KILL 本身未完成）销毁该连接
+   * 超时时已有部分结果（截断后仍在计数，或 aggregate 模式）则返回部分结果并附带 timed_out / timeout_ms / elapsed_ms / killed，
+   * 否则抛出 code = 'QUERY_TIMEOUT' 的错误，附带 killed（KILL QUERY 是否成功）和 connectionDestroyed
+   * @param {Object} connection - 连接池取出的连接
+   * @param {string} sql - SQL 文本
+   * @param {number} timeoutMs - 客户端截止时间（毫秒）
+   * @param {ResultCollector} collector - 结果收集器
+   */
+  async queryWithDeadline(connection, sql, timeoutMs, requestId, collector) {
+    const raw = connection.connection;
+    const seconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+    let timeouts = this.dbQueryTimeouts.get(raw);
+    if (!timeouts) {
+      const [rows] = await this.auditedQuery(connection, 'SELECT @@query_timeout AS query_timeout');
+      const original = parseInt(rows[0]?.query_timeout);
+      timeouts = { original: original > 0 ? original : null, current: original > 0 ? original : null };
+      this.dbQueryTimeouts.set(raw, timeouts);
+    }
+    if (timeouts.current !== seconds) {
+      timeouts.current = null; // SET 失败时状态未知，归还前按需丢弃连接
+      await this.auditedQuery(connection, `SET query_timeout = ${seconds}`);
+      timeouts.current = seconds;
+    }
+    const startTime = Date.now();
+
+    let timer = null;
+    let graceTimer = null;
+    let killing = null;
+    let settled = false;
+    let connectionDestroyed = false;
+    const stalled = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        console.error(`   ⏱️ [${requestId || 'no-id'}] SQL 超过 ${timeoutMs}ms，终止查询: connection_id=${connection.threadId}`);
+        killing = this.killQuery(connection.threadId, requestId);
+        // 宽限期从截止时间起算，不等待 KILL 完成：KILL 发不出去时同样丢弃该连接
+        graceTimer = setTimeout(() => {
+          if (settled) return;
+          connectionDestroyed = true;
+          connection.destroy();
+          reject(new Error('KILL QUERY 后语句仍未返回，已丢弃该连接'));
+        }, this.sqlTimeoutConfig.killGraceMs);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([this.streamQuery(connection, sql, collector), stalled]);
+    } catch (error) {
+      // 客户端截止时间已到，或 StarRocks 按 query_timeout 自行终止了查询
+      if (!killing && !/exceeded time limit|reached its timeout|query[ _]?timeout/i.test(error.message)) throw error;
+      const killed = killing ? await killing : false;
+      if (collector.hasPartial && !connectionDestroyed) {
+        return { ...collector.result(false), timed_out: true, timeout_ms: timeoutMs, elapsed_ms: Date.now() - startTime, killed };
+      }
+      const timeoutError = new Error(killing
+        ? `SQL 执行超过 ${timeoutMs}ms 已终止: ${error.message}`
+        : `SQL 超过 query_timeout（${seconds} 秒）被 StarRocks 终止: ${error.message}`);
+      timeoutError.code = 'QUERY_TIMEOUT';
+      timeoutError.killed = killed;
+      timeoutError.connectionDestroyed = connectionDestroyed;
+      throw timeoutError;
+    } finally {
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(graceTimer);
+      // 语句恰好在 KILL 发出前返回时，等 KILL 完成再继续使用该连接，避免误杀下一条语句
+      if (killing) await killing;
+    }
+  }
+
+  /**
+   * 连接归还连接池前恢复 queryWithDeadline 修改过的 query_timeout，
+   * 避免之后复用该连接的 profile、表结构和参数补全查询沿用上一条语句的超时
+   * 原值未知或恢复失败时销毁该连接
+   * @returns {Promise<boolean>} 连接是否仍可归还
+   */
+  async restoreQueryTimeout(connection) {
+    const timeouts = this.dbQueryTimeouts.get(connection.connection);
+    if (!timeouts || (timeouts.current !== null && timeouts.current === timeouts.original)) return true;
+    try {
+      if (timeouts.original === null) throw new Error('会话原有的 query_timeout 未知');
+      await this.auditedQuery(connection, `SET query_timeout = ${timeouts.original}`);
+      timeouts.current = timeouts.original;
+      return true;
+    } catch (error) {
+      console.error(`   ⚠️ 恢复 query_timeout 失败，丢弃连接: ${error.message}`);
+      connection.destroy();
+      return false;
+    }
+  }
+
+  /**
+   * 请求被客户端取消时抛出错误（在各执行阶段之间调用，尽早停止后续操作）
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      const error = new Error('请求已被客户端取消');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * 组合取消信号与超时信号（fetch 请求使用）
+   */
+  _withTimeout(signal, timeoutMs) {
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    return signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+  }
+
+  /**
+   * 记录取消：写入日志，并在关联会话中留下取消标记（下次调用可看到上次中断的阶段）
+   * @param {Object} state - { sessionId, sessionKey, phase }
+   */
+  recordCancellation(requestId, toolName, state, reason) {
+    console.error(`\n🛑 [${requestId}] 请求已取消: ${toolName} (phase=${state.phase || '-'})`);
+    this.logger.logCancellation(requestId, toolName, state.phase, reason);
+
+    const session = state.sessionId
+      ? { sessionId: state.sessionId, data: this.getOwnedSession(state.sessionId)?.data }
+      : (state.sessionKey ? this.findActiveSessionByKey(state.sessionKey) : null);
+    if (session?.data) {
+      this.storeSession(session.sessionId, {
+        ...session.data,
+        cancellation: {
+          requestId,
+          phase: state.phase,
+          reason,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  }
+
+  /**
+   * 当前请求是否为 dry run（只记录将要执行的命令，不连接集群）
+   */
+  isDryRun() {
+    return !!this.requestContext.getStore()?.dryRun;
+  }
+
+  /**
+   * SQL / SSH / CLI 执行前的统一关口
+   * - dry run：记录命令原文，返回 { action: 'dry_run' }，调用方不执行
+   * - 审批模式：该批命令审批后已执行过（续跑）返回 { action: 'cached', result }，已审批返回 { action: 'execute', hash }，
+   *   未审批则抛出带 approvalRequired 的错误，由 CallTool 处理器转为待审批步骤
+   * @param {string} kind - sql | ssh | cli | prometheus
+   * @param {string[]} commands - 将要执行的命令原文（SSH 为 buildSshCmd 之后的完整命令）
+   * @param {boolean} needsApproval - 是否需要审批（只读 SQL、Prometheus 不需要）
+   * @param {string[]} stableCommands - 计算审批 hash 用的稳定形式（不含随时间、密钥路径变化的部分），默认同 commands
+   * @returns {Object} { action: 'execute' | 'dry_run' | 'cached', hash, result }
+   */
+  gateExecution(kind, commands, needsApproval = true, stableCommands = commands) {
+    const context = this.requestContext.getStore();
+    if (!context || commands.length === 0) {
+      return { action: 'execute', hash: null };
+    }
+    if (context.dryRun) {
+      context.dryRunCommands.push({ kind, commands });
+      console.error(`   🧪 Dry run: 跳过 ${commands.length} 条 ${kind} 命令`);
+      return { action: 'dry_run' };
+    }
+    if (!this.requireApproval || !needsApproval || !context.approval) {
+      return { action: 'execute', hash: null };
+    }
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify([kind, stableCommands])).digest('hex');
+    if (context.approval.executed[hash]) {
+      console.error(`   ♻️ ${kind} 命令已在审批后执行，复用上次结果`);
+      return { action: 'cached', result: structuredClone(context.approval.executed[hash]) };
+    }
+    if (context.approval.approved.includes(hash)) {
+      return { action: 'execute', hash };
+    }
+
+    const error = new Error(`执行 ${commands.length} 条 ${kind.toUpperCase()} 命令前需要用户审批`);
+    error.approvalRequired = { kind, commands, hash };
+    throw error;
+  }
+
+  /**
+   * 记录已审批批次的执行结果，审批后续跑时同一批命令直接复用，不会重复执行
+   */
+  recordApprovedExecution(gate, result) {
+    const approval = this.requestContext.getStore()?.approval;
+    if (gate?.hash && approval) {
+      approval.executed[gate.hash] = structuredClone(result);
+    }
+  }
+
+  /**
+   * 记录待审批步骤：命令原文和审批令牌写入关联会话（没有会话时新建），已审批批次的结果一并保存
+   * @param {Object} state - { sessionId, sessionKey, phase }
+   * @param {Object} pending - { kind, commands, hash }
+   * @returns {Object} { sessionId, token }
+   */
+  recordPendingApproval(toolName, state, pending, args) {
+    const token = crypto.randomBytes(12).toString('hex');
+    const session = state.sessionId
+      ? { sessionId: state.sessionId, data: this.getOwnedSession(state.sessionId)?.data }
+      : (state.sessionKey ? this.findActiveSessionByKey(state.sessionKey) : null);
+    const sessionId = session?.data ? session.sessionId : this.generateSessionId(toolName);
+
+    this.storeSession(sessionId, {
+      ...(session?.data || { sessionKey: state.sessionKey, results: {}, args, lastCompletedStep: 0 }),
+      approval: this.requestContext.getStore()?.approval,
+      pendingApproval: {
+        token,
+        ...pending,
+        phase: state.phase,
+        timestamp: new Date().toISOString(),
+      },
+    });
+    console.error(`   ⏸️ 等待审批: ${pending.commands.length} 条 ${pending.kind} 命令 (session: ${sessionId})`);
+    return { sessionId, token };
+  }
+
+  /**
+   * 审批令牌文件路径（每个会话一个）
+   */
+  approvalTokenFile(sessionId) {
+    return path.join(this.approvalTokenDir, `${sessionId}.token`);
+  }
+
+  /**
+   * 客户端无法询问用户时，把审批令牌交给用户：写入令牌文件（权限 600，附命令清单供核对）并输出到 stderr，
+   * 令牌不出现在工具结果中
+   * @returns {string|null} 令牌文件路径，写入失败时为 null（令牌仍输出到 stderr）
+   */
+  deliverApprovalToken(sessionId, pending) {
+    console.error(`   🔑 审批令牌 (session: ${sessionId}): ${pending.token}`);
+    const tokenFile = this.approvalTokenFile(sessionId);
+    try {
+      fs.mkdirSync(this.approvalTokenDir, { recursive: true, mode: 0o700 });
+      const commands = secrets.redact(pending.commands.join('\n'));
+      fs.writeFileSync(tokenFile, `${pending.token}\n\n# session: ${sessionId}\n# ${pending.commands.length} 条 ${pending.kind} 命令:\n${commands}\n`, { mode: 0o600 });
+      fs.chmodSync(tokenFile, 0o600);
+      return tokenFile;
+    } catch (error) {
+      console.error(`⚠️  审批令牌文件 ${tokenFile} 写入失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 审批完成或拒绝后删除令牌文件
+   */
+  removeApprovalToken(sessionId) {
+    fs.rmSync(this.approvalTokenFile(sessionId), { force: true });
   }
 
   /**
    * 生成会话 ID
    */
   generateSessionId(toolName) {
-    return `${toolName}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `${toolName}_${this.currentCluster().name}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
@@ -871,6 +4013,9 @@ class ThinMCPServer {
   generateDeterministicSessionKey(toolName, args) {
     const keyParams = {
       tool: toolName,
+      // 不同集群、不同客户端的分析互不复用
+      cluster: this.currentCluster().name,
+      client: this.currentClientId(),
       // 通用参数
       hours: args.hours || 24,
       focus: args.focus || 'health',
@@ -878,6 +4023,8 @@ class ThinMCPServer {
       table_name: args.table_name || '',
       // analyze_slow_load_job 特有参数
       label: args.label || '',
+      // dry run 的会话不能被正常执行恢复（其中是占位结果）
+      dry_run: args.dry_run === true,
     };
     // 使用完整的 base64 编码，避免因截取过短导致不同参数的 key 碰撞
     // 例如 hours=4 和 hours=24 的前20字符相同，会导致错误复用缓存
@@ -888,8 +4035,9 @@ class ThinMCPServer {
    * 根据确定性 key 查找活跃会话
    */
   findActiveSessionByKey(sessionKey) {
+    const clientId = this.currentClientId();
     for (const [sessionId, session] of this.sessionStorage.entries()) {
-      if (session.data?.sessionKey === sessionKey &&
+      if (session.data?.sessionKey === sessionKey && session.clientId === clientId &&
           Date.now() - session.timestamp < this.sessionTTL) {
         console.error(`   🔍 找到活跃会话: ${sessionId}`);
         return { sessionId, data: session.data };
@@ -899,23 +4047,37 @@ class ThinMCPServer {
   }
 
   /**
-   * 存储会话数据
+   * 按 session_id 取会话条目，只返回当前客户端的会话（其他客户端的会话视为不存在）
+   */
+  getOwnedSession(sessionId, clientId = this.currentClientId()) {
+    const session = this.sessionStorage.get(sessionId);
+    return session && session.clientId === clientId ? session : null;
+  }
+
+  /**
+   * 存储会话数据（记录所属集群和客户端，按 session_id 续跑时沿用）
    */
   storeSession(sessionId, data) {
+    const isNew = !this.sessionStorage.has(sessionId);
     this.sessionStorage.set(sessionId, {
       data,
+      cluster: this.currentCluster().name,
+      clientId: this.currentClientId(),
       timestamp: Date.now(),
     });
     // 清理过期会话
     this.cleanExpiredSessions();
     console.error(`   💾 会话已存储: ${sessionId}`);
+    if (isNew) {
+      this.notifyResourceListChanged();
+    }
   }
 
   /**
    * 获取会话数据
    */
   getSession(sessionId) {
-    const session = this.sessionStorage.get(sessionId);
+    const session = this.getOwnedSession(sessionId);
     if (!session) {
       console.error(`   ❌ 会话不存在: ${sessionId}`);
       return null;
@@ -933,8 +4095,11 @@ class ThinMCPServer {
    * 删除会话
    */
   deleteSession(sessionId) {
-    this.sessionStorage.delete(sessionId);
+    const existed = this.sessionStorage.delete(sessionId);
     console.error(`   🗑️ 会话已删除: ${sessionId}`);
+    if (existed) {
+      this.notifyResourceListChanged();
+    }
   }
 
   /**
@@ -942,11 +4107,195 @@ class ThinMCPServer {
    */
   cleanExpiredSessions() {
     const now = Date.now();
+    let removed = 0;
     for (const [sessionId, session] of this.sessionStorage.entries()) {
       if (now - session.timestamp > this.sessionTTL) {
         this.sessionStorage.delete(sessionId);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.notifyResourceListChanged();
+    }
+  }
+
+  /**
+   * 当前已连接的 MCP Server 实例（stdio 一个；HTTP 模式每个客户端会话一个）
+   */
+  getConnectedServers() {
+    const servers = [...this.httpSessions.values()].map((s) => s.server);
+    if (this.stdioServer) {
+      servers.push(this.stdioServer);
+    }
+    return servers;
+  }
+
+  /**
+   * 通知所有已连接的客户端资源列表已变化（notifications/resources/list_changed）
+   */
+  notifyResourceListChanged() {
+    for (const server of this.getConnectedServers()) {
+      if (!server.transport) continue;
+      server.sendResourceListChanged().catch((error) => {
+        console.error(`   ⚠️ 资源列表变更通知发送失败: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * 向客户端发送日志（notifications/message）
+   * 在工具调用中只发给发起请求的客户端；后台任务（如工具目录刷新）发给所有客户端
+   * @param {string} level - debug | info | notice | warning | error
+   * @param {string} category - 日志分类：phase / sql / ssh / cli / prometheus / tools
+   * @param {string} message - 日志内容
+   * @param {Object} details - 附加字段（发送前脱敏）
+   */
+  clientLog(level, category, message, details = null) {
+    const context = this.requestContext.getStore();
+    const servers = context?.server ? [context.server] : this.getConnectedServers();
+    const data = {
+      message: secrets.redact(message),
+      ...(context?.requestId ? { requestId: context.requestId } : {}),
+      ...(details ? this.logger.sanitize(details) : {}),
+    };
+
+    for (const server of servers) {
+      if (!server.transport) continue;
+      const minLevel = this.clientLogLevels.get(server) || this.clientLogLevel;
+      if (MCP_LOG_LEVELS.indexOf(level) < MCP_LOG_LEVELS.indexOf(minLevel)) continue;
+      server
+        .sendLoggingMessage({ level, logger: `starrocks-mcp.${category}`, data })
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * 通知所有已连接的客户端工具列表已变化（notifications/tools/list_changed）
+   */
+  notifyToolListChanged() {
+    for (const server of this.getConnectedServers()) {
+      if (!server.transport) continue;
+      server.sendToolListChanged().catch((error) => {
+        console.error(`   ⚠️ 工具列表变更通知发送失败: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * 将报告文件登记为 MCP 资源
+   * @param {string} filePath - 报告文件路径
+   * @param {string} toolName - 生成报告的工具
+   * @param {string} mimeType - text/markdown 或 text/html
+   * @returns {Object} 资源描述（可直接作为 resource_link 返回）
+   */
+  registerReportResource(filePath, toolName, mimeType = 'text/markdown') {
+    const name = path.basename(filePath);
+    const uri = `starrocks://reports/${encodeURIComponent(name)}`;
+    const resource = {
+      uri,
+      name,
+      title: `${toolName} 分析报告（${this.currentCluster().name}）`,
+      mimeType,
+      path: filePath,
+      toolName,
+      cluster: this.currentCluster().name,
+      clientId: this.currentClientId(),
+      createdAt: new Date().toISOString(),
+    };
+    this.reportResources.delete(uri);
+    this.reportResources.set(uri, resource);
+
+    // 只保留最近的报告
+    while (this.reportResources.size > this.maxReportResources) {
+      this.reportResources.delete(this.reportResources.keys().next().value);
+    }
+
+    console.error(`   🔗 报告已发布为资源: ${uri}`);
+    this.notifyResourceListChanged();
+    return resource;
+  }
+
+  /**
+   * 列出 MCP 资源：分析报告 + 活跃会话（只列出该客户端自己的）
+   * @param {string|null} clientId - HTTP 模式为令牌对应的 clientId，stdio 模式为 null
+   */
+  listResources(clientId = null) {
+    const resources = [];
+
+    for (const [uri, report] of this.reportResources.entries()) {
+      if (report.clientId !== clientId) continue;
+      let size;
+      try {
+        size = fs.statSync(report.path).size;
+      } catch {
+        // 报告文件已被清理
+        this.reportResources.delete(uri);
+        continue;
+      }
+      resources.push({
+        uri,
+        name: report.name,
+        title: report.title,
+        description: `${report.toolName}（集群 ${report.cluster}）生成于 ${report.createdAt}`,
+        mimeType: report.mimeType,
+        size,
+      });
+    }
+
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessionStorage.entries()) {
+      if (now - session.timestamp > this.sessionTTL || session.clientId !== clientId) continue;
+      resources.push({
+        uri: `starrocks://sessions/${encodeURIComponent(sessionId)}`,
+        name: sessionId,
+        title: `分析会话 ${sessionId}`,
+        description: `集群 ${session.cluster}，已完成步骤 ${session.data?.lastCompletedStep || 0}，更新于 ${new Date(session.timestamp).toISOString()}`,
+        mimeType: 'application/json',
+      });
+    }
+
+    // 报告按时间倒序，最新的在前
+    return resources.reverse();
+  }
+
+  /**
+   * 读取 MCP 资源内容（其他客户端的报告和会话视为不存在）
+   * 会话内容经过脱敏（args 中可能包含 SSH/sudo 密码）
+   */
+  readResource(uri, clientId = null) {
+    const match = /^starrocks:\/\/(reports|sessions)\/(.+)$/.exec(uri);
+    if (!match) {
+      throw new Error(`未知资源: ${uri}`);
+    }
+
+    if (match[1] === 'reports') {
+      const report = this.reportResources.get(uri);
+      if (!report || report.clientId !== clientId) {
+        throw new Error(`报告资源不存在: ${uri}`);
       }
+      let text;
+      try {
+        text = fs.readFileSync(report.path, 'utf-8');
+      } catch (error) {
+        throw new Error(`报告文件读取失败: ${report.path} (${error.message})`);
+      }
+      return { contents: [{ uri, mimeType: report.mimeType, text }] };
+    }
+
+    const sessionId = decodeURIComponent(match[2]);
+    const session = this.getOwnedSession(sessionId, clientId);
+    if (!session || Date.now() - session.timestamp > this.sessionTTL) {
+      throw new Error(`会话不存在或已过期: ${sessionId}`);
     }
+    const payload = {
+      session_id: sessionId,
+      cluster: session.cluster,
+      updated_at: new Date(session.timestamp).toISOString(),
+      ...this.logger.sanitize(session.data),
+    };
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(payload, null, 2) }],
+    };
   }
 
   /**
@@ -954,8 +4303,19 @@ class ThinMCPServer {
    */
   getLocalToolDefinitions() {
     const allTools = [
+      {
+        name: 'list_clusters',
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+        description: '列出已配置的 StarRocks 集群（名称、说明、数据库地址、Prometheus、跳板机），其他工具的 cluster 参数取这里的名称',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          required: [],
+        },
+      },
       {
         name: 'get_query_profile',
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
         description: '获取指定 Query ID 的执行 Profile，保存到本地文件并返回摘要信息。Profile 文件可用于后续详细分析。',
         inputSchema: {
           type: 'object',
@@ -971,6 +4331,7 @@ class ThinMCPServer {
       {
         name: 'analyze_load_profile',
         hidden: true,  // 内部工具，由 analyze_slow_load_job 调用
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
         description: '📊 Load Profile 深度分析 - 分析本地 Load Profile 文件，使用 LLM 进行两阶段深度分析（瓶颈定位 + 根因分析）',
         inputSchema: {
           type: 'object',
@@ -990,6 +4351,7 @@ class ThinMCPServer {
       {
         name: 'check_disk_io',
         hidden: true,  // 内部工具，由 analyze_slow_load_job 调用
+        annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
         description: '🔍 检查磁盘 IO 利用率 - 查询 Prometheus 获取指定时间范围内 BE 节点 Spill 磁盘的 IO 利用率，用于诊断导入性能瓶颈',
         inputSchema: {
           type: 'object',
@@ -1008,13 +4370,78 @@ class ThinMCPServer {
               description: 'BE 节点 IP 地址列表（可选，不指定则查询所有节点）',
             },
           },
-          required: ['start_time', 'end_time'],
-        },
+          required: ['start_time', 'end_time'],
+        },
+      },
+    ];
+
+    // 过滤掉标记为 hidden 的工具
+    return allTools.filter(t => !t.hidden);
+  }
+
+  /**
+   * 获取本地定义的 prompt 模板（Central API 未提供 /api/prompts 时使用）
+   * 每个模板预设了诊断场景的工具调用顺序，减少模型选错工具或自行编写 SQL 的情况
+   */
+  getLocalPromptDefinitions() {
+    return [
+      {
+        name: 'diagnose_slow_load_job',
+        title: '诊断慢导入任务',
+        description: '根据导入任务 label 诊断导入慢的原因（Profile、事务、磁盘 IO）',
+        arguments: [
+          { name: 'label', description: '导入任务的 label', required: true },
+          { name: 'database_name', description: '导入任务所在数据库（可选）', required: false },
+        ],
+        template: '请诊断 StarRocks 导入任务 `{{label}}` 为什么慢，定位瓶颈并给出优化建议。不要自行编写 SQL，使用 MCP 工具完成分析。',
+        steps: [
+          {
+            tool: 'analyze_slow_load_job',
+            args: { label: '{{label}}', database_name: '{{database_name}}' },
+            note: '多步骤工具，每次返回步骤完成后再次调用直到分析完成；如需选择任务或输入 sudo 密码，按提示询问用户',
+          },
+        ],
+      },
+      {
+        name: 'investigate_query',
+        title: '分析查询 Profile',
+        description: '根据 query_id 获取执行 Profile 并分析慢查询原因',
+        arguments: [
+          { name: 'query_id', description: 'Query ID，可以从 fe.audit.log 或 SHOW PROFILELIST 获取', required: true },
+        ],
+        template: '请分析 StarRocks 查询 `{{query_id}}` 的执行情况，找出耗时最长的算子和可能的优化方向。',
+        steps: [
+          {
+            tool: 'get_query_profile',
+            args: { query_id: '{{query_id}}' },
+            note: '获取 Profile 并保存到本地文件，根据返回的摘要定位瓶颈',
+          },
+        ],
+      },
+      {
+        name: 'check_cluster_health_after_upgrade',
+        title: '升级后集群健康检查',
+        description: '集群升级后检查 Compaction、FE/BE 日志中的异常，确认集群恢复正常',
+        arguments: [
+          { name: 'target_version', description: '升级后的版本（可选，用于报告说明）', required: false, default: '新版本' },
+          { name: 'hours', description: '检查最近多少小时的数据（默认 24）', required: false, default: 24 },
+        ],
+        template: 'StarRocks 集群刚升级到 {{target_version}}，请检查最近 {{hours}} 小时集群是否健康，重点关注升级引入的异常。',
+        steps: [
+          {
+            tool: 'analyze_compaction',
+            args: { scope: 'status' },
+            note: '检查 Compaction Score 和运行中的任务是否异常',
+          },
+          {
+            tool: 'fetch_logs',
+            args: { last_hours: '{{hours}}' },
+            note: '检查 FE/BE 日志中升级后出现的 ERROR/WARN；nodes 为要检查的节点，'
+              + '先执行 SHOW FRONTENDS / SHOW BACKENDS，按 [{"ip": "<IP>", "type": "fe" | "be"}] 传入全部节点',
+          },
+        ],
       },
     ];
-
-    // 过滤掉标记为 hidden 的工具
-    return allTools.filter(t => !t.hidden);
   }
 
   // ========== Solution C 模式说明 ==========
@@ -1024,9 +4451,71 @@ class ThinMCPServer {
   // - read_file: MCP Server 直接读取本地文件（原子操作）
   // - SSH 命令: Central API 返回 requires_ssh_execution，MCP Server 执行 SSH
 
+  /**
+   * 在读取沙箱内读取本地文件
+   * 解析符号链接后的真实路径必须位于 fileReadRoots 之一，且为不超过 fileReadMaxBytes 的普通文件
+   * @param {string} filePath - 文件路径
+   * @returns {string} 文件内容（UTF-8）
+   */
+  readSandboxedFile(filePath) {
+    // 拒绝读取时写入审计日志并返回错误
+    const reject = (message, outcome = 'blocked') => {
+      this.audit('file_read', filePath, outcome, { detail: message });
+      return new Error(message);
+    };
+
+    let realPath;
+    try {
+      realPath = fs.realpathSync(path.resolve(filePath));
+    } catch (error) {
+      throw reject(`无法访问文件 ${filePath}: ${error.code === 'ENOENT' ? '文件不存在' : error.message}`, 'error');
+    }
+
+    const allowed = this.fileReadRoots.some((root) => {
+      if (root.endsWith('*')) {
+        // 前缀匹配（如 /tmp/sr_*）：父目录按真实路径比较
+        const prefix = root.slice(0, -1);
+        let parent = path.dirname(prefix);
+        try {
+          parent = fs.realpathSync(parent);
+        } catch {
+          return false;
+        }
+        return realPath.startsWith(path.join(parent, path.basename(prefix)));
+      }
+      let rootPath;
+      try {
+        rootPath = fs.realpathSync(path.resolve(root));
+      } catch {
+        return false;
+      }
+      return realPath === rootPath || realPath.startsWith(rootPath + path.sep);
+    });
+    if (!allowed) {
+      throw reject(
+        `文件 ${filePath} 不在允许读取的目录中（允许: ${this.fileReadRoots.join(', ')}），` +
+        `请将文件放到 ${this.profilesDir} 下，或通过 FILE_READ_ROOTS 配置允许的目录`,
+      );
+    }
+
+    const stat = fs.statSync(realPath);
+    if (!stat.isFile()) {
+      throw reject(`${filePath} 不是普通文件`);
+    }
+    if (stat.size > this.fileReadMaxBytes) {
+      throw reject(
+        `文件 ${filePath} 大小 ${stat.size} 字节，超过上限 ${this.fileReadMaxBytes} 字节（FILE_READ_MAX_BYTES）`,
+      );
+    }
+
+    const content = fs.readFileSync(realPath, 'utf-8');
+    this.audit('file_read', realPath, 'success', { detail: `${stat.size} bytes` });
+    return content;
+  }
+
   /**
    * 本地处理 read_file 工具
-   * 读取本地文件内容，供 Central API 编排使用
+   * 读取本地文件内容，供 Central API 编排使用（受读取沙箱限制）
    */
   async handleReadFileLocally(args, requestId) {
     const { file_path, path: filePath } = args;
@@ -1041,7 +4530,7 @@ class ThinMCPServer {
 
     try {
       console.error(`   [${requestId}] Reading file: ${targetPath}`);
-      const content = fs.readFileSync(targetPath, 'utf-8');
+      const content = this.readSandboxedFile(targetPath);
       const fileSizeKB = content.length / 1024;
       console.error(`   [${requestId}] File loaded: ${fileSizeKB.toFixed(2)} KB`);
 
@@ -1061,6 +4550,8 @@ class ThinMCPServer {
 
   /**
    * 从中心 API 获取工具列表
+   * 优先使用内存缓存；缓存过期或只有磁盘缓存（冷启动）时直接返回旧目录并在后台刷新，
+   * Central API 不可用时 ListTools 不会等待请求超时；没有任何缓存时才同步请求
    */
   async getToolsFromAPI() {
     // 检查缓存
@@ -1068,40 +4559,251 @@ class ThinMCPServer {
       return this.toolsCache;
     }
 
+    // 冷启动：使用磁盘上最近一次成功获取的工具目录
+    if (!this.toolsCache) {
+      const diskTools = this.loadToolsCacheFromDisk();
+      if (diskTools) {
+        console.error(`Using ${diskTools.length} tools from disk cache: ${this.toolsCacheFile}`);
+      }
+    }
+    if (this.toolsCache) {
+      this.refreshToolsInBackground();
+      return this.toolsCache;
+    }
+
     try {
-      const url = `${this.centralAPI}/api/tools`;
-      const headers = {};
-      if (this.apiToken) {
-        headers['X-API-Key'] = this.apiToken;
+      await this.refreshToolsFromAPI();
+      return this.toolsCache;
+    } catch (error) {
+      console.error('Failed to fetch tools from API:', error.message);
+      // 返回空列表
+      return [];
+    }
+  }
+
+  /**
+   * 后台刷新工具目录（同一时间只有一个刷新），目录变化时发送 notifications/tools/list_changed
+   */
+  refreshToolsInBackground() {
+    if (this.toolsRefreshing) return this.toolsRefreshing;
+    this.toolsRefreshing = (async () => {
+      try {
+        const changed = await this.refreshToolsFromAPI();
+        if (changed) {
+          console.error(`   🔄 工具目录已更新 (${this.toolsCache.length} 个工具)，通知客户端`);
+          this.clientLog('info', 'tools', `工具目录已更新 (${this.toolsCache.length} 个工具)`);
+          this.notifyToolListChanged();
+        }
+      } catch (error) {
+        console.error(`   ⚠️ 工具目录刷新失败: ${error.message}`);
+        this.clientLog('warning', 'tools', `工具目录刷新失败: ${error.message}`);
+      } finally {
+        this.toolsRefreshing = null;
+      }
+    })();
+    return this.toolsRefreshing;
+  }
+
+  /**
+   * 刷新工具目录（携带 If-None-Match，304 时只续期缓存）
+   * @returns {Promise<boolean>} 工具目录是否发生变化
+   */
+  async refreshToolsFromAPI() {
+    const url = `${this.centralAPI}/api/tools`;
+    const headers = {};
+    const apiToken = await this.credentials.get('CENTRAL_API_TOKEN');
+    if (apiToken) {
+      headers['X-API-Key'] = apiToken;
+    }
+    if (this.toolsEtag && this.toolsCache) {
+      headers['If-None-Match'] = this.toolsEtag;
+    }
+
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+
+    if (response.status === 304) {
+      this.cacheTime = Date.now();
+      return false;
+    }
+
+    if (!response.ok) {
+      // Token 可能已轮换：丢弃缓存，下次请求重新读取
+      if (response.status === 401) this.credentials.invalidate('CENTRAL_API_TOKEN');
+      throw new Error(
+        `API returned ${response.status}: ${response.statusText}`,
+      );
+    }
+
+    const data = await response.json();
+    const tools = Array.isArray(data.tools) ? data.tools : [];
+    const changed = JSON.stringify(tools) !== JSON.stringify(this.toolsCache);
+
+    // 更新缓存
+    this.toolsCache = tools;
+    this.cacheTime = Date.now();
+    this.toolsEtag = response.headers.get('etag');
+
+    if (changed) {
+      this.saveToolsCacheToDisk(tools);
+    }
+    return changed;
+  }
+
+  /**
+   * 读取磁盘上的工具目录缓存（不存在或损坏时返回 null）
+   * 读取成功后作为内存缓存使用，但不续期，下次调用仍会尝试刷新
+   */
+  loadToolsCacheFromDisk() {
+    try {
+      const cached = JSON.parse(fs.readFileSync(this.toolsCacheFile, 'utf-8'));
+      if (!Array.isArray(cached.tools)) {
+        return null;
       }
+      this.toolsCache = cached.tools;
+      this.cacheTime = 0;
+      return cached.tools;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 保存工具目录到磁盘（先写临时文件再 rename，避免中途崩溃留下半个文件）
+   */
+  saveToolsCacheToDisk(tools) {
+    try {
+      fs.mkdirSync(path.dirname(this.toolsCacheFile), { recursive: true });
+      const tmpFile = `${this.toolsCacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(
+        tmpFile,
+        JSON.stringify({ saved_at: new Date().toISOString(), central_api: this.centralAPI, tools }, null, 2),
+        'utf-8',
+      );
+      fs.renameSync(tmpFile, this.toolsCacheFile);
+    } catch (error) {
+      console.error(`   ⚠️ 工具目录缓存写入失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 启动工具目录后台刷新，目录变化时发送 notifications/tools/list_changed
+   */
+  startToolsRefresh() {
+    if (this.toolsRefreshInterval <= 0 || this.toolsRefreshTimer) {
+      return;
+    }
+
+    this.toolsRefreshTimer = setInterval(() => this.refreshToolsInBackground(), this.toolsRefreshInterval);
+    this.toolsRefreshTimer.unref();
+  }
+
+  /**
+   * 从中心 API 获取 prompt 模板
+   * 接口不存在或不可用时返回 null，由本地模板兜底
+   */
+  async getPromptsFromAPI() {
+    if (this.promptsCache && Date.now() - this.promptsCacheTime < this.cacheTTL) {
+      return this.promptsCache;
+    }
 
-      const response = await fetch(url, { headers });
+    try {
+      const url = `${this.centralAPI}/api/prompts`;
+      const headers = {};
+      const apiToken = await this.credentials.get('CENTRAL_API_TOKEN');
+      if (apiToken) {
+        headers['X-API-Key'] = apiToken;
+      }
 
+      const response = await fetch(url, { headers, signal: this._withTimeout(null, 15000) });
       if (!response.ok) {
+        if (response.status === 401) this.credentials.invalidate('CENTRAL_API_TOKEN');
         throw new Error(
           `API returned ${response.status}: ${response.statusText}`,
         );
       }
 
       const data = await response.json();
-
-      // 更新缓存
-      this.toolsCache = data.tools;
-      this.cacheTime = Date.now();
-
-      return data.tools;
+      this.promptsCache = Array.isArray(data.prompts) ? data.prompts : [];
+      this.promptsCacheTime = Date.now();
+      return this.promptsCache;
     } catch (error) {
-      console.error('Failed to fetch tools from API:', error.message);
+      console.error('Failed to fetch prompts from API:', error.message);
+      return this.promptsCache;
+    }
+  }
 
-      // 如果有缓存，返回缓存
-      if (this.toolsCache) {
-        console.error('Using cached tools due to API error');
-        return this.toolsCache;
-      }
+  /**
+   * 合并后的 prompt 模板：Central API 模板优先，本地模板补充同名缺失的部分
+   */
+  async getPromptTemplates() {
+    const remotePrompts = (await this.getPromptsFromAPI()) || [];
+    const remoteNames = new Set(remotePrompts.map((p) => p.name));
+    const localPrompts = this.getLocalPromptDefinitions().filter(
+      (p) => !remoteNames.has(p.name),
+    );
+    return [...remotePrompts, ...localPrompts];
+  }
 
-      // 返回空列表
-      return [];
+  /**
+   * 渲染 prompt 模板为 prompts/get 的返回
+   * 模板中的 {{参数名}} 用调用参数（或参数的 default）替换；steps 渲染为预设的工具调用顺序，
+   * 当前工具列表中不存在的工具会标注为不可用，避免模型调用不存在的工具
+   */
+  async renderPrompt(template, args = {}) {
+    const missing = (template.arguments || [])
+      .filter((a) => a.required && (args[a.name] === undefined || args[a.name] === ''))
+      .map((a) => a.name);
+    if (missing.length > 0) {
+      throw new Error(`Prompt ${template.name} 缺少必需参数: ${missing.join(', ')}`);
+    }
+
+    // 未传入的参数使用模板中声明的默认值
+    const values = {};
+    for (const a of template.arguments || []) {
+      if (a.default !== undefined) values[a.name] = a.default;
+    }
+    for (const [key, value] of Object.entries(args)) {
+      if (value !== undefined && value !== '') values[key] = value;
     }
+    const fill = (text) =>
+      String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => values[key] ?? '');
+
+    let text = fill(template.template || template.description || '');
+
+    const steps = template.steps || [];
+    if (steps.length > 0) {
+      const tools = await this.getToolsFromAPI();
+      const availableTools = new Set([
+        ...(tools || []).map((t) => t.name),
+        ...this.getLocalToolDefinitions().map((t) => t.name),
+      ]);
+
+      text += '\n\n请按以下顺序调用工具：\n';
+      steps.forEach((step, i) => {
+        const stepArgs = {};
+        for (const [key, value] of Object.entries(step.args || {})) {
+          // 整个值就是一个占位符时保留参数原始类型（如 hours: 24）
+          const placeholder = typeof value === 'string' && /^\{\{\s*(\w+)\s*\}\}$/.exec(value);
+          const filled = placeholder ? values[placeholder[1]] ?? '' : typeof value === 'string' ? fill(value) : value;
+          if (filled !== '' && filled !== undefined) stepArgs[key] = filled;
+        }
+        const argsText = Object.keys(stepArgs).length > 0 ? `，参数: ${JSON.stringify(stepArgs)}` : '';
+        const unavailable = availableTools.has(step.tool) ? '' : '（当前工具列表中不可用，跳过）';
+        text += `${i + 1}. 调用 \`${step.tool}\`${argsText}${unavailable}`;
+        if (step.note) text += ` — ${fill(step.note)}`;
+        text += '\n';
+      });
+    }
+
+    return {
+      description: template.description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text },
+        },
+      ],
+    };
   }
 
   /**
@@ -1233,7 +4935,7 @@ class ThinMCPServer {
   /**
    * 本地处理 fetch_logs 工具（避免嵌套调用）
    */
-  async handleFetchLogsLocally(args, requestId = null) {
+  async handleFetchLogsLocally(args, requestId = null, signal = null) {
     const { nodes = [], keyword = '', keywords = [], last_hours = 2, log_level = 'INFO', context_lines = 0, ssh_user, ssh_key_path, ssh_jump_host } = args;
 
     // 支持单个 keyword 或多个 keywords 数组
@@ -1266,11 +4968,11 @@ class ThinMCPServer {
       };
     });
 
-    const pathResults = await this.executeSshCommands(discoverCommands, sshConfig, requestId);
+    const pathResults = await this.executeSshCommands(discoverCommands, sshConfig, requestId, signal);
     console.error(`         ✅ Discovered ${pathResults.ssh_summary.successful} paths`);
     // 调试：打印每个节点的路径发现结果
     for (const r of pathResults.ssh_results) {
-      fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] discover ${r.node_ip}(${r.node_type}): success=${r.success}, output="${(r.output||'').trim()}", error="${r.error||r.stderr||''}"\n`);
+      this.clientLog('debug', 'ssh', `discover ${r.node_ip}(${r.node_type}): success=${r.success}, output="${(r.output||'').trim()}", error="${r.error||r.stderr||''}"`);
     }
 
     // SSH 全部失败时提前返回，避免后续无意义的日志拉取
@@ -1363,11 +5065,13 @@ class ThinMCPServer {
         node_ip: result.node_ip,
         node_type: result.node_type,
         ssh_command: fetchCmd,
+        // 时间过滤条件随当前时间变化，审批按占位后的命令计算
+        stable_command: timeFilterCmd ? fetchCmd.replace(timeFilterCmd, `<最近 ${last_hours} 小时的时间过滤>`) : fetchCmd,
         command_type: 'fetch_log_content',
       });
     }
 
-    const logResults = await this.executeSshCommands(fetchCommands, sshConfig, requestId);
+    const logResults = await this.executeSshCommands(fetchCommands, sshConfig, requestId, signal);
     console.error(`         ✅ Fetched logs from ${logResults.ssh_summary.successful} nodes`);
 
     // 构建返回结果
@@ -1404,7 +5108,7 @@ class ThinMCPServer {
    * 递归调用 Solution C 工具（用于工具间调用）
    * 执行完整的工具处理流程：获取查询 -> 执行 SQL -> 分析结果
    */
-  async handleSolutionCTool(toolName, args = {}, requestId = null) {
+  async handleSolutionCTool(toolName, args = {}, requestId = null, signal = null) {
     const reqId = requestId || 'no-id';
 
     console.error(`\n${'='.repeat(60)}`);
@@ -1422,7 +5126,7 @@ class ThinMCPServer {
     try {
       // 1. 从中心 API 获取 SQL 查询定义
       console.error(`\n   [Step 1] Getting queries from Central API...`);
-      const queryDef = await this.getQueriesFromAPI(toolName, args, requestId);
+      const queryDef = await this.getQueriesFromAPI(toolName, args, requestId, signal);
       console.error(`   [Step 1] Got ${queryDef.queries?.length || 0} queries`);
 
       // 2. 执行 SQL 查询
@@ -1430,7 +5134,7 @@ class ThinMCPServer {
       const regularQueries = queryDef.queries?.filter(q => q.type !== 'meta') || [];
       if (regularQueries.length > 0) {
         console.error(`\n   [Step 2] Executing ${regularQueries.length} SQL queries...`);
-        results = await this.executeQueries(regularQueries, requestId);
+        results = await this.executeQueries(regularQueries, requestId, signal, toolName);
 
         // 记录查询结果摘要
         for (const [key, value] of Object.entries(results)) {
@@ -1456,12 +5160,14 @@ class ThinMCPServer {
         results,
         args,
         requestId,
+        signal,
       );
 
       // 4. 处理多阶段查询
       let phaseCount = 1;
       const maxPhases = 5;
       while (analysis.status === 'needs_more_queries' && phaseCount < maxPhases) {
+        this.throwIfCancelled(signal);
         phaseCount++;
         console.error(`\n   [Phase ${phaseCount}] ${analysis.phase_name || analysis.phase}`);
 
@@ -1472,6 +5178,7 @@ class ThinMCPServer {
             analysis.ssh_commands,
             args,
             requestId,
+            signal,
           );
 
           // 使用 Central API 指定的结果键名，否则使用默认的 ssh_results/ssh_summary
@@ -1487,6 +5194,8 @@ class ThinMCPServer {
           const additionalResults = await this.executeQueries(
             analysis.next_queries,
             requestId,
+            signal,
+            toolName,
           );
           results = { ...results, ...additionalResults };
         }
@@ -1499,7 +5208,7 @@ class ThinMCPServer {
 
           for (const query of analysis.prometheus_queries) {
             try {
-              const queryResult = await this.queryPrometheusRange(query);
+              const queryResult = await this.queryPrometheusRange(query, signal);
               prometheusResults[query.id] = queryResult;
               console.error(`         ✅ Prometheus '${query.id}' completed`);
             } catch (err) {
@@ -1523,7 +5232,7 @@ class ThinMCPServer {
           const toolResultKey = analysis.tool_result_key || 'tool_result';
 
           if (analysis.tool_name === 'fetch_logs') {
-            const toolResult = await this.handleFetchLogsLocally(analysis.tool_args, requestId);
+            const toolResult = await this.handleFetchLogsLocally(analysis.tool_args, requestId, signal);
             results[toolResultKey] = toolResult;
             console.error(`         ✅ Tool '${analysis.tool_name}' completed`);
           } else {
@@ -1538,6 +5247,7 @@ class ThinMCPServer {
           results,
           nextArgs,
           requestId,
+          signal,
         );
       }
 
@@ -1545,6 +5255,8 @@ class ThinMCPServer {
       console.error(`${'='.repeat(60)}\n`);
       return analysis;
     } catch (error) {
+      // 取消和待审批向上传播，由顶层 CallTool 处理器统一处理
+      if (signal?.aborted || error.approvalRequired) throw error;
       console.error(`\n❌ [${reqId}] TOOL-TO-TOOL ${toolName} failed: ${error.message}`);
       console.error(`${'='.repeat(60)}\n`);
       return {
@@ -1562,7 +5274,7 @@ class ThinMCPServer {
    * @param {string} requestId - 请求 ID
    * @returns {object|null} - 执行计划，如果工具不需要计划确认则返回 null
    */
-  async getPlanFromAPI(toolName, args = {}, requestId = null) {
+  async getPlanFromAPI(toolName, args = {}, requestId = null, signal = null) {
     // 构建 URL，将 args 作为 query string
     const queryParams = new URLSearchParams();
     for (const [key, value] of Object.entries(args)) {
@@ -1576,16 +5288,18 @@ class ThinMCPServer {
 
     try {
       const headers = {};
-      if (this.apiToken) {
-        headers['X-API-Key'] = this.apiToken;
+      const apiToken = await this.credentials.get('CENTRAL_API_TOKEN');
+      if (apiToken) {
+        headers['X-API-Key'] = apiToken;
       }
 
       console.error(`\n📋 [${reqId}] GET_PLAN: ${toolName}`);
       console.error(`   URL: ${url}`);
 
-      const response = await fetch(url, { headers });
+      const response = await fetch(url, { headers, signal });
 
       if (!response.ok) {
+        if (response.status === 401) this.credentials.invalidate('CENTRAL_API_TOKEN');
         console.error(`❌ [${reqId}] GET_PLAN failed: ${response.status}`);
         return null;
       }
@@ -1607,7 +5321,7 @@ class ThinMCPServer {
   /**
    * 从中心 API 获取 SQL 查询定义
    */
-  async getQueriesFromAPI(toolName, args = {}, requestId = null) {
+  async getQueriesFromAPI(toolName, args = {}, requestId = null, signal = null) {
     const url = `${this.centralAPI}/api/queries/${toolName}`;
     const reqId = requestId || 'no-id';
 
@@ -1616,8 +5330,9 @@ class ThinMCPServer {
       const headers = {
         'Content-Type': 'application/json',
       };
-      if (this.apiToken) {
-        headers['X-API-Key'] = this.apiToken;
+      const apiToken = await this.credentials.get('CENTRAL_API_TOKEN');
+      if (apiToken) {
+        headers['X-API-Key'] = apiToken;
       }
 
       const body = { args };
@@ -1645,10 +5360,11 @@ class ThinMCPServer {
         method: 'POST',
         headers: headers,
         body: JSON.stringify(body),
-        signal: AbortSignal.timeout(120000), // 120 秒超时
+        signal: this._withTimeout(signal, 120000), // 120 秒超时
       });
 
       if (!response.ok) {
+        if (response.status === 401) this.credentials.invalidate('CENTRAL_API_TOKEN');
         const errorText = await response.text();
         const error = new Error(
           `API returned ${response.status}: ${response.statusText}`,
@@ -1690,8 +5406,12 @@ class ThinMCPServer {
 
   /**
    * 执行查询（SQL + Prometheus）
+   * SQL 按查询指令的 timeout_ms（默认 SQL_QUERY_TIMEOUT_MS）限时执行，超时的语句返回 timed_out 结果
+   * 结果流式读取，按 max_rows / max_bytes 截断，aggregate_only 时只返回列统计（见 ResultCollector）
+   * @param {AbortSignal} signal - 请求取消信号；取消时对正在执行的语句发送 KILL QUERY 并跳过剩余查询
+   * @param {string} toolName - 下发查询的工具，用于 SQL 只读策略的按工具覆盖
    */
-  async executeQueries(queries, requestId = null) {
+  async executeQueries(queries, requestId = null, signal = null, toolName = null) {
     const results = {};
     let connection = null;
 
@@ -1701,18 +5421,71 @@ class ThinMCPServer {
       (q) => q.type === 'prometheus_range' || q.type === 'prometheus_instant',
     );
 
+    // dry run 只记录 SQL 原文，不连接数据库；审批模式下非只读 SQL 需要审批（被只读策略拒绝的语句本来就不会执行）
+    const writeSql = sqlQueries
+      .filter((q) => {
+        const check = this.sqlPolicy.check(q.sql, toolName);
+        return check.allowed && check.statements.some((stmt) => !stmt.readOnly);
+      })
+      .map((q) => q.sql);
+    const gate = this.gateExecution('sql', this.isDryRun() ? sqlQueries.map((q) => q.sql) : writeSql);
+    if (gate.action === 'cached') return gate.result;
+    if (gate.action === 'dry_run') {
+      for (const query of sqlQueries) results[query.id] = { dry_run: true, sql: query.sql };
+    }
+
     // 执行 SQL 查询
-    if (sqlQueries.length > 0) {
+    if (sqlQueries.length > 0 && gate.action !== 'dry_run') {
       try {
-        fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} [executeQueries] Getting DB connection...\n`);
         connection = await this.getDbConnection();
-        fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} [executeQueries] DB connected to ${this.dbConfig.host}:${this.dbConfig.port}\n`);
-        // 禁用当前 session 的 profile 记录，避免系统查询挤掉用户查询的 profile
-        await connection.query('SET enable_profile = false');
-        console.error('   Disabled profile recording for this session');
+        const { dbConfig } = this.currentCluster();
+        this.clientLog('debug', 'sql', `数据库已连接 ${dbConfig.host}:${dbConfig.port}，执行 ${sqlQueries.length} 条 SQL`);
         for (const query of sqlQueries) {
+          if (signal?.aborted) {
+            results[query.id] = {
+              error: '请求已取消，查询未执行',
+              cancelled: true,
+              sql: query.sql ? query.sql.substring(0, 100) + '...' : 'N/A',
+            };
+            continue;
+          }
+
+          // SQL 只读策略：拒绝的语句不执行，以错误结果返回给 Central API
+          const policyCheck = this.sqlPolicy.check(query.sql, toolName);
+          if (!policyCheck.allowed) {
+            console.error(`   🛡️  SQL ${query.id} blocked by policy: ${policyCheck.reason}`);
+            this.clientLog('warning', 'sql', `SQL ${query.id} 被只读策略拒绝: ${policyCheck.reason}`);
+            if (requestId) {
+              this.logger.logDatabaseResult(requestId, query.id, 0, new Error(`SQL policy: ${policyCheck.reason}`));
+            }
+            this.audit('sql', query.sql, 'blocked', { detail: policyCheck.reason });
+            results[query.id] = {
+              error: `SQL 被只读策略拒绝: ${policyCheck.reason}`,
+              blocked: true,
+              sql: query.sql ? query.sql.substring(0, 100) + '...' : 'N/A',
+            };
+            continue;
+          }
+
+          // 取消时通过另一条连接 KILL 当前语句，使 connection.query 尽快返回
+          // abort 事件在取消通知的处理中触发，需回到本请求的上下文（集群、审计字段）
+          const connectionId = connection.threadId;
+          const requestStore = this.requestContext.getStore();
+          const onAbort = () => this.requestContext.run(requestStore, () => this.killQuery(connectionId, requestId));
+          signal?.addEventListener('abort', onAbort, { once: true });
+
+          const requestedTimeout = parseInt(query.timeout_ms);
+          const timeoutMs = Math.min(requestedTimeout > 0 ? requestedTimeout : this.sqlTimeoutConfig.defaultMs, this.sqlTimeoutConfig.maxMs);
+          const collector = new ResultCollector({
+            maxRows: parseInt(query.max_rows) > 0 ? parseInt(query.max_rows) : this.sqlResultLimits.maxRows,
+            maxBytes: parseInt(query.max_bytes) > 0 ? parseInt(query.max_bytes) : this.sqlResultLimits.maxBytes,
+            aggregate: query.aggregate_only === true,
+          }, this.resultRowMasker(query.id));
+          const startTime = Date.now();
+          let connectionDestroyed = false;
           try {
             console.error(`Executing SQL query: ${query.id}`);
+            this.clientLog('debug', 'sql', `执行 SQL: ${query.id}`);
 
             // 记录数据库查询（包含完整的 MySQL 命令）
             if (requestId) {
@@ -1721,55 +5494,69 @@ class ThinMCPServer {
                 query.id,
                 query.sql,
                 'sql',
-                this.dbConfig,
+                { ...this.currentCluster().dbConfig, defaultsFile: this.currentCluster().mysqlDefaultsFile },
               );
             }
 
-            const [rows] = await connection.query(query.sql);
-            results[query.id] = rows;
+            results[query.id] = await this.queryWithDeadline(connection, query.sql, timeoutMs, requestId, collector);
+            if (collector.truncated) {
+              this.clientLog('warning', 'sql', `SQL ${query.id} 结果超过 ${collector.truncatedBy} 上限，返回 ${collector.rows.length}/${collector.totalRows} 行`);
+            }
 
             // 记录查询结果
             if (requestId) {
-              this.logger.logDatabaseResult(
-                requestId,
-                query.id,
-                Array.isArray(rows) ? rows.length : 0,
-              );
+              this.logger.logDatabaseResult(requestId, query.id, collector.totalRows);
             }
           } catch (error) {
             console.error(`SQL Query ${query.id} failed:`, error.message);
+            this.clientLog('warning', 'sql', `SQL ${query.id} 执行失败: ${error.message}`);
 
             // 记录查询失败
             if (requestId) {
               this.logger.logDatabaseResult(requestId, query.id, 0, error);
             }
 
+            connectionDestroyed = Boolean(error.connectionDestroyed);
             results[query.id] = {
               error: error.message,
+              ...(signal?.aborted ? { cancelled: true } : {}),
+              ...(error.code === 'QUERY_TIMEOUT'
+                ? { timed_out: true, timeout_ms: timeoutMs, elapsed_ms: Date.now() - startTime, killed: error.killed }
+                : {}),
               sql: query.sql ? query.sql.substring(0, 100) + '...' : 'N/A',
             };
+          } finally {
+            signal?.removeEventListener('abort', onAbort);
+          }
+
+          // 超时后被销毁的连接不能再用，后续语句换一条连接
+          if (connectionDestroyed) {
+            connection = null;
+            connection = await this.getDbConnection();
           }
         }
       } catch (connError) {
         // 数据库连接失败时，将所有 SQL 查询标记为错误，而不是直接抛异常
         // 这样后续逻辑（如 get_query_profile）可以降级到 SSH 获取 fe.profile.log
         console.error(`Database connection failed: ${connError.message}`);
+        this.clientLog('error', 'sql', `数据库连接失败: ${connError.message}`);
         for (const query of sqlQueries) {
+          if (results[query.id]) continue; // 超时后重新取连接失败时保留已执行语句的结果
           results[query.id] = {
             error: `Database connection failed: ${connError.message}`,
             sql: query.sql ? query.sql.substring(0, 100) + '...' : 'N/A',
           };
         }
       } finally {
-        if (connection) await connection.end();
+        if (connection && await this.restoreQueryTimeout(connection)) connection.release();
       }
     }
 
     // 执行 Prometheus 查询
-    fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} [executeQueries] Prometheus queries: ${prometheusQueries.length}, SQL queries: ${sqlQueries.length}\n`);
     for (const query of prometheusQueries) {
+      if (signal?.aborted) break;
       try {
-        fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} [executeQueries] Starting Prometheus: ${query.id} (${query.type})\n`);
+        this.clientLog('debug', 'prometheus', `查询 Prometheus: ${query.id} (${query.type})`);
         console.error(
           `Executing Prometheus query: ${query.id} (${query.type})`,
         );
@@ -1785,11 +5572,10 @@ class ThinMCPServer {
         }
 
         if (query.type === 'prometheus_range') {
-          results[query.id] = await this.queryPrometheusRange(query);
+          results[query.id] = await this.queryPrometheusRange(query, signal);
         } else {
-          results[query.id] = await this.queryPrometheusInstant(query);
+          results[query.id] = await this.queryPrometheusInstant(query, signal);
         }
-        fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} [executeQueries] Prometheus done: ${query.id}\n`);
 
         // 记录查询结果
         if (requestId) {
@@ -1813,17 +5599,25 @@ class ThinMCPServer {
       }
     }
 
+    this.throwIfCancelled(signal);
+    this.recordApprovedExecution(gate, results);
     return results;
   }
 
-  // Prometheus 查询的超时信号（30秒）
-  _prometheusTimeout() { return AbortSignal.timeout(30000); }
+  // Prometheus 查询的超时信号（30秒），可与请求取消信号组合
+  _prometheusTimeout(signal = null) { return this._withTimeout(signal, 30000); }
 
   /**
    * 查询 Prometheus 即时数据
    */
-  async queryPrometheusInstant(queryDef) {
-    const baseUrl = `${this.prometheusConfig.protocol}://${this.prometheusConfig.host}:${this.prometheusConfig.port}`;
+  async queryPrometheusInstant(queryDef, signal = null) {
+    // dry run 只记录 PromQL，不发请求（Prometheus 查询不需要审批）
+    if (this.gateExecution('prometheus', [queryDef.query], false).action === 'dry_run') {
+      return { dry_run: true, query: queryDef.query };
+    }
+
+    const { prometheusConfig } = this.currentCluster();
+    const baseUrl = `${prometheusConfig.protocol}://${prometheusConfig.host}:${prometheusConfig.port}`;
     const url = `${baseUrl}/api/v1/query`;
 
     const params = new URLSearchParams({
@@ -1833,7 +5627,7 @@ class ThinMCPServer {
     const response = await fetch(`${url}?${params}`, {
       method: 'GET',
       headers: { 'Content-Type': 'application/json' },
-      signal: this._prometheusTimeout(),
+      signal: this._prometheusTimeout(signal),
     });
 
     if (!response.ok) {
@@ -1855,8 +5649,14 @@ class ThinMCPServer {
   /**
    * 查询 Prometheus 范围数据
    */
-  async queryPrometheusRange(queryDef) {
-    const baseUrl = `${this.prometheusConfig.protocol}://${this.prometheusConfig.host}:${this.prometheusConfig.port}`;
+  async queryPrometheusRange(queryDef, signal = null) {
+    // dry run 只记录 PromQL，不发请求（Prometheus 查询不需要审批）
+    if (this.gateExecution('prometheus', [queryDef.query], false).action === 'dry_run') {
+      return { dry_run: true, query: queryDef.query };
+    }
+
+    const { prometheusConfig } = this.currentCluster();
+    const baseUrl = `${prometheusConfig.protocol}://${prometheusConfig.host}:${prometheusConfig.port}`;
     const url = `${baseUrl}/api/v1/query_range`;
 
     // 解析时间范围
@@ -1919,7 +5719,7 @@ class ThinMCPServer {
     const response = await fetch(`${url}?${params}`, {
       method: 'GET',
       headers: { 'Content-Type': 'application/json' },
-      signal: this._prometheusTimeout(),
+      signal: this._prometheusTimeout(signal),
     });
 
     if (!response.ok) {
@@ -1938,17 +5738,138 @@ class ThinMCPServer {
     return data.data;
   }
 
+  /**
+   * 通过跳板机上的 ssh-keyscan 获取节点主机密钥并登记（仅 tofu 模式、且该节点尚未登记时）
+   * 获取失败只记录，后续连接会因密钥未登记而失败并给出诊断
+   */
+  async pinHostKeyViaJump(nodeIp, sshJumpHost, sshUser, sshKeyPath, signal = null) {
+    if (this.sshHostKeys.mode !== 'tofu' || this.sshHostKeys.entries(nodeIp).length > 0) return;
+    if (!SshPolicy.HOST_PATTERN.test(nodeIp)) return;
+
+    const jumpSpec = sshJumpHost.includes('@') ? sshJumpHost : `${sshUser}@${sshJumpHost}`;
+    const args = [
+      ...this.sshHostKeys.options(),
+      '-o', 'ConnectTimeout=10',
+      ...(sshKeyPath ? ['-i', sshKeyPath] : []),
+      jumpSpec,
+      `ssh-keyscan -T 5 ${nodeIp}`,
+    ];
+    const command = CliPolicy.format('ssh', args);
+    try {
+      const { stdout } = await this.execFileGroup('ssh', args, { timeout: 20000, signal }, command);
+      const pinned = this.sshHostKeys.pin(nodeIp, stdout);
+      this.audit('ssh', command, pinned > 0 ? 'success' : 'error', {
+        host: sshJumpHost,
+        detail: `pinned ${pinned} host key(s) for ${nodeIp}`,
+      });
+      if (pinned > 0) {
+        console.error(`   📌 ${nodeIp}: 已登记主机密钥 ${pinned} 条 (via ${sshJumpHost})`);
+      } else {
+        console.error(`   ⚠️ ${nodeIp}: 跳板机上的 ssh-keyscan 未返回主机密钥`);
+      }
+    } catch (error) {
+      const reason = this.sshHostKeys.diagnose(error.stderr, sshJumpHost) || error.message;
+      this.audit('ssh', command, 'error', { host: sshJumpHost, detail: reason });
+      console.error(`   ⚠️ ${nodeIp}: 通过跳板机获取主机密钥失败: ${reason}`);
+    }
+  }
+
+  /**
+   * 以独立进程组执行 shell 命令（替代 promisify(exec)，返回值和错误字段与 exec 保持一致）
+   * 超时或取消时终止整个进程组，避免 sh -c 派生的 ssh / aws 等子进程成为孤儿继续运行
+   * @param {string} command - shell 命令
+   * @param {Object} options - { timeout, maxBuffer, signal }
+   * @returns {Promise<{stdout: string, stderr: string}>}
+   */
+  execShell(command, options = {}) {
+    return this.execFileGroup('/bin/sh', ['-c', command], options, command);
+  }
+
+  /**
+   * 以独立进程组直接执行程序（与 execFile 一样不经过 shell，参数原样传递）
+   * @param {string} file - 可执行程序
+   * @param {string[]} args - 参数列表
+   * @param {Object} options - { timeout, maxBuffer, signal }
+   * @param {string} displayCommand - 错误信息中展示的命令
+   * @returns {Promise<{stdout: string, stderr: string}>}
+   */
+  execFileGroup(file, args, { timeout = 0, maxBuffer = 1024 * 1024, signal = null } = {}, displayCommand = null) {
+    const command = displayCommand || [file, ...args].join(' ');
+    return new Promise((resolve, reject) => {
+      let terminatedBy = null; // 'timeout' | 'abort' | 'maxBuffer'
+      let timer = null;
+      let stdout = '';
+      let stderr = '';
+
+      // detached: 子进程成为进程组组长，便于整组终止
+      const child = spawn(file, args, {
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      const killGroup = (reason) => {
+        if (terminatedBy) return;
+        terminatedBy = reason;
+        try {
+          process.kill(-child.pid, 'SIGTERM');
+        } catch {
+          child.kill('SIGTERM');
+        }
+      };
+      const onAbort = () => killGroup('abort');
+
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk.toString();
+        if (stdout.length > maxBuffer) killGroup('maxBuffer');
+      });
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+        if (stderr.length > maxBuffer) killGroup('maxBuffer');
+      });
+
+      const finish = (code, error = null) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+
+        if (!error && code === 0 && !terminatedBy) {
+          resolve({ stdout, stderr });
+          return;
+        }
+        const err = error || new Error(
+          terminatedBy === 'maxBuffer'
+            ? 'stdout maxBuffer length exceeded'
+            : `Command failed: ${command}\n${stderr}`,
+        );
+        err.code = err.code ?? code;
+        err.stdout = stdout;
+        err.stderr = stderr;
+        if (terminatedBy === 'timeout') err.killed = true;
+        if (terminatedBy === 'abort') err.name = 'AbortError';
+        reject(err);
+      };
+
+      child.on('error', (error) => finish(null, error));
+      child.on('close', (code) => finish(code));
+
+      if (timeout > 0) {
+        timer = setTimeout(() => killGroup('timeout'), timeout);
+      }
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
   /**
    * 执行 CLI 命令（用于对象存储空间查询等场景）
    * @param {Array} commands - CLI 命令列表
    * @param {string} requestId - 请求 ID（用于日志记录）
+   * @param {AbortSignal} signal - 请求取消信号；取消时终止子进程并停止派发新命令
    * @returns {Object} 执行结果
    */
-  async executeCliCommands(commands, requestId = null) {
-    const { exec } = await import('node:child_process');
-    const { promisify } = await import('node:util');
-    const execAsync = promisify(exec);
-
+  async executeCliCommands(commands, requestId = null, signal = null) {
     const results = {
       cli_results: [],
       cli_summary: {
@@ -1960,7 +5881,33 @@ class ThinMCPServer {
       },
     };
 
+    // 将要执行的命令行（被策略拒绝的不会执行）：dry run 只记录，审批模式下需用户审批后才执行
+    const commandLines = commands.flatMap((cmd) => {
+      try {
+        const directive = CliPolicy.resolve(cmd, this.cliAllowedEndpoints);
+        return [CliPolicy.format(directive.binary, directive.args)];
+      } catch {
+        return [];
+      }
+    });
+    const gate = this.gateExecution('cli', commandLines);
+    if (gate.action === 'cached') return gate.result;
+    if (gate.action === 'dry_run') {
+      results.cli_results = commands.map((cmd) => ({
+        id: cmd.id,
+        type: cmd.type,
+        table_key: cmd.table_key,
+        partition_key: cmd.partition_key,
+        path: cmd.path,
+        storage_type: cmd.storage_type,
+        success: false,
+        dry_run: true,
+      }));
+      return results;
+    }
+
     const startTime = Date.now();
+    this.clientLog('info', 'cli', `执行 ${commands.length} 条 CLI 命令`);
     const maxConcurrency = 50;       // 降低并发数
     const commandTimeoutMs = 180000; // 180 秒超时（大表 shard 路径需要更长时间）
     const maxRetries = 3;            // 最大重试次数
@@ -1977,33 +5924,48 @@ class ThinMCPServer {
       const cmdType = cmd.type || '';
       const cmdKey = cmd.partition_key || cmd.table_key || cmd.path;
 
+      // 解析为 { binary, args } 并检查 CLI 策略；被拒绝的命令不执行也不重试
+      let directive = null;
+      let lastError = null;
+      try {
+        directive = CliPolicy.resolve(cmd, this.cliAllowedEndpoints);
+      } catch (policyError) {
+        lastError = new Error(`CLI 命令被策略拒绝: ${policyError.message}`);
+        lastError.blocked = true;
+      }
+      const commandLine = directive
+        ? CliPolicy.format(directive.binary, directive.args)
+        : (cmd.command || CliPolicy.format(String(cmd.binary), (cmd.args || []).map(String)));
+      const auditHost = (directive && CliPolicy.target(directive.args)) || cmd.storage_type || null;
+
       // 记录 CLI 命令到日志
       if (requestId) {
-        this.logger.logCliCommand(requestId, cmd.command, {
+        this.logger.logCliCommand(requestId, commandLine, {
           type: cmdType,
           key: cmdKey,
           storageType: cmd.storage_type,
         });
       }
 
-      let lastError = null;
       let totalDuration = 0;
 
       // 重试循环
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      for (let attempt = 1; directive && attempt <= maxRetries; attempt++) {
         const cmdStartTime = Date.now();
         try {
           if (attempt === 1) {
-            console.error(`   [${cmdIndex + 1}/${commands.length}] Executing: ${cmd.command.substring(0, 60)}...`);
+            console.error(`   [${cmdIndex + 1}/${commands.length}] Executing: ${commandLine.substring(0, 60)}...`);
           } else {
-            console.error(`   [${cmdIndex + 1}/${commands.length}] Retry ${attempt}/${maxRetries}: ${cmd.command.substring(0, 60)}...`);
+            console.error(`   [${cmdIndex + 1}/${commands.length}] Retry ${attempt}/${maxRetries}: ${commandLine.substring(0, 60)}...`);
             results.cli_summary.retried++;
           }
 
-          const { stdout, stderr } = await execAsync(cmd.command, {
+          const { stdout, stderr } = await this.execFileGroup(directive.binary, directive.args, {
             timeout: commandTimeoutMs,
             maxBuffer: 10 * 1024 * 1024, // 10MB
-          });
+            signal,
+          }, commandLine);
+          this.audit('cli', commandLine, 'success', { host: auditHost, detail: `attempt ${attempt}` });
 
           const duration = Date.now() - cmdStartTime;
           totalDuration += duration;
@@ -2011,7 +5973,7 @@ class ThinMCPServer {
           // 根据命令类型返回不同格式的结果
           if (rawOutputTypes.has(cmdType)) {
             if (requestId) {
-              this.logger.logCliResult(requestId, cmd.command, true, stdout, null, duration, {
+              this.logger.logCliResult(requestId, commandLine, true, stdout, null, duration, {
                 type: cmdType,
                 key: cmdKey,
               });
@@ -2031,7 +5993,7 @@ class ThinMCPServer {
             };
           } else if (cmdType === 'get_size') {
             if (requestId) {
-              this.logger.logCliResult(requestId, cmd.command, true, stdout.trim(), null, duration, {
+              this.logger.logCliResult(requestId, commandLine, true, stdout.trim(), null, duration, {
                 type: cmdType,
                 key: cmdKey,
               });
@@ -2053,7 +6015,7 @@ class ThinMCPServer {
               stdout,
             );
             if (requestId) {
-              this.logger.logCliResult(requestId, cmd.command, sizeBytes !== null, stdout, null, duration, {
+              this.logger.logCliResult(requestId, commandLine, sizeBytes !== null, stdout, null, duration, {
                 type: cmdType,
                 key: cmdKey,
                 sizeBytes,
@@ -2073,13 +6035,14 @@ class ThinMCPServer {
           const duration = Date.now() - cmdStartTime;
           totalDuration += duration;
           lastError = error;
+          this.audit('cli', commandLine, 'error', { host: auditHost, detail: `attempt ${attempt}: ${error.message}` });
 
-          // 判断是否需要重试（超时或临时错误）
-          const isRetryable = error.killed || // 超时被杀
+          // 判断是否需要重试（超时或临时错误；取消后不再重试）
+          const isRetryable = !signal?.aborted && (error.killed || // 超时被杀
             error.message.includes('Configuration file not available') ||
             error.message.includes('ETIMEDOUT') ||
             error.message.includes('ECONNRESET') ||
-            error.message.includes('socket hang up');
+            error.message.includes('socket hang up'));
 
           if (isRetryable && attempt < maxRetries) {
             console.error(`   [${cmdIndex + 1}] Attempt ${attempt} failed (retryable): ${error.message.substring(0, 80)}`);
@@ -2093,13 +6056,20 @@ class ThinMCPServer {
       }
 
       // 所有重试都失败
-      console.error(`   [${cmdIndex + 1}] CLI failed after ${maxRetries} attempts: ${lastError.message.substring(0, 100)}`);
+      if (lastError.blocked) {
+        console.error(`   [${cmdIndex + 1}] 🛡️  CLI blocked by policy: ${lastError.message.substring(0, 100)}`);
+        this.audit('cli', commandLine, 'blocked', { host: auditHost, detail: lastError.message });
+        this.clientLog('warning', 'cli', `${lastError.message} (${cmdType || 'generic'})`);
+      } else {
+        console.error(`   [${cmdIndex + 1}] CLI failed after ${maxRetries} attempts: ${lastError.message.substring(0, 100)}`);
+        this.clientLog('warning', 'cli', `CLI 命令重试 ${maxRetries} 次后仍失败 (${cmdType || 'generic'}): ${lastError.message.substring(0, 200)}`);
+      }
 
       if (requestId) {
-        this.logger.logCliResult(requestId, cmd.command, false, null, lastError.message, totalDuration, {
+        this.logger.logCliResult(requestId, commandLine, false, null, lastError.message, totalDuration, {
           type: cmdType,
           key: cmdKey,
-          attempts: maxRetries,
+          attempts: directive ? maxRetries : 0,
         });
       }
 
@@ -2114,7 +6084,8 @@ class ThinMCPServer {
           type: cmdType,
           success: false,
           error: lastError.message,
-          attempts: maxRetries,
+          ...(lastError.blocked ? { blocked: true } : {}),
+          attempts: directive ? maxRetries : 0,
         };
       } else if (cmdType === 'get_size') {
         return {
@@ -2125,7 +6096,8 @@ class ThinMCPServer {
           subdir: cmd.subdir || null,
           success: false,
           error: lastError.message,
-          attempts: maxRetries,
+          ...(lastError.blocked ? { blocked: true } : {}),
+          attempts: directive ? maxRetries : 0,
         };
       } else {
         return {
@@ -2134,7 +6106,8 @@ class ThinMCPServer {
           storage_type: cmd.storage_type,
           success: false,
           error: lastError.message,
-          attempts: maxRetries,
+          ...(lastError.blocked ? { blocked: true } : {}),
+          attempts: directive ? maxRetries : 0,
         };
       }
     };
@@ -2146,7 +6119,7 @@ class ThinMCPServer {
     const progressInterval = Math.max(1, Math.floor(commands.length / 20)); // 每 5% 打印一次进度
 
     const worker = async () => {
-      while (true) {
+      while (!signal?.aborted) {
         const currentIndex = nextIndex++;
         if (currentIndex >= commands.length) break;
 
@@ -2167,6 +6140,7 @@ class ThinMCPServer {
     console.error(`   Starting CLI execution: ${commands.length} commands, concurrency=${maxConcurrency}, timeout=${commandTimeoutMs}ms, maxRetries=${maxRetries}`);
     const workers = Array(Math.min(maxConcurrency, commands.length)).fill(null).map(() => worker());
     await Promise.all(workers);
+    this.throwIfCancelled(signal);
 
     // 汇总结果
     for (const result of allResults) {
@@ -2182,7 +6156,13 @@ class ThinMCPServer {
     console.error(
       `   CLI execution completed: ${results.cli_summary.successful} success, ${results.cli_summary.failed} failed, ${results.cli_summary.retried} retries, ${(results.cli_summary.execution_time_ms / 1000).toFixed(1)}s total`,
     );
+    this.clientLog(
+      results.cli_summary.failed > 0 ? 'warning' : 'info',
+      'cli',
+      `CLI 执行完成: ${results.cli_summary.successful} 成功, ${results.cli_summary.failed} 失败, ${results.cli_summary.retried} 次重试`,
+    );
 
+    this.recordApprovedExecution(gate, results);
     return results;
   }
 
@@ -2191,12 +6171,9 @@ class ThinMCPServer {
    * @param {Array} commands - SSH 命令列表
    * @param {object} sshConfig - SSH 配置 { user, keyPath, password }
    * @param {string} requestId - 请求 ID（用于日志追踪）
+   * @param {AbortSignal} signal - 请求取消信号；取消时终止所有 ssh 子进程
    */
-  async executeSshCommands(commands, sshConfig = {}, requestId = null) {
-    const { exec } = await import('node:child_process');
-    const { promisify } = await import('node:util');
-    const execAsync = promisify(exec);
-
+  async executeSshCommands(commands, sshConfig = {}, requestId = null, signal = null) {
     const results = {
       ssh_results: [],
       ssh_summary: {
@@ -2208,21 +6185,130 @@ class ThinMCPServer {
     };
 
     const startTime = Date.now();
+    this.clientLog('info', 'ssh', `在 ${new Set(commands.map((c) => c.node_ip)).size} 个节点上执行 ${commands.length} 条 SSH 命令`);
     const maxConcurrency = 5; // SSH 连接并发数较低
 
-    // 获取 SSH 配置（默认使用当前系统用户）
-    const sshUser =
-      sshConfig.ssh_user || process.env.SSH_USER || os.userInfo().username;
-    const sshKeyPath = sshConfig.ssh_key_path || process.env.SSH_KEY_PATH || '';
-    const sshJumpHost = sshConfig.ssh_jump_host || process.env.SSH_JUMP_HOST || '';
+    // 获取 SSH 配置（参数优先，其次是当前集群的配置）
+    const cluster = this.currentCluster();
+    const sshUser = sshConfig.ssh_user || cluster.sshUser;
+    const sshKeyPath = sshConfig.ssh_key_path || await this.getSshKeyPath(cluster);
+    const sshJumpHost = sshConfig.ssh_jump_host || cluster.sshJumpHost;
     // 注意：密码模式需要 sshpass，暂未实现
 
+    // 用户名、跳板机和节点地址会拼进本地 /bin/sh -c 执行的 ssh 命令，格式不合法时不建立任何连接
+    // （node_ip 为 "x;id>/tmp/p;#" 时会在本机执行命令，且绕过远程命令策略）
+    if (!SshPolicy.USER_PATTERN.test(String(sshUser || ''))) {
+      throw new Error(`SSH 用户名不合法: ${JSON.stringify(sshUser)}`);
+    }
+    if (sshJumpHost && !SshPolicy.JUMP_HOST_PATTERN.test(String(sshJumpHost))) {
+      throw new Error(`SSH 跳板机地址不合法: ${JSON.stringify(sshJumpHost)}`);
+    }
+    const isValidNode = (nodeIp) => typeof nodeIp === 'string' && SshPolicy.HOST_PATTERN.test(nodeIp);
+
+    // 构建 SSH 基础命令（根据每个节点的探测结果选择模式）
+    const buildSshCmd = (nodeIp, remoteCmd) => {
+      const sshOpts = `${this.sshHostKeys.shellOptions()} -o ConnectTimeout=30`;
+      const keyOpt = sshKeyPath ? ` -i "${sshKeyPath}"` : '';
+      const nodeUseTunnel = cluster.sshNodeModes[nodeIp] === 'tunnel' && sshJumpHost;
+
+      if (nodeUseTunnel) {
+        // 嵌套 SSH：先连跳板机，再从跳板机连目标节点（使用跳板机上的密钥）
+        // 用 base64 编码传递命令，避免多层转义的复杂性
+        // 方案: ssh jumphost "echo B64 | base64 -d | ssh target 'bash -s'"
+        //   - base64 编码保留命令原文（含 $、引号等特殊字符）
+        //   - 在跳板机上解码后通过 stdin 管道给目标节点的 bash -s 执行
+        //   - 目标节点的主机密钥按本地 known_hosts 中登记的记录校验（见 SshHostKeys.jumpCommand）
+        const b64Cmd = Buffer.from(remoteCmd).toString('base64');
+        const jumpSpec = sshJumpHost.includes('@') ? sshJumpHost : `${sshUser}@${sshJumpHost}`;
+        const jumpCmd = this.sshHostKeys.jumpCommand(nodeIp, `-o ConnectTimeout=30 ${sshUser}@${nodeIp} 'bash -s'`, b64Cmd);
+        // 外层只需转义 $ 防止本地 shell 展开
+        const outerEscaped = jumpCmd.replace(/\$/g, '\\$');
+        return `ssh ${sshOpts}${keyOpt} ${jumpSpec} "${outerEscaped}"`;
+      } else {
+        // 直连模式
+        const escapedCmd = remoteCmd
+          .replace(/\\/g, '\\\\')
+          .replace(/"/g, '\\"')
+          .replace(/\$/g, '\\$')
+          .replace(/`/g, '\\`');
+        return `ssh ${sshOpts}${keyOpt} ${sshUser}@${nodeIp} "${escapedCmd}"`;
+      }
+    };
+    // fetch_log_scp 的 spawn 参数（不需要转义，spawn 直接传参）
+    const buildScpArgs = (nodeIp, remoteCmd) => {
+      const sshArgs = [
+        ...this.sshHostKeys.options(),
+        '-o',
+        'ConnectTimeout=10',
+        '-T',
+      ];
+      if (sshKeyPath) {
+        sshArgs.push('-i', sshKeyPath);
+      }
+      sshArgs.push(`${sshUser}@${nodeIp}`, remoteCmd);
+      return sshArgs;
+    };
+    // 结构化模板 { template, params } 由本地模板渲染，否则使用原始 ssh_command；同时做 SSH 策略检查
+    const resolveRemoteCmd = (cmd) => {
+      let remoteCmd = cmd.ssh_command;
+      if (!isValidNode(cmd.node_ip)) {
+        // 与 enforce 无关，始终拒绝
+        return { remoteCmd, policyCheck: { allowed: false, reason: `节点地址不合法: ${JSON.stringify(cmd.node_ip)}` } };
+      }
+      let policyCheck;
+      try {
+        if (cmd.template) remoteCmd = this.sshPolicy.renderTemplate(cmd.template, cmd.params);
+        policyCheck = this.sshPolicy.check(remoteCmd);
+      } catch (templateError) {
+        policyCheck = { allowed: false, reason: templateError.message };
+      }
+      return { remoteCmd, policyCheck };
+    };
+    // 超时根据节点模式动态设置
+    const getTimeoutMs = (nodeIp) => {
+      const nodeUseTunnel = cluster.sshNodeModes[nodeIp] === 'tunnel' && sshJumpHost;
+      return nodeUseTunnel ? 120000 : 60000;
+    };
+
+    // 将要执行的完整命令（被策略拒绝的不会执行）：dry run 只记录，审批模式下需用户审批后才执行
+    // 此时尚未探测的节点按直连模式展示命令；hash 只取稳定形式，与之后探测出的连接方式无关
+    // 审批按节点和远程命令计算 hash（stable_command 中按时间生成的过滤条件已替换为占位符），
+    // 续跑时即使跨过整点、连接方式或密钥路径变化，已批准的命令也不需要再次审批
+    const gateCommands = commands.flatMap((cmd) => {
+      const { remoteCmd, policyCheck } = resolveRemoteCmd(cmd);
+      if (!policyCheck.allowed) return [];
+      return [{
+        line: cmd.command_type === 'fetch_log_scp'
+          ? CliPolicy.format('ssh', buildScpArgs(cmd.node_ip, remoteCmd))
+          : buildSshCmd(cmd.node_ip, remoteCmd),
+        stable: `${cmd.command_type === 'fetch_log_scp' ? 'scp' : 'ssh'} ${sshUser}@${cmd.node_ip} ${cmd.stable_command || remoteCmd}`,
+      }];
+    });
+    const gate = this.gateExecution('ssh', gateCommands.map((c) => c.line), true, gateCommands.map((c) => c.stable));
+    if (gate.action === 'cached') return gate.result;
+    if (gate.action === 'dry_run') {
+      results.ssh_results = commands.map((cmd) => ({
+        node_ip: cmd.node_ip,
+        node_type: cmd.node_type,
+        log_dir: cmd.log_dir,
+        file_patterns: cmd.file_patterns,
+        command_type: cmd.command_type || 'generic',
+        success: false,
+        dry_run: true,
+      }));
+      return results;
+    }
+
     // === SSH 连接模式探测（逐节点探测，直连优先，跳板机降级） ===
+    // 探测和登记主机密钥都会连接节点或跳板机，放在审批之后：dry run 和待审批时不建立任何 SSH 连接
     // 不同节点可能有不同的网络可达性（如部分节点可直连，部分需要跳板机）
 
     // 收集需要探测的节点（去重，跳过已探测的）
-    const uniqueNodeIps = [...new Set(commands.map(c => c.node_ip))];
-    const nodesToProbe = uniqueNodeIps.filter(ip => !this._sshNodeModes[ip]);
+    const uniqueNodeIps = [...new Set(commands.map(c => c.node_ip))].filter(isValidNode);
+    const nodesToProbe = uniqueNodeIps.filter(ip => !cluster.sshNodeModes[ip]);
+
+    // 探测时主机密钥校验失败的节点 -> 诊断信息
+    const hostKeyErrors = new Map();
 
     if (nodesToProbe.length > 0) {
       console.error(`   🔍 探测 ${nodesToProbe.length} 个节点的 SSH 直连性...`);
@@ -2230,76 +6316,74 @@ class ThinMCPServer {
       const probeResults = await Promise.all(
         nodesToProbe.map(async (nodeIp) => {
           try {
-            const sshOpts = `-o StrictHostKeyChecking=no -o ConnectTimeout=5`;
+            const sshOpts = `${this.sshHostKeys.shellOptions()} -o ConnectTimeout=5`;
             const keyOpt = sshKeyPath ? ` -i "${sshKeyPath}"` : '';
             const testCmd = `ssh ${sshOpts}${keyOpt} ${sshUser}@${nodeIp} "echo ok"`;
-            const { stdout } = await execAsync(testCmd, { timeout: 10000 });
+            const { stdout } = await this.execShell(testCmd, { timeout: 10000, signal });
             return { nodeIp, direct: stdout.trim().includes('ok') };
-          } catch {
-            return { nodeIp, direct: false };
+          } catch (error) {
+            return { nodeIp, direct: false, hostKeyError: this.sshHostKeys.diagnose(error.stderr, nodeIp) };
           }
         })
       );
-
-      for (const { nodeIp, direct } of probeResults) {
-        if (direct) {
-          this._sshNodeModes[nodeIp] = 'direct';
+      // 取消导致的探测失败不能缓存为节点模式
+      this.throwIfCancelled(signal);
+
+      for (const { nodeIp, direct, hostKeyError } of probeResults) {
+        if (hostKeyError) {
+          // 主机密钥不符时不降级到跳板机（否则会绕过校验静默连上），该节点的命令直接失败
+          hostKeyErrors.set(nodeIp, hostKeyError);
+          console.error(`   ❌ ${hostKeyError}`);
+          this.clientLog('error', 'ssh', hostKeyError);
+        } else if (direct) {
+          cluster.sshNodeModes[nodeIp] = 'direct';
           console.error(`   ✅ ${nodeIp}: 直连成功`);
         } else if (sshJumpHost) {
-          this._sshNodeModes[nodeIp] = 'tunnel';
+          cluster.sshNodeModes[nodeIp] = 'tunnel';
           console.error(`   ⚠️ ${nodeIp}: 直连失败，使用跳板机 (${sshJumpHost})`);
         } else {
-          this._sshNodeModes[nodeIp] = 'direct'; // 无跳板机，只能直连
+          cluster.sshNodeModes[nodeIp] = 'direct'; // 无跳板机，只能直连
           console.error(`   ⚠️ ${nodeIp}: 直连失败，无跳板机可降级`);
         }
       }
     }
 
-    // 构建 SSH 基础命令（根据每个节点的探测结果选择模式）
-    const buildSshCmd = (nodeIp, remoteCmd) => {
-      const sshOpts = `-o StrictHostKeyChecking=no -o ConnectTimeout=30`;
-      const keyOpt = sshKeyPath ? ` -i "${sshKeyPath}"` : '';
-      const nodeUseTunnel = this._sshNodeModes[nodeIp] === 'tunnel' && sshJumpHost;
-
-      if (nodeUseTunnel) {
-        // 嵌套 SSH：先连跳板机，再从跳板机连目标节点（使用跳板机上的密钥）
-        // 用 base64 编码传递命令，避免多层转义的复杂性
-        // 方案: ssh jumphost "echo B64 | base64 -d | ssh target 'bash -s'"
-        //   - base64 编码保留命令原文（含 $、引号等特殊字符）
-        //   - 在跳板机上解码后通过 stdin 管道给目标节点的 bash -s 执行
-        const b64Cmd = Buffer.from(remoteCmd).toString('base64');
-        const jumpSpec = sshJumpHost.includes('@') ? sshJumpHost : `${sshUser}@${sshJumpHost}`;
-        const jumpCmd = `echo ${b64Cmd} | base64 -d | ssh ${sshOpts} ${sshUser}@${nodeIp} 'bash -s'`;
-        // 外层只需转义 $ 防止本地 shell 展开
-        const outerEscaped = jumpCmd.replace(/\$/g, '\\$');
-        return `ssh ${sshOpts}${keyOpt} ${jumpSpec} "${outerEscaped}"`;
-      } else {
-        // 直连模式
-        const escapedCmd = remoteCmd
-          .replace(/\\/g, '\\\\')
-          .replace(/"/g, '\\"')
-          .replace(/\$/g, '\\$')
-          .replace(/`/g, '\\`');
-        return `ssh ${sshOpts}${keyOpt} ${sshUser}@${nodeIp} "${escapedCmd}"`;
+    // 经跳板机访问的节点：首次使用时通过跳板机上的 ssh-keyscan 登记主机密钥
+    if (sshJumpHost) {
+      for (const nodeIp of uniqueNodeIps) {
+        if (cluster.sshNodeModes[nodeIp] === 'tunnel' && !hostKeyErrors.has(nodeIp)) {
+          await this.pinHostKeyViaJump(nodeIp, sshJumpHost, sshUser, sshKeyPath, signal);
+        }
       }
-    };
-    // 超时根据节点模式动态设置
-    const getTimeoutMs = (nodeIp) => {
-      const nodeUseTunnel = this._sshNodeModes[nodeIp] === 'tunnel' && sshJumpHost;
-      return nodeUseTunnel ? 120000 : 60000;
-    };
+    }
 
     // 分批并发执行
     for (let i = 0; i < commands.length; i += maxConcurrency) {
+      this.throwIfCancelled(signal);
       const batch = commands.slice(i, i + maxConcurrency);
 
       const batchResults = await Promise.all(
         batch.map(async (cmd) => {
           const cmdStartTime = Date.now();  // 在 try 外定义，确保 catch 可以访问
+          let auditCommand = cmd.ssh_command || cmd.template || ''; // 审计日志记录的命令，随解析逐步替换为完整命令
           try {
             const nodeIp = cmd.node_ip;
-            const remoteCmd = cmd.ssh_command;
+            const { remoteCmd, policyCheck } = resolveRemoteCmd(cmd);
+            auditCommand = remoteCmd || auditCommand;
+            if (policyCheck.reason) {
+              console.error(`   🛡️  SSH to ${nodeIp} ${policyCheck.allowed ? 'allowed (policy not enforced)' : 'blocked by policy'}: ${policyCheck.reason}`);
+            }
+            if (!policyCheck.allowed) {
+              const policyError = new Error(`SSH 命令被策略拒绝: ${policyCheck.reason}`);
+              policyError.blocked = true;
+              throw policyError;
+            }
+            if (hostKeyErrors.has(nodeIp)) {
+              throw new Error(hostKeyErrors.get(nodeIp));
+            }
+
             const fullCmd = buildSshCmd(nodeIp, remoteCmd);
+            auditCommand = fullCmd;
 
             console.error(
               `   SSH to ${nodeIp}: ${remoteCmd.substring(0, 60)}...`,
@@ -2318,11 +6402,8 @@ class ThinMCPServer {
 
             // 根据命令类型选择执行方式
             const commandType = cmd.command_type || 'generic';
-            const nodeMode = this._sshNodeModes[nodeIp] || 'unknown';
-            fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] command_type: ${commandType}, node=${nodeIp}(${cmd.node_type}), mode=${nodeMode}, cmd keys: ${Object.keys(cmd).join(',')}\n`);
-            if (commandType === 'fetch_log_content') {
-              fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] fetch_log_content fullCmd: ${fullCmd.substring(0, 200)}...\n`);
-            }
+            const nodeMode = cluster.sshNodeModes[nodeIp] || 'unknown';
+            this.clientLog('debug', 'ssh', `SSH ${nodeIp}(${cmd.node_type}): ${commandType}, mode=${nodeMode}`);
 
             // fetch_log_scp 使用 spawn 流式传输，需要单独处理
             if (commandType === 'fetch_log_scp') {
@@ -2336,28 +6417,15 @@ class ThinMCPServer {
 
               console.error(`   SCP mode: streaming to ${tmpFile}`);
 
-              // 构建 SSH 参数（不需要转义，spawn 直接传参）
-              const sshArgs = [
-                '-o',
-                'StrictHostKeyChecking=no',
-                '-o',
-                'ConnectTimeout=10',
-                '-T',
-              ];
-              if (sshKeyPath) {
-                sshArgs.push('-i', sshKeyPath);
-              }
-              sshArgs.push(`${sshUser}@${nodeIp}`, remoteCmd);
+              const sshArgs = buildScpArgs(nodeIp, remoteCmd);
+              auditCommand = CliPolicy.format('ssh', sshArgs);
 
               // 使用 spawn 流式执行，输出写入临时文件
-              fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] sshKeyPath: "${sshKeyPath}"\n`);
-              fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] SSH args: ssh ${sshArgs.slice(0, -1).join(' ')} "<cmd>"\n`);
-              // 写入完整命令到单独文件以便分析
-              fs.writeFileSync('/tmp/mcp_remote_cmd.sh', remoteCmd);
+              this.clientLog('debug', 'ssh', `SSH args: ssh ${sshArgs.slice(0, -1).join(' ')} "<cmd>"`);
 
               await new Promise((resolve, reject) => {
                 const writeStream = fs.createWriteStream(tmpFile);
-                const sshProcess = spawn('ssh', sshArgs);
+                const sshProcess = spawn('ssh', sshArgs, { signal });
 
                 let stdoutBytes = 0;
                 sshProcess.stdout.on('data', (chunk) => {
@@ -2371,7 +6439,7 @@ class ThinMCPServer {
                 });
 
                 writeStream.on('finish', () => {
-                  fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] writeStream finish, exitCode: ${sshProcess.exitCode}, stdoutBytes: ${stdoutBytes}\n`);
+                  this.clientLog('debug', 'ssh', `SSH ${nodeIp} 传输完成, exitCode: ${sshProcess.exitCode}, stdoutBytes: ${stdoutBytes}`);
                   if (
                     sshProcess.exitCode === 0 ||
                     sshProcess.exitCode === null
@@ -2381,7 +6449,7 @@ class ThinMCPServer {
                 });
 
                 sshProcess.on('close', (code) => {
-                  fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] SSH close, code: ${code}, stderr: ${stderrData.substring(0, 200)}\n`);
+                  this.clientLog('debug', 'ssh', `SSH ${nodeIp} 连接关闭, code: ${code}, stderr: ${stderrData.substring(0, 200)}`);
                   writeStream.end();
                   if (code === 0) {
                     resolve();
@@ -2409,6 +6477,7 @@ class ThinMCPServer {
 
                 sshProcess.on('close', () => clearTimeout(timeout));
               });
+              this.audit('ssh', auditCommand, 'success', { host: nodeIp, detail: `mode=${nodeMode}` });
 
               const duration = Date.now() - cmdStartTime;
 
@@ -2439,14 +6508,13 @@ class ThinMCPServer {
               }
 
               // 解析多文件格式: === FILE: filename ===
-              fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] Compressed: ${compressedSize}, Decompressed: ${content.length}\n`);
-              fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] Content preview: ${content.substring(0, 300).replace(/\n/g, '\\n')}\n`);
+              this.clientLog('debug', 'ssh', `${nodeIp} 日志压缩 ${compressedSize} 字节，解压后 ${content.length} 字节`);
               const files = this.parseMultiFileLogContent(
                 content,
                 nodeIp,
                 cmd.node_type,
               );
-              fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] Parsed ${files.length} files\n`);
+              this.clientLog('debug', 'ssh', `${nodeIp} 解析出 ${files.length} 个日志文件`);
 
               return {
                 node_ip: nodeIp,
@@ -2466,10 +6534,12 @@ class ThinMCPServer {
             }
 
             // 其他命令类型使用 execAsync
-            const { stdout, stderr } = await execAsync(fullCmd, {
+            const { stdout, stderr } = await this.execShell(fullCmd, {
               timeout: getTimeoutMs(nodeIp),
               maxBuffer: 50 * 1024 * 1024, // 50MB（日志可能较大）
+              signal,
             });
+            this.audit('ssh', auditCommand, 'success', { host: nodeIp, detail: `mode=${nodeMode}` });
 
             const duration = Date.now() - cmdStartTime;
 
@@ -2550,7 +6620,21 @@ class ThinMCPServer {
             const duration = Date.now() - (cmdStartTime || Date.now());
             const nodeIp = cmd.node_ip;
             const commandType = cmd.command_type || 'generic';
-            fs.appendFileSync('/tmp/mcp_debug.log', `[${new Date().toISOString()}] CATCH: node=${nodeIp}, type=${commandType}, error=${(error.message||'').substring(0,200)}, code=${error.code}, stdout_len=${(error.stdout||'').length}, stderr_len=${(error.stderr||'').length}\n`);
+            // 主机密钥校验失败（节点或跳板机的密钥变化 / 未登记）：替换为明确的诊断信息
+            const viaJump = cluster.sshNodeModes[nodeIp] === 'tunnel' && sshJumpHost ? sshJumpHost : null;
+            const hostKeyError = !hostKeyErrors.has(nodeIp) &&
+              this.sshHostKeys.diagnose(error.stderr || error.message, nodeIp, viaJump);
+            if (hostKeyError) {
+              error.message = hostKeyError;
+              console.error(`   ❌ ${hostKeyError}`);
+              this.clientLog('error', 'ssh', hostKeyError);
+            }
+            this.audit('ssh', auditCommand, error.blocked ? 'blocked' : 'error', { host: nodeIp, detail: error.message });
+            this.clientLog('warning', 'ssh', `SSH ${nodeIp} ${commandType} 失败: ${(error.message||'').substring(0,200)}`, {
+              code: error.code,
+              stdout_len: (error.stdout||'').length,
+              stderr_len: (error.stderr||'').length,
+            });
 
             // 检查是否有 stdout 输出（即使命令返回非零退出码）
             // Node.js exec 在非零退出码时会抛异常，但 error.stdout 可能仍有有效输出
@@ -2614,6 +6698,7 @@ class ThinMCPServer {
               command_type: commandType,
               success: false,
               error: error.message,
+              ...(error.blocked ? { blocked: true } : {}),
               stderr: error.stderr || null, // 返回 stderr 便于调试
               stdout: error.stdout || null, // 返回 stdout 便于调试
             };
@@ -2631,11 +6716,18 @@ class ThinMCPServer {
       }
     }
 
+    this.throwIfCancelled(signal);
     results.ssh_summary.execution_time_ms = Date.now() - startTime;
     console.error(
       `   SSH execution completed: ${results.ssh_summary.successful} success, ${results.ssh_summary.failed} failed`,
     );
+    this.clientLog(
+      results.ssh_summary.failed > 0 ? 'warning' : 'info',
+      'ssh',
+      `SSH 执行完成: ${results.ssh_summary.successful} 成功, ${results.ssh_summary.failed} 失败`,
+    );
 
+    this.recordApprovedExecution(gate, results);
     return results;
   }
 
@@ -2764,15 +6856,13 @@ class ThinMCPServer {
    * @param {Object} options - 过滤选项
    * @param {string} options.timeRange - 时间范围，如 "1h", "30m", "1d"
    * @param {number} options.minDurationMs - 最小查询时长（毫秒）
+   * @param {AbortSignal} signal - 请求取消信号
    */
-  async fetchQueryProfiles(profileList, options = {}) {
+  async fetchQueryProfiles(profileList, options = {}, signal = null) {
     const profiles = {};
     const connection = await this.getDbConnection();
 
     try {
-      // 禁用当前 session 的 profile 记录，避免 get_query_profile 查询挤掉用户查询的 profile
-      await connection.query('SET enable_profile = false');
-
       // 1. 先过滤系统查询
       let filteredQueries = this.filterUserQueries(profileList);
       console.error(
@@ -2803,22 +6893,24 @@ class ThinMCPServer {
 
       // 获取所有符合条件的查询的 profile
       for (const item of filteredQueries) {
+        this.throwIfCancelled(signal);
         const queryId = item.QueryId;
         if (!queryId) continue;
 
         try {
           console.error(`   Fetching profile for query: ${queryId}`);
-          const [rows] = await connection.query(
+          const [rows] = await this.auditedQuery(
+            connection,
             `SELECT get_query_profile('${queryId}') as profile`,
           );
           if (rows && rows[0] && rows[0].profile) {
-            profiles[queryId] = {
+            [profiles[queryId]] = this.maskResultRows('query_profile', [{
               profile: rows[0].profile,
               startTime: item.StartTime,
               duration: item.Time,
               state: item.State,
               statement: item.Statement || '',
-            };
+            }]);
           }
         } catch (error) {
           console.error(
@@ -2828,7 +6920,7 @@ class ThinMCPServer {
         }
       }
     } finally {
-      await connection.end();
+      connection.release();
     }
 
     return profiles;
@@ -3090,20 +7182,19 @@ class ThinMCPServer {
   /**
    * 获取表的 schema 信息，检查 data_cache.enable 属性
    */
-  async fetchTableSchemas(tableNames) {
+  async fetchTableSchemas(tableNames, signal = null) {
     const schemas = {};
     const connection = await this.getDbConnection();
 
     try {
-      // 禁用当前 session 的 profile 记录
-      await connection.query('SET enable_profile = false');
-
       for (const fullTableName of tableNames) {
+        this.throwIfCancelled(signal);
         const [dbName, tableName] = fullTableName.split('.');
         if (!dbName || !tableName) continue;
 
         try {
-          const [rows] = await connection.query(
+          const [rows] = await this.auditedQuery(
+            connection,
             `SHOW CREATE TABLE ${dbName}.${tableName}`,
           );
           if (rows && rows[0]) {
@@ -3114,11 +7205,11 @@ class ThinMCPServer {
               rows[0]['create_statement'] ||
               '';
             const isView = !!rows[0]['Create View'];
-            schemas[fullTableName] = {
+            [schemas[fullTableName]] = this.maskResultRows('table_schema', [{
               create_statement: createStatement,
               object_type: isView ? 'VIEW' : 'TABLE',
               data_cache_enabled: this.checkDataCacheEnabled(createStatement),
-            };
+            }]);
           }
         } catch (error) {
           console.error(
@@ -3128,12 +7219,102 @@ class ThinMCPServer {
         }
       }
     } finally {
-      await connection.end();
+      connection.release();
     }
 
     return schemas;
   }
 
+  /**
+   * 查询参数补全的候选值（cluster 取集群注册表，其余通过 getDbConnection 实时查询）
+   * @param {string} argName - cluster | database_name | table_name | label | query_id
+   * @param {Object} contextArgs - 已填写的其他参数（table_name/label 按 database_name 过滤）
+   * @returns {Promise<string[]|null>} 不支持补全的参数返回 null
+   */
+  async lookupCompletionValues(argName, contextArgs = {}) {
+    if (argName === 'cluster') {
+      return this.clusters.names;
+    }
+    const dbName = contextArgs.database_name || '';
+    const lookups = {
+      database_name: {
+        sql: 'SELECT SCHEMA_NAME AS v FROM information_schema.schemata ORDER BY SCHEMA_NAME',
+        params: [],
+      },
+      table_name: dbName
+        ? {
+            sql: 'SELECT TABLE_NAME AS v FROM information_schema.tables WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME',
+            params: [dbName],
+          }
+        : {
+            sql: "SELECT DISTINCT TABLE_NAME AS v FROM information_schema.tables WHERE TABLE_SCHEMA NOT IN ('information_schema', '_statistics_', 'sys') ORDER BY TABLE_NAME LIMIT 1000",
+            params: [],
+          },
+      label: dbName
+        ? {
+            sql: 'SELECT LABEL AS v FROM information_schema.loads WHERE DATABASE_NAME = ? ORDER BY CREATE_TIME DESC LIMIT 200',
+            params: [dbName],
+          }
+        : {
+            sql: 'SELECT LABEL AS v FROM information_schema.loads ORDER BY CREATE_TIME DESC LIMIT 200',
+            params: [],
+          },
+      query_id: { sql: 'SHOW PROFILELIST', params: [] },
+    };
+
+    const lookup = lookups[argName];
+    if (!lookup) {
+      return null;
+    }
+
+    // 按集群缓存
+    const cluster = this.currentCluster().name;
+    const scope = argName === 'table_name' || argName === 'label' ? dbName : '';
+    const cacheKey = `${cluster}|${argName}|${scope}`;
+    const cached = this.completionCache.get(cacheKey);
+    if (cached && Date.now() - cached.time < this.completionCacheTTL) {
+      return cached.values;
+    }
+
+    let connection;
+    try {
+      connection = await this.getDbConnection();
+      const [rows] = await this.auditedQuery(connection, { sql: lookup.sql, timeout: 5000 }, lookup.params);
+      const values = (rows || [])
+        .map((row) => (argName === 'query_id' ? row.QueryId : row.v))
+        .filter((v) => v !== undefined && v !== null && v !== '')
+        .map(String);
+      this.completionCache.set(cacheKey, { values, time: Date.now() });
+      return values;
+    } catch (error) {
+      console.error(`   ⚠️ 参数补全查询失败 (${argName}): ${error.message}`);
+      return [];
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  /**
+   * 处理 completion/complete：按已输入前缀过滤候选值
+   * 前缀匹配优先，其次是包含匹配；最多返回 100 个（MCP 协议上限）
+   */
+  async completeArgument(argName, value = '', contextArgs = {}) {
+    const values = (await this.lookupCompletionValues(argName, contextArgs)) || [];
+    const needle = String(value || '').toLowerCase();
+    const prefixed = values.filter((v) => v.toLowerCase().startsWith(needle));
+    const contained = needle
+      ? values.filter((v) => !v.toLowerCase().startsWith(needle) && v.toLowerCase().includes(needle))
+      : [];
+    const matches = [...prefixed, ...contained];
+    return {
+      completion: {
+        values: matches.slice(0, 100),
+        total: matches.length,
+        hasMore: matches.length > 100,
+      },
+    };
+  }
+
   /**
    * 检查建表语句中 data_cache.enable 是否为 true
    */
@@ -3208,7 +7389,7 @@ class ThinMCPServer {
   }
 
   /**
-   * 处理文件路径参数，读取文件内容
+   * 处理文件路径参数，读取文件内容（受读取沙箱限制）
    */
   async processFileArgs(args) {
     const processedArgs = { ...args };
@@ -3217,7 +7398,7 @@ class ThinMCPServer {
     if (args.file_path) {
       try {
         console.error(`   Reading file: ${args.file_path}`);
-        const content = fs.readFileSync(args.file_path, 'utf-8');
+        const content = this.readSandboxedFile(args.file_path);
         const fileSizeKB = content.length / 1024;
         console.error(`   File content loaded: ${fileSizeKB.toFixed(2)} KB`);
 
@@ -3247,7 +7428,7 @@ class ThinMCPServer {
         console.error(
           `   Reading table schema file: ${args.table_schema_path}`,
         );
-        const schemaContent = fs.readFileSync(args.table_schema_path, 'utf-8');
+        const schemaContent = this.readSandboxedFile(args.table_schema_path);
         // 如果 table_schemas 是数组，替换第一个，否则创建数组
         if (Array.isArray(processedArgs.table_schemas)) {
           processedArgs.table_schemas[0] = schemaContent;
@@ -3271,16 +7452,21 @@ class ThinMCPServer {
   /**
    * 发送结果给中心 API 进行分析
    */
-  async analyzeResultsWithAPI(toolName, results, args = {}, requestId = null) {
+  async analyzeResultsWithAPI(toolName, results, args = {}, requestId = null, signal = null) {
     const url = `${this.centralAPI}/api/analyze/${toolName}`;
     const reqId = requestId || 'no-id';
 
+    if (this.resultMasker.error) {
+      throw new Error(`${this.resultMasker.error}，已拒绝上传 SQL 结果，请修正规则文件后重启`);
+    }
+
     try {
       const headers = {
         'Content-Type': 'application/json',
       };
-      if (this.apiToken) {
-        headers['X-API-Key'] = this.apiToken;
+      const apiToken = await this.credentials.get('CENTRAL_API_TOKEN');
+      if (apiToken) {
+        headers['X-API-Key'] = apiToken;
       }
 
       // 处理大文件：在这里读取内容而不是通过 JSON-RPC 传输
@@ -3290,7 +7476,7 @@ class ThinMCPServer {
           `   Loading large file for analysis: ${args.large_file_path}`,
         );
         try {
-          const content = fs.readFileSync(args.large_file_path, 'utf-8');
+          const content = this.readSandboxedFile(args.large_file_path);
           processedArgs.profile = content;
           processedArgs.file_path = args.large_file_path; // 保持原始路径信息
           delete processedArgs.large_file_path; // 清理临时字段
@@ -3342,10 +7528,11 @@ class ThinMCPServer {
         method: 'POST',
         headers: headers,
         body: JSON.stringify(body),
-        signal: AbortSignal.timeout(300000), // 300 秒超时（LLM 深度诊断可能需要较长时间）
+        signal: this._withTimeout(signal, 300000), // 300 秒超时（LLM 深度诊断可能需要较长时间）
       });
 
       if (!response.ok) {
+        if (response.status === 401) this.credentials.invalidate('CENTRAL_API_TOKEN');
         const errorText = await response.text();
         const error = new Error(
           `API returned ${response.status}: ${response.statusText}`,
@@ -3501,6 +7688,224 @@ class ThinMCPServer {
     return briefSummary;
   }
 
+  /**
+   * 将 Central API 提供的工具结果 schema 包装为统一的 outputSchema 信封
+   * 计划、步骤完成、待选择等中间响应也要满足 outputSchema，因此分析结果放在 result 字段中，
+   * 只在 status=completed 时出现
+   * @param {Object} resultSchema - Central API 工具元数据中的 outputSchema（描述 analysis 字段）
+   * @returns {Object} MCP outputSchema
+   */
+  wrapOutputSchema(resultSchema) {
+    return {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['plan', 'step_completed', 'needs_selection', 'needs_approval', 'in_progress', 'completed'],
+        },
+        tool: { type: 'string' },
+        cluster: { type: 'string' },
+        session_id: { type: 'string' },
+        message: { type: 'string' },
+        step: {
+          type: 'object',
+          properties: {
+            current: { type: ['integer', 'string'] },
+            total: { type: ['integer', 'string'] },
+            name: { type: 'string' },
+            summary: { type: 'string' },
+          },
+        },
+        plan: { type: 'object' },
+        selection: { type: 'object' },
+        approval: { type: 'object' },
+        dry_run: { type: 'object' },
+        masking: { type: 'object' },
+        report_path: { type: 'string' },
+        report_uri: { type: 'string' },
+        result: resultSchema,
+      },
+      required: ['status', 'tool'],
+    };
+  }
+
+  /**
+   * 选择工具调用的集群：cluster 参数优先，其次是 session_id 对应会话所属的集群，最后是默认集群
+   * @returns {Object} { cluster } 或 { error }
+   */
+  resolveCluster(args = {}) {
+    const session = args?.session_id ? this.getOwnedSession(args.session_id) : null;
+    const name = args?.cluster || session?.cluster || this.clusters.defaultName;
+    const cluster = this.clusters.get(name);
+    if (!cluster) {
+      return { error: `未知集群: ${name}（可用: ${this.clusters.names.join(', ')}）` };
+    }
+    if (session?.cluster && session.cluster !== name) {
+      return { error: `会话 ${args.session_id} 属于集群 ${session.cluster}，不能在集群 ${name} 上续跑` };
+    }
+    return { cluster };
+  }
+
+  /**
+   * list_clusters：列出已配置的集群（不含凭据）
+   */
+  buildClusterList() {
+    const clusters = this.clusters.names.map((name) => this.clusters.describe(this.clusters.get(name)));
+    let text = `## 🗂️ 已配置 ${clusters.length} 个集群\n\n`;
+    text += '| 集群 | 说明 | 数据库 | TLS | Prometheus | 跳板机 | 连接方式 |\n|---|---|---|---|---|---|---|\n';
+    for (const c of clusters) {
+      const mode = c.config_error ? `⚠️ ${c.config_error}` : { direct: '直连', tunnel: 'SSH 隧道' }[c.connection_mode] || '未连接';
+      const tls = c.tls_mode === 'disabled' ? '-' : c.tls_mode;
+      text += `| ${c.name}${c.default ? '（默认）' : ''} | ${c.description || '-'} | ${c.user}@${c.database} | ${tls} | ${c.prometheus} | ${c.ssh_jump_host || '-'} | ${mode} |\n`;
+    }
+    text += `\n💡 其他工具传入 \`cluster\` 参数选择集群，省略时使用 \`${this.clusters.defaultName}\``;
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: { default: this.clusters.defaultName, clusters },
+    };
+  }
+
+  /**
+   * 为工具的 inputSchema 补充 cluster 参数（可选，省略时使用默认集群）
+   */
+  withClusterArg(inputSchema) {
+    const schema = inputSchema || { type: 'object', properties: {} };
+    const properties = { ...(schema.properties || {}) };
+    properties.cluster ??= {
+      type: 'string',
+      enum: this.clusters.names,
+      description: `目标集群（可用 list_clusters 查看），默认 ${this.clusters.defaultName}`,
+    };
+    return { ...schema, properties };
+  }
+
+  /**
+   * 为 Central API 工具的 inputSchema 补充本地执行参数：cluster、dry_run，以及审批模式下的 approval_token
+   */
+  withExecutionArgs(inputSchema) {
+    const schema = this.withClusterArg(inputSchema);
+    const properties = { ...schema.properties };
+    properties.dry_run ??= {
+      type: 'boolean',
+      description: '只列出将要执行的 SQL / SSH / CLI 命令，不连接数据库、不执行任何命令',
+    };
+    if (this.requireApproval) {
+      properties.approval_token ??= {
+        type: 'string',
+        description: '批准待审批步骤的令牌（不在 needs_approval 响应中，只交给用户，须由用户提供，不能自行构造）',
+      };
+    }
+    return { ...schema, properties };
+  }
+
+  /**
+   * 加载本地工具注解覆盖（TOOL_ANNOTATIONS_FILE），文件缺失或格式错误时忽略
+   * @returns {Object} toolName（或 "*" 表示所有工具）-> 注解
+   */
+  loadToolAnnotationOverrides() {
+    if (!this.toolAnnotationsFile) return {};
+    try {
+      const overrides = JSON.parse(fs.readFileSync(this.toolAnnotationsFile, 'utf-8'));
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('应为 { "<tool>": { "readOnlyHint": ... } } 格式的 JSON 对象');
+      }
+      return overrides;
+    } catch (error) {
+      console.error(`⚠️  工具注解配置 ${this.toolAnnotationsFile} 加载失败，已忽略: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * 计算工具发布给客户端的 MCP 注解
+   * 优先级（后者覆盖前者）：按 executors 推断 → Central API 的 annotations → 本地 "*" → 本地同名工具
+   * executors 声明工具会用到的执行方式：sql（只读查询）、prometheus、ssh、cli、sql_write（非 SELECT 语句）；
+   * 未声明时不推断为只读
+   * @param {Object} tool - 工具定义（Central API 元数据或本地定义）
+   * @returns {Object} annotations
+   */
+  resolveToolAnnotations(tool) {
+    // 只有元数据声明了 executors 才能据此判断工具只读；没有声明时按保守值发布，
+    // 由 Central API 的 annotations 或本地覆盖显式标记只读
+    const executors = Array.isArray(tool.executors) ? tool.executors : null;
+    const annotations = executors
+      ? { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false }
+      : { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true };
+    if (!executors) return this.applyToolAnnotationOverrides(tool, annotations);
+
+    // 远程 SSH 命令（jstack/jmap 等，可能带 sudo）会作用到集群节点上
+    if (executors.includes('ssh')) {
+      Object.assign(annotations, { readOnlyHint: false, idempotentHint: false, openWorldHint: true });
+    }
+    // 对象存储 CLI 访问集群之外的外部系统
+    if (executors.includes('cli')) {
+      annotations.openWorldHint = true;
+    }
+    if (executors.includes('sql_write')) {
+      Object.assign(annotations, { readOnlyHint: false, destructiveHint: true, idempotentHint: false });
+    }
+    return this.applyToolAnnotationOverrides(tool, annotations);
+  }
+
+  /**
+   * 叠加 Central API 元数据中的 annotations 和本地 TOOL_ANNOTATIONS_FILE 覆盖（后者优先）
+   */
+  applyToolAnnotationOverrides(tool, annotations) {
+    const overrides = this.toolAnnotationOverrides || {};
+    for (const source of [tool.annotations, overrides['*'], overrides[tool.name]]) {
+      if (!source || typeof source !== 'object') continue;
+      for (const hint of TOOL_ANNOTATION_HINTS) {
+        if (typeof source[hint] === 'boolean') annotations[hint] = source[hint];
+      }
+      if (typeof source.title === 'string') annotations.title = source.title;
+    }
+
+    // 只读工具不会是破坏性的（MCP 规范中 destructiveHint 仅在 readOnlyHint=false 时有意义）
+    if (annotations.readOnlyHint) annotations.destructiveHint = false;
+    return annotations;
+  }
+
+  /**
+   * 获取工具的结果 schema（来自 Central API 工具元数据，未提供时返回 null）
+   */
+  async getToolResultSchema(toolName) {
+    const tools = await this.getToolsFromAPI();
+    const tool = (tools || []).find(t => t.name === toolName);
+    return tool?.outputSchema || tool?.output_schema || null;
+  }
+
+  /**
+   * 构建 MCP structuredContent（与 wrapOutputSchema 的信封结构对应）
+   * @param {string} status - plan | step_completed | needs_selection | needs_approval | in_progress | completed
+   * @param {string} toolName - 工具名称
+   * @param {Object} fields - 其他信封字段（session_id、step、plan、selection、approval、report_path、result 等）
+   */
+  buildStructuredContent(status, toolName, fields = {}) {
+    const structured = { status, tool: toolName, cluster: this.currentCluster().name };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) structured[key] = value;
+    }
+    return structured;
+  }
+
+  /**
+   * 将分析结果整理为 structuredContent.result
+   * 去掉内部字段和大块内容；若 schema 声明 additionalProperties=false，只保留 schema 中的字段
+   */
+  buildStructuredResult(analysis, resultSchema = null) {
+    const internalKeys = ['_intermediate', 'next_args', 'html_content'];
+    const result = {};
+    for (const [key, value] of Object.entries(analysis || {})) {
+      if (internalKeys.includes(key) || value === undefined) continue;
+      if (resultSchema?.properties && resultSchema.additionalProperties === false &&
+          !(key in resultSchema.properties)) {
+        continue;
+      }
+      result[key] = value;
+    }
+    return result;
+  }
+
   /**
    * 格式化分析报告
    */
@@ -3694,73 +8099,383 @@ class ThinMCPServer {
       formattedReport += '\n';
     }
 
-    // 其他信息（包含分区详情等）
-    if (
-      diagnosis_results &&
-      diagnosis_results.issues &&
-      diagnosis_results.issues.length > 0
-    ) {
-      formattedReport += 'ℹ️  详细信息:\n';
-      diagnosis_results.issues.forEach((issue, index) => {
-        formattedReport += `  ${index + 1}. ${issue.message}\n`;
-      });
-      formattedReport += '\n';
+    // 其他信息（包含分区详情等）
+    if (
+      diagnosis_results &&
+      diagnosis_results.issues &&
+      diagnosis_results.issues.length > 0
+    ) {
+      formattedReport += 'ℹ️  详细信息:\n';
+      diagnosis_results.issues.forEach((issue, index) => {
+        formattedReport += `  ${index + 1}. ${issue.message}\n`;
+      });
+      formattedReport += '\n';
+    }
+
+    // 建议
+    if (
+      analysis.professional_recommendations &&
+      analysis.professional_recommendations.length > 0
+    ) {
+      formattedReport += '💡 专业建议 (前3条):\n';
+      analysis.professional_recommendations
+        .slice(0, 3)
+        .forEach((rec, index) => {
+          formattedReport += `  ${index + 1}. [${rec.priority}] ${rec.title}\n`;
+        });
+    }
+
+    formattedReport += '\n📋 详细数据请查看 JSON 输出部分';
+
+    return formattedReport;
+  }
+
+  /**
+   * 格式化步骤完成报告（精简版 - 方案 B）
+   * 只返回简短进度信息，详细数据存储在服务端会话中
+   * @param {Object} analysis - 分析结果
+   * @param {string} sessionId - 会话 ID（用于恢复中间状态）
+   */
+  formatStepCompletedReport(analysis, sessionId = null) {
+    const step = analysis.completed_step || {};
+    const totalSteps = analysis.total_steps || 6;
+    const currentStep = step.step || '?';
+
+    // 简短的进度信息 - 明确表示步骤已完成
+    const stepName = step.name || analysis.phase || '未知步骤';
+
+    let report = `✅ 步骤 ${currentStep}/${totalSteps} 完成: ${stepName}`;
+
+    // 只显示一行结果摘要
+    if (step.result_summary) {
+      // 截取第一行作为简短摘要
+      const firstLine = step.result_summary.split('\n')[0];
+      report += ` | ${firstLine}`;
+    }
+
+    // 如果需要用户输入（如 sudo 密码），附加提示信息
+    if (analysis.needs_user_input && analysis.user_input_hint) {
+      report += `\n\n⚠️ ${analysis.step_summary}`;
+      report += `\n💡 ${analysis.user_input_hint}`;
+    }
+
+    return report;
+  }
+
+  /**
+   * 构建步骤完成的 structuredContent（与 formatStepCompletedReport 对应）
+   */
+  buildStepStructuredContent(analysis, toolName, sessionId = null) {
+    const step = analysis.completed_step || {};
+    return this.buildStructuredContent('step_completed', toolName, {
+      session_id: sessionId,
+      message: analysis.needs_user_input ? analysis.user_input_hint : undefined,
+      step: {
+        current: step.step ?? '?',
+        total: analysis.total_steps || 6,
+        name: step.name || analysis.phase || '',
+        summary: step.result_summary || undefined,
+      },
+    });
+  }
+
+  /**
+   * 通过 MCP elicitation 直接向用户询问单个字段
+   * 客户端不支持 elicitation、用户拒绝/取消或请求失败时返回 null，调用方回退到文本提示
+   * @param {Server} server - 当前客户端对应的 MCP Server 实例
+   * @param {string} message - 展示给用户的说明
+   * @param {string} field - 字段名
+   * @param {Object} fieldSchema - 字段的 elicitation schema
+   * @param {AbortSignal} signal - 客户端取消信号
+   */
+  async elicitField(server, message, field, fieldSchema, signal = null) {
+    const result = await this.requestElicitation(server, message, field, fieldSchema, signal);
+    if (!result) return null;
+
+    const value = result.content?.[field];
+    if (result.action !== 'accept' || value === undefined || value === '') {
+      console.error(`   💬 用户未提供 ${field} (action: ${result.action})，回退到文本提示`);
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * 发送 elicitation 请求，返回客户端的原始响应 { action, content }
+   * 客户端不支持 elicitation 或请求失败时返回 null
+   */
+  async requestElicitation(server, message, field, fieldSchema, signal = null) {
+    if (!server?.getClientCapabilities()?.elicitation?.form) {
+      return null;
+    }
+
+    try {
+      console.error(`   💬 通过 elicitation 向用户询问: ${field}`);
+      return await server.elicitInput(
+        {
+          message,
+          requestedSchema: {
+            type: 'object',
+            properties: { [field]: fieldSchema },
+            required: [field],
+          },
+        },
+        { signal, timeout: this.elicitationTimeout },
+      );
+    } catch (error) {
+      this.throwIfCancelled(signal);
+      console.error(`   ⚠️ Elicitation 失败，回退到文本提示: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * needs_selection：以选择列表向用户询问要分析的任务，返回带上选择结果的新 args
+   * 回传参数名由 next_action.param 指定（默认 selected_index），
+   * 值为 1 起始的序号；若 next_action.value_field 指定了任务字段，则回传该字段的值
+   * @returns {Object|null} 续跑用的 args，无法询问时返回 null
+   */
+  async elicitSelection(server, analysis, args, signal = null) {
+    const jobs = Array.isArray(analysis.jobs) ? analysis.jobs : [];
+    if (jobs.length === 0) {
+      return null;
+    }
+
+    const param = analysis.next_action?.param || 'selected_index';
+    const valueField = analysis.next_action?.value_field;
+    const describeJob = (job) => {
+      if (!job || typeof job !== 'object') return String(job);
+      const name = job.label ?? job.job_name ?? job.name ?? job.query_id ?? job.id;
+      const state = job.state ?? job.status;
+      return name !== undefined
+        ? [name, state].filter((v) => v !== undefined && v !== null).join(' · ')
+        : JSON.stringify(job).substring(0, 80);
+    };
+
+    let message = analysis.message || '请选择要分析的任务';
+    if (analysis.display_table) {
+      message += '\n\n' + analysis.display_table;
+    }
+
+    const choice = await this.elicitField(
+      server,
+      message,
+      param,
+      {
+        type: 'string',
+        title: '选择要分析的任务',
+        oneOf: jobs.map((job, i) => ({
+          const: String(i + 1),
+          title: `${i + 1}. ${describeJob(job)}`,
+        })),
+      },
+      signal,
+    );
+    if (choice === null) {
+      return null;
+    }
+
+    const job = jobs[parseInt(choice) - 1];
+    const value = valueField && job?.[valueField] !== undefined ? job[valueField] : parseInt(choice);
+    console.error(`   ✅ 用户选择了第 ${choice} 个任务 (${param}=${value})，自动继续执行`);
+    return { ...args, [param]: value };
+  }
+
+  /**
+   * needs_user_input（如 jmap 需要 sudo 密码）：以敏感输入框向用户询问，返回重试该步骤的新 args
+   * 输入字段名由 user_input_field 指定（默认 sudo_password）
+   * @returns {Object|null} 续跑用的 args，无法询问时返回 null
+   */
+  async elicitUserInput(server, analysis, args, sessionId, signal = null) {
+    if (!analysis.needs_user_input) {
+      return null;
     }
 
-    // 建议
-    if (
-      analysis.professional_recommendations &&
-      analysis.professional_recommendations.length > 0
-    ) {
-      formattedReport += '💡 专业建议 (前3条):\n';
-      analysis.professional_recommendations
-        .slice(0, 3)
-        .forEach((rec, index) => {
-          formattedReport += `  ${index + 1}. [${rec.priority}] ${rec.title}\n`;
-        });
+    const field = analysis.user_input_field || 'sudo_password';
+    const message = [analysis.step_summary, analysis.user_input_hint].filter(Boolean).join('\n\n') ||
+      `请输入 ${field}`;
+
+    const value = await this.elicitField(
+      server,
+      message,
+      field,
+      {
+        type: 'string',
+        title: field,
+        description: '敏感信息，仅用于本次步骤重试',
+        minLength: 1,
+      },
+      signal,
+    );
+    if (value === null) {
+      return null;
     }
 
-    formattedReport += '\n📋 详细数据请查看 JSON 输出部分';
+    console.error(`   ✅ 已获取用户输入 ${field}，自动重试步骤 ${analysis.completed_step?.step ?? '?'}`);
+    return {
+      ...args,
+      [field]: value,
+      session_id: sessionId,
+      ...(analysis.completed_step?.step ? { continue_from_step: analysis.completed_step.step } : {}),
+    };
+  }
 
-    return formattedReport;
+  /**
+   * needs_approval：把待执行的命令展示给用户确认
+   * @returns {string|null} 'approved' 用户同意；'declined' 用户拒绝；无法询问或用户取消时返回 null，调用方回退到令牌文件
+   */
+  async elicitApproval(server, pending, signal = null) {
+    const result = await this.requestElicitation(
+      server,
+      `即将执行 ${pending.commands.length} 条 ${pending.kind.toUpperCase()} 命令：\n\n${secrets.redact(pending.commands.join('\n'))}`,
+      'approve',
+      {
+        type: 'boolean',
+        title: '批准执行以上命令',
+        default: false,
+      },
+      signal,
+    );
+    if (result?.action === 'accept' && result.content?.approve === true) {
+      console.error(`   ✅ 用户通过 elicitation 批准了 ${pending.kind} 命令，自动继续执行`);
+      return 'approved';
+    }
+    if (result?.action === 'decline' || result?.action === 'accept') {
+      console.error(`   🚫 用户通过 elicitation 拒绝了 ${pending.kind} 命令`);
+      return 'declined';
+    }
+    return null;
   }
 
   /**
-   * 格式化步骤完成报告（精简版 - 方案 B）
-   * 只返回简短进度信息，详细数据存储在服务端会话中
-   * @param {Object} analysis - 分析结果
-   * @param {string} sessionId - 会话 ID（用于恢复中间状态）
+   * 格式化命令清单（待审批步骤和 dry run 共用）
    */
-  formatStepCompletedReport(analysis, sessionId = null) {
-    const step = analysis.completed_step || {};
-    const totalSteps = analysis.total_steps || 6;
-    const currentStep = step.step || '?';
+  formatCommandList(kind, commands) {
+    const lang = { sql: 'sql', prometheus: 'promql' }[kind] || 'bash';
+    return `\`\`\`${lang}\n${secrets.redact(commands.join(kind === 'sql' ? '\n\n' : '\n'))}\n\`\`\``;
+  }
 
-    // 简短的进度信息 - 明确表示步骤已完成
-    const stepName = step.name || analysis.phase || '未知步骤';
+  /**
+   * 构建待审批响应：列出将要执行的命令原文；审批令牌不在结果中（由 deliverApprovalToken 写入令牌文件和 stderr），
+   * 只在 audience=user 的内容块中告诉用户令牌文件的位置，模型无法自行批准
+   * @param {Object} pending - { kind, commands }
+   * @param {string} note - 附加提示（如令牌不匹配）
+   */
+  buildApprovalResult(toolName, sessionId, pending, note = null) {
+    const kindNames = { sql: '非只读 SQL', ssh: 'SSH', cli: 'CLI' };
+    const tokenFile = this.approvalTokenFile(sessionId);
+    let text = `## ⏸️ 等待审批\n\n`;
+    if (note) {
+      text += `⚠️ ${note}\n\n`;
+    }
+    text += `即将执行 ${pending.commands.length} 条 ${kindNames[pending.kind] || pending.kind} 命令：\n\n`;
+    text += `${this.formatCommandList(pending.kind, pending.commands)}\n\n`;
+    text += `💡 **批准执行**：审批令牌只交给用户（不在此结果中）。用户核对以上命令并提供令牌后，再次调用此工具并传入 \`session_id: "${sessionId}"\` 和用户给出的 \`approval_token\`\n\n`;
+    text += `⚠️ **Claude 请注意**：请向用户展示以上命令并请用户提供审批令牌，不要猜测或自行构造 approval_token。`;
 
-    let report = `✅ 步骤 ${currentStep}/${totalSteps} 完成: ${stepName}`;
+    return {
+      content: [
+        { type: 'text', text },
+        {
+          type: 'text',
+          text: fs.existsSync(tokenFile)
+            ? `🔑 审批令牌已写入 MCP Server 主机上的 ${tokenFile}（仅当前用户可读），同时输出在 MCP Server 的 stderr 中。\n核对命令无误后，把令牌告诉助手即可批准执行。`
+            : `🔑 审批令牌已输出在 MCP Server 的 stderr 中。\n核对命令无误后，把令牌告诉助手即可批准执行。`,
+          annotations: { audience: ['user'], priority: 1 },
+        },
+      ],
+      structuredContent: this.buildStructuredContent('needs_approval', toolName, {
+        session_id: sessionId,
+        message: note,
+        approval: {
+          kind: pending.kind,
+          commands: pending.commands.map((command) => secrets.redact(command)),
+        },
+      }),
+    };
+  }
 
-    // 只显示一行结果摘要
-    if (step.result_summary) {
-      // 截取第一行作为简短摘要
-      const firstLine = step.result_summary.split('\n')[0];
-      report += ` | ${firstLine}`;
+  /**
+   * 用户在 elicitation 中拒绝执行：清除会话中的待审批步骤，返回不带令牌的拒绝结果
+   */
+  rejectPendingApproval(toolName, sessionId, pending) {
+    const session = this.getOwnedSession(sessionId);
+    if (session?.data?.pendingApproval) {
+      const { pendingApproval, ...rest } = session.data;
+      this.storeSession(sessionId, rest);
     }
+    this.removeApprovalToken(sessionId);
 
-    // 如果需要用户输入（如 sudo 密码），附加提示信息
-    if (analysis.needs_user_input && analysis.user_input_hint) {
-      report += `\n\n⚠️ ${analysis.step_summary}`;
-      report += `\n💡 ${analysis.user_input_hint}`;
-    }
+    const kindNames = { sql: '非只读 SQL', ssh: 'SSH', cli: 'CLI' };
+    let text = `## 🚫 用户拒绝执行\n\n`;
+    text += `用户拒绝了以下 ${pending.commands.length} 条 ${kindNames[pending.kind] || pending.kind} 命令，命令未执行，分析已停止：\n\n`;
+    text += `${this.formatCommandList(pending.kind, pending.commands)}\n\n`;
+    text += `⚠️ **Claude 请注意**：不要重试或换用其他方式执行以上命令；如需继续，请先询问用户。`;
 
-    return report;
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: this.buildStructuredContent('completed', toolName, {
+        session_id: sessionId,
+        message: '用户拒绝执行，命令未执行',
+        approval: {
+          rejected: true,
+          kind: pending.kind,
+          commands: pending.commands.map((command) => secrets.redact(command)),
+        },
+      }),
+    };
   }
 
   /**
-   * 启动服务器
+   * dry run：在工具结果前附上整个流程中将要执行的命令（structuredContent.dry_run.commands 同步给出）
+   * @param {Array} dryRunCommands - [{ kind, commands }]，按执行顺序
    */
-  async start() {
+  attachDryRunCommands(result, dryRunCommands) {
+    const total = dryRunCommands.reduce((sum, entry) => sum + entry.commands.length, 0);
+    let text = `## 🧪 Dry run：将要执行 ${total} 条命令\n\n`;
+    dryRunCommands.forEach((entry, i) => {
+      text += `### ${i + 1}. ${entry.kind.toUpperCase()} × ${entry.commands.length}\n\n`;
+      text += `${this.formatCommandList(entry.kind, entry.commands)}\n\n`;
+    });
+    text += `> 未连接数据库、未查询 Prometheus、未执行 SSH / CLI；各阶段拿到的是占位结果，依赖真实结果的后续命令可能与实际执行时不同。`;
+
+    return {
+      ...result,
+      content: [{ type: 'text', text }, ...(result.content || [])],
+      ...(result.structuredContent
+        ? { structuredContent: { ...result.structuredContent, dry_run: { commands: secrets.redactObject(dryRunCommands) } } }
+        : {}),
+    };
+  }
+
+  /**
+   * 在工具结果末尾附上本次请求的脱敏报告（structuredContent.masking.entries 同步给出）
+   * @param {Array} entries - [{ query_id, column, rule, action, values }]
+   */
+  attachMaskingReport(result, entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.values, 0);
+    console.error(`🫥 上传前脱敏 ${total} 个值（${entries.length} 个查询列）`);
+    let text = `## 🫥 脱敏报告：上传 Central API 前处理了 ${total} 个值\n\n`;
+    text += '| 查询 | 列 | 规则 | 动作 | 值数 |\n|---|---|---|---|---|\n';
+    entries.forEach((entry) => {
+      text += `| ${entry.query_id} | ${entry.column} | ${entry.rule} | ${entry.action} | ${entry.values} |\n`;
+    });
+
+    return {
+      ...result,
+      content: [...(result.content || []), { type: 'text', text }],
+      ...(result.structuredContent
+        ? { structuredContent: { ...result.structuredContent, masking: { rules_file: this.resultMasker.rulesFile, entries } } }
+        : {}),
+    };
+  }
+
+  /**
+   * 创建 MCP Server 实例并注册 ListTools/CallTool 处理器
+   * stdio 模式只创建一个；HTTP 模式每个客户端会话各创建一个，
+   * 它们共享本进程的会话存储、数据库连接和工具缓存
+   */
+  createMcpServer() {
     const server = new Server(
       {
         name: 'starrocks-expert-thin',
@@ -3768,11 +8483,68 @@ class ThinMCPServer {
       },
       {
         capabilities: {
-          tools: {},
+          tools: { listChanged: true },
+          resources: { listChanged: true },
+          prompts: {},
+          completions: {},
+          logging: {},
         },
       },
     );
 
+    // 记录客户端设置的日志级别（每个 Server 实例对应一个客户端）
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.clientLogLevels.set(server, request.params.level);
+      return {};
+    });
+
+    // 参数补全（prompt 参数中的 database_name、table_name、label、query_id），已填写 cluster 时查询该集群
+    server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      const { argument, context } = request.params;
+      const cluster = this.clusters.get(context?.arguments?.cluster) || this.clusters.default;
+      return this.requestContext.run({ server, cluster }, () =>
+        this.completeArgument(argument.name, argument.value, context?.arguments || {}));
+    });
+
+    // 列出 prompt 模板
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      const templates = await this.getPromptTemplates();
+      return {
+        prompts: templates.map(({ name, title, description, arguments: promptArgs }) => ({
+          name,
+          title,
+          description,
+          arguments: (promptArgs || []).map(({ name: argName, description: argDesc, required }) => ({
+            name: argName,
+            description: argDesc,
+            required: !!required,
+          })),
+        })),
+      };
+    });
+
+    // 获取渲染后的 prompt
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: promptArgs } = request.params;
+      const templates = await this.getPromptTemplates();
+      const template = templates.find((p) => p.name === name);
+      if (!template) {
+        throw new Error(`未知 prompt: ${name}`);
+      }
+      return this.renderPrompt(template, promptArgs || {});
+    });
+
+    // 列出资源（分析报告 + 活跃会话）
+    // 按发起请求的客户端过滤（HTTP 模式下各令牌只能看到自己的报告和会话）
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+      return { resources: this.listResources(extra?.authInfo?.clientId || null) };
+    });
+
+    // 读取资源
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      return this.readResource(request.params.uri, extra?.authInfo?.clientId || null);
+    });
+
     // 列出工具
     server.setRequestHandler(ListToolsRequestSchema, async () => {
       // 获取远程 tools
@@ -3784,30 +8556,37 @@ class ThinMCPServer {
       const localToolNames = new Set(localTools.map(t => t.name));
 
       // 过滤掉远程 tools 中与本地 tools 重名的（本地定义优先）
-      const filteredRemoteTools = remoteTools.filter(
-        (tool) => !localToolNames.has(tool.name)
-      );
+      // Central API 提供的结果 schema（outputSchema / output_schema）包装为统一信封后发布
+      const filteredRemoteTools = remoteTools
+        .filter((tool) => !localToolNames.has(tool.name))
+        .map(({ output_schema, outputSchema, ...tool }) => {
+          const resultSchema = outputSchema || output_schema;
+          const remoteTool = { ...tool, inputSchema: this.withExecutionArgs(tool.inputSchema) };
+          return resultSchema ? { ...remoteTool, outputSchema: this.wrapOutputSchema(resultSchema) } : remoteTool;
+        });
 
-      // 合并：本地 tools 优先
-      const tools = [...localTools, ...filteredRemoteTools];
+      // 合并：本地 tools 优先；注解由 Central API 元数据推断并叠加本地覆盖，executors 仅用于推断不对外发布
+      const clusterScopedLocalTools = localTools.map((tool) =>
+        (tool.name === 'list_clusters' ? tool : { ...tool, inputSchema: this.withClusterArg(tool.inputSchema) }));
+      const tools = [...clusterScopedLocalTools, ...filteredRemoteTools].map(({ executors, ...tool }) => ({
+        ...tool,
+        annotations: this.resolveToolAnnotations({ ...tool, executors }),
+      }));
       return { tools };
     });
 
     // 执行工具
-    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    // CallTool 处理器单独命名，elicitation 拿到用户输入后以新的 args 重新进入以续跑会话
+    const handleCallTool = async (request, extra) => {
       const { name: toolName, arguments: args } = request.params;
 
+      // 用新的 args 重新执行本工具（会话恢复机制会接上已完成的步骤）
+      const resumeWithArgs = (resumedArgs) =>
+        handleCallTool({ ...request, params: { ...request.params, arguments: resumedArgs } }, extra);
+
       // 进度通知辅助函数
       const sendProgress = (progress, total, message) => {
-        const logFile = '/tmp/mcp_progress_debug.log';
-        const timestamp = new Date().toISOString();
-
-        const log = (msg) => {
-          console.error(msg);
-          try {
-            fs.appendFileSync(logFile, `[${timestamp}] ${msg}\n`);
-          } catch (e) {}
-        };
+        const log = (msg) => console.error(msg);
 
         log(`   [DEBUG-sendProgress] Called with: progress=${progress}, total=${total}, message="${message}"`);
         log(`   [DEBUG-sendProgress] extra exists: ${!!extra}, extra.sendNotification exists: ${!!(extra && extra.sendNotification)}`);
@@ -3844,12 +8623,60 @@ class ThinMCPServer {
         }
       };
 
+      // 登记参数中的凭据（sudo_password、ssh_password 等），当前请求之后的日志和输出中都会脱敏
+      const requestContext = this.requestContext.getStore();
+      if (requestContext) {
+        requestContext.secrets = requestContext.secrets || new Set();
+        secrets.registerFrom(args, requestContext.secrets);
+      }
+
       // 生成请求 ID 并记录客户端请求
       const requestId = this.logger.generateRequestId();
-      this.logger.logClientRequest(requestId, toolName, args);
+      this.logger.logClientRequest(requestId, toolName, args, extra?.authInfo?.clientId);
+      if (requestContext) {
+        requestContext.requestId = requestId;
+        // 审计日志记录的工具名和发起客户端（HTTP 模式为令牌对应的 clientId，stdio 模式取 clientInfo.name）
+        requestContext.tool = toolName;
+        requestContext.clientId = extra?.authInfo?.clientId || null;
+        // dry run：SQL / SSH / CLI 只记录不执行（续跑时沿用同一上下文，记录会累积）
+        requestContext.dryRun = requestContext.dryRun || args?.dry_run === true;
+        requestContext.dryRunCommands = requestContext.dryRunCommands || [];
+      }
+
+      if (toolName === 'list_clusters') {
+        return this.buildClusterList();
+      }
+
+      // 选择集群：之后的 SQL / SSH / Prometheus、会话、报告和日志都归属该集群
+      const selection = this.resolveCluster(args);
+      if (selection.error) {
+        console.error(`   ❌ [${requestId}] ${selection.error}`);
+        return {
+          content: [{ type: 'text', text: `❌ ${selection.error}` }],
+          isError: true,
+        };
+      }
+      if (requestContext) requestContext.cluster = selection.cluster;
+
+      // 客户端取消信号（notifications/cancelled），贯穿 SQL / SSH / CLI / Central API 调用
+      const signal = extra?.signal;
+      // 取消时用于定位会话和当前阶段
+      const cancelState = { sessionId: null, sessionKey: null, phase: 'init' };
+      // 阶段切换：记录到 cancelState，并以 info 日志通知客户端
+      const setPhase = (phase) => {
+        cancelState.phase = phase;
+        this.clientLog('info', 'phase', `${toolName}: 进入阶段 ${phase}`);
+      };
+      // dry run 在步骤之间自动续跑，一次调用走完整个计划（限制续跑次数，防止步骤不推进时死循环）
+      const continueDryRun = (sessionId) => {
+        if (!requestContext?.dryRun) return null;
+        requestContext.dryRunSteps = (requestContext.dryRunSteps || 0) + 1;
+        if (requestContext.dryRunSteps > 20) return null;
+        return resumeWithArgs({ ...args, session_id: sessionId });
+      };
 
       try {
-        console.error(`\n🔧 [${requestId}] Executing tool: ${toolName}`);
+        console.error(`\n🔧 [${requestId}] Executing tool: ${toolName} (cluster: ${selection.cluster.name})`);
         console.error(`   Arguments:`, JSON.stringify(args).substring(0, 200));
 
         // ========== 所有工具都走 Solution C 模式 ==========
@@ -3862,6 +8689,7 @@ class ThinMCPServer {
         // 0.5 Plan 机制：先检查会话，再决定是否返回执行计划
         // 生成会话键，用于查找活跃会话
         const sessionKey = this.generateDeterministicSessionKey(toolName, processedArgs);
+        cancelState.sessionKey = sessionKey;
 
         // 检查是否有活跃会话（自动恢复机制）
         // 如果 force_new=true，则跳过会话恢复，强制重新执行
@@ -3885,8 +8713,8 @@ class ThinMCPServer {
         // 如果用户显式传入 continue_from_step，说明用户想跳过计划直接执行
         const isFirstCall = !processedArgs.current_phase && !processedArgs.session_id && !hasActiveSession && !processedArgs.continue_from_step;
 
-        if (isFirstCall) {
-          const plan = await this.getPlanFromAPI(toolName, processedArgs, requestId);
+        if (isFirstCall && !requestContext?.dryRun) {
+          const plan = await this.getPlanFromAPI(toolName, processedArgs, requestId, signal);
           if (plan) {
             console.error(`   📋 First call detected, returning execution plan`);
 
@@ -3943,6 +8771,10 @@ class ThinMCPServer {
 
             return {
               content: [{ type: 'text', text: planMarkdown }],
+              structuredContent: this.buildStructuredContent('plan', toolName, {
+                session_id: sessionId,
+                plan,
+              }),
               isError: false,
             };
           }
@@ -3985,7 +8817,7 @@ class ThinMCPServer {
 
         // 从保存的 args 恢复参数（如果当前请求没有提供）
         // 注意：continue_from_step 不应从 args 恢复，它由 session 的 lastCompletedStep 控制
-        const argsRestoreExcludeKeys = ['continue_from_step'];
+        const argsRestoreExcludeKeys = ['continue_from_step', 'approval_token'];
         if (restoredArgs) {
           for (const key of Object.keys(restoredArgs)) {
             if (argsRestoreExcludeKeys.includes(key)) continue;
@@ -4034,12 +8866,36 @@ class ThinMCPServer {
           }
         }
 
+        cancelState.sessionId = activeSessionId;
+
+        // 0.7 审批模式：恢复会话中已审批的命令；待审批步骤只有带正确的 approval_token 才会继续执行
+        if (this.requireApproval && requestContext && !requestContext.dryRun) {
+          const sessionData = activeSessionId ? this.getOwnedSession(activeSessionId)?.data : null;
+          requestContext.approval = requestContext.approval || sessionData?.approval || { approved: [], executed: {} };
+          const pending = sessionData?.pendingApproval;
+          if (pending) {
+            if (processedArgs.approval_token !== pending.token) {
+              console.error(`   ⏸️ 会话 ${activeSessionId} 仍在等待审批`);
+              return this.buildApprovalResult(toolName, activeSessionId, pending,
+                processedArgs.approval_token ? 'approval_token 不匹配，命令未执行。' : null);
+            }
+            requestContext.approval.approved.push(pending.hash);
+            const { pendingApproval, ...rest } = sessionData;
+            this.storeSession(activeSessionId, { ...rest, approval: requestContext.approval });
+            this.removeApprovalToken(activeSessionId);
+            console.error(`   ✅ 用户已批准 ${pending.commands.length} 条 ${pending.kind} 命令，继续执行`);
+            this.clientLog('info', 'phase', `${toolName}: 已批准 ${pending.commands.length} 条 ${pending.kind} 命令`);
+          }
+        }
+
         // 1. 从 API 获取需要执行的 SQL（传递处理后的 args 参数）
         console.error('   Step 1: Fetching SQL queries from Central API...');
+        setPhase('get_queries');
         const queryDef = await this.getQueriesFromAPI(
           toolName,
           processedArgs,
           requestId,
+          signal,
         );
         console.error(`   Got ${queryDef.queries.length} queries to execute`);
 
@@ -4057,7 +8913,8 @@ class ThinMCPServer {
         // 2. 执行 SQL（如果有的话）
         if (regularQueries.length > 0) {
           console.error('   Step 2: Executing SQL queries locally...');
-          const queryResults = await this.executeQueries(regularQueries, requestId);
+          setPhase('execute_queries');
+          const queryResults = await this.executeQueries(regularQueries, requestId, signal, toolName);
           // 调试：检查 queryResults 是否包含 _intermediate（不应该包含）
           if (queryResults._intermediate) {
             console.error(`   [DEBUG] 警告：queryResults 包含 _intermediate！这可能覆盖已恢复的数据`);
@@ -4078,11 +8935,12 @@ class ThinMCPServer {
         }
 
         // 2.5 如果需要获取详细 profile，执行第二阶段查询
-        if (
-          metaQuery &&
-          results.profile_list &&
-          Array.isArray(results.profile_list)
-        ) {
+        // 结果被截断时使用已返回的行；aggregate 结果或查询失败时没有行，跳过并提示
+        const profileList = ResultCollector.rows(results.profile_list);
+        if (metaQuery && results.profile_list && !profileList) {
+          this.clientLog('warning', 'sql', 'profile_list 没有可用的结果行，跳过获取详细 profile');
+        }
+        if (metaQuery && profileList) {
           console.error(
             '   Step 2.5: Fetching detailed profiles for each query...',
           );
@@ -4090,9 +8948,11 @@ class ThinMCPServer {
             timeRange: metaQuery.time_range || '1h',
             minDurationMs: metaQuery.min_duration_ms || 100,
           };
+          setPhase('fetch_query_profiles');
           results.query_profiles = await this.fetchQueryProfiles(
-            results.profile_list,
+            profileList,
             fetchOptions,
+            signal,
           );
           console.error(
             `   Fetched ${Object.keys(results.query_profiles).length} query profiles`,
@@ -4110,7 +8970,7 @@ class ThinMCPServer {
               `   Found ${tableNames.size} unique tables: ${[...tableNames].slice(0, 5).join(', ')}${tableNames.size > 5 ? '...' : ''}`,
             );
             if (tableNames.size > 0) {
-              results.table_schemas = await this.fetchTableSchemas(tableNames);
+              results.table_schemas = await this.fetchTableSchemas(tableNames, signal);
               console.error(
                 `   Fetched schemas for ${Object.keys(results.table_schemas).length} tables`,
               );
@@ -4119,25 +8979,28 @@ class ThinMCPServer {
         }
 
         // 2.7 如果有单个 profile 查询结果且需要获取表 schema
+        const profileRows = ResultCollector.rows(results.get_profile);
+        if (metaQuery?.requires_table_schema_fetch && results.get_profile && !profileRows) {
+          this.clientLog('warning', 'sql', 'get_profile 没有可用的结果行，跳过获取表结构');
+        }
         if (
           metaQuery &&
           metaQuery.requires_table_schema_fetch &&
-          results.get_profile &&
-          Array.isArray(results.get_profile) &&
-          results.get_profile.length > 0 &&
-          results.get_profile[0].profile
+          profileRows &&
+          profileRows.length > 0 &&
+          profileRows[0].profile
         ) {
           console.error(
             '   Step 2.7: Extracting table names from profile and fetching schemas...',
           );
-          const profileText = results.get_profile[0].profile;
+          const profileText = profileRows[0].profile;
           const tableNames =
             this.extractTableNamesFromSingleProfile(profileText);
           console.error(
             `   Found ${tableNames.size} unique tables: ${[...tableNames].slice(0, 5).join(', ')}${tableNames.size > 5 ? '...' : ''}`,
           );
           if (tableNames.size > 0) {
-            results.table_schemas = await this.fetchTableSchemas(tableNames);
+            results.table_schemas = await this.fetchTableSchemas(tableNames, signal);
             console.error(
               `   Fetched schemas for ${Object.keys(results.table_schemas).length} tables`,
             );
@@ -4166,18 +9029,20 @@ class ThinMCPServer {
         console.error(
           '   Step 3: Sending results to Central API for analysis...',
         );
-        fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} [handleSolutionCTool] Step 3: Sending to analyzeResultsWithAPI, results keys: ${Object.keys(results).join(',')}\n`);
+        this.clientLog('debug', 'phase', `发送结果给 Central API 分析, results keys: ${Object.keys(results).join(',')}`);
         // 调试：发送给中央 API 前检查 _intermediate
         if (results._intermediate) {
           console.error(`   [DEBUG] 发送给 API 的 results._intermediate keys: ${Object.keys(results._intermediate).join(', ')}`);
         } else {
           console.error(`   [DEBUG] 发送给 API 的 results 中没有 _intermediate`);
         }
+        setPhase('analyze');
         let analysis = await this.analyzeResultsWithAPI(
           toolName,
           results,
           processedArgs,
           requestId,
+          signal,
         );
 
         // 3.5 处理多阶段查询（如存储放大分析的 schema 检测）
@@ -4216,10 +9081,22 @@ class ThinMCPServer {
           this.storeSession(sessionId, sessionData);
           console.error(`   💾 Session ${sessionId} 已存储 (key: ${sessionKey})`);
 
+          const dryRunNext = continueDryRun(sessionId);
+          if (dryRunNext) {
+            return dryRunNext;
+          }
+
+          // 需要用户输入（如 sudo 密码）且客户端支持 elicitation 时，直接询问用户并自动重试该步骤
+          setPhase('elicitation');
+          const userInputArgs = await this.elicitUserInput(server, analysis, args || {}, sessionId, signal);
+          if (userInputArgs) {
+            return resumeWithArgs(userInputArgs);
+          }
+
           const stepReport = this.formatStepCompletedReport(analysis, sessionId);
           return {
             content: [{ type: 'text', text: stepReport }],
-            _raw: analysis,
+            structuredContent: this.buildStepStructuredContent(analysis, toolName, sessionId),
           };
         }
 
@@ -4236,12 +9113,27 @@ class ThinMCPServer {
             selectionReport += `\n\n💡 ${analysis.next_action.instruction}`;
           }
 
+          // 客户端支持 elicitation 时直接让用户选择，选择后自动继续执行
+          setPhase('elicitation');
+          const selectedArgs = await this.elicitSelection(server, analysis, args || {}, signal);
+          if (selectedArgs) {
+            return resumeWithArgs(selectedArgs);
+          }
+
           // 添加指令，提醒 Claude 询问用户选择
           selectionReport += `\n\n⚠️ **Claude 请注意**：请询问用户要分析哪个任务（提供序号），不要自行选择。`;
 
           return {
             content: [{ type: 'text', text: selectionReport }],
-            _raw: analysis,
+            structuredContent: this.buildStructuredContent('needs_selection', toolName, {
+              message: analysis.message,
+              selection: {
+                jobs: analysis.jobs,
+                jobs_count: analysis.jobs_count,
+                display_table: analysis.display_table,
+                next_action: analysis.next_action,
+              },
+            }),
           };
         }
 
@@ -4251,11 +9143,13 @@ class ThinMCPServer {
           analysis.status === 'needs_more_queries' &&
           phaseCount < maxPhases
         ) {
+          this.throwIfCancelled(signal);
           phaseCount++;
+          setPhase(analysis.phase || `phase_${phaseCount}`);
           console.error(`   [DEBUG] ========== Entered while loop, phaseCount=${phaseCount} ==========`);
 
           // 🔍 调试：在循环开始时记录当前分析状态
-          fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} WHILE_LOOP_START: phaseCount=${phaseCount}, phase=${analysis.phase}, requires_cli=${analysis.requires_cli_execution}, cli_count=${analysis.cli_commands?.length || 0}, cli_key=${analysis.cli_result_key || '-'}\n`);
+          this.clientLog('debug', 'phase', `阶段 ${phaseCount}: phase=${analysis.phase}, requires_cli=${analysis.requires_cli_execution}, cli_count=${analysis.cli_commands?.length || 0}, cli_key=${analysis.cli_result_key || '-'}`);
 
           // 优先使用步骤级别的进度信息（用于细粒度进度通知）
           if (analysis.step && analysis.total_steps) {
@@ -4289,10 +9183,8 @@ class ThinMCPServer {
               `   Executing ${analysis.cli_commands.length} CLI commands...`,
             );
 
-            // 🔍 调试：写入文件
-            const debugLog = (msg) => {
-              fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} ${msg}\n`);
-            };
+            // 🔍 调试：以 debug 级别发给客户端
+            const debugLog = (msg) => this.clientLog('debug', 'cli', msg);
 
             for (const cmd of analysis.cli_commands) {
               debugLog(`CLI command: id=${cmd.id}, type=${cmd.type}, partition=${cmd.partition_name || cmd.partition_id || '-'}`);
@@ -4301,6 +9193,7 @@ class ThinMCPServer {
             const cliResults = await this.executeCliCommands(
               analysis.cli_commands,
               requestId,
+              signal,
             );
 
             debugLog(`CLI execution done, results count: ${cliResults.cli_results?.length || 0}`);
@@ -4362,6 +9255,7 @@ class ThinMCPServer {
               analysis.ssh_commands,
               sshConfig,
               requestId,
+              signal,
             );
 
             // 使用 Central API 指定的结果键名，默认 ssh_results/ssh_summary
@@ -4408,7 +9302,7 @@ class ThinMCPServer {
             } else if (analysis.tool_name === 'fetch_logs') {
               // fetch_logs 是本地工具：MCP Server 自主处理日志获取
               console.error(`      📋 Primitive: fetching logs locally...`);
-              toolResult = await this.handleFetchLogsLocally(toolArgs, requestId);
+              toolResult = await this.handleFetchLogsLocally(toolArgs, requestId, signal);
             } else {
               // 其他都是工具调用，通过 Central API 编排
               console.error(`      🌐 Tool call: ${analysis.tool_name} via Central API...`);
@@ -4416,6 +9310,7 @@ class ThinMCPServer {
                 analysis.tool_name,
                 analysis.tool_args || {},
                 requestId,
+                signal,
               );
             }
 
@@ -4427,7 +9322,7 @@ class ThinMCPServer {
 
               for (const query of toolResult.prometheus_queries) {
                 try {
-                  const queryResult = await this.queryPrometheusRange(query);
+                  const queryResult = await this.queryPrometheusRange(query, signal);
                   prometheusResults[query.id] = queryResult;
                   console.error(`         ✅ Prometheus query '${query.id}' completed`);
                 } catch (err) {
@@ -4448,6 +9343,7 @@ class ThinMCPServer {
                 analysis.tool_name,
                 nextArgs,
                 requestId,
+                signal,
               );
               console.error(`      ✅ Sub-tool completed after Prometheus query`);
             }
@@ -4461,6 +9357,7 @@ class ThinMCPServer {
                 toolResult.ssh_commands,
                 toolResult.next_args || {},
                 requestId,
+                signal,
               );
 
               console.error(`         ✅ SSH execution completed: ${sshResults.ssh_summary.successful} success, ${sshResults.ssh_summary.failed} failed`);
@@ -4487,6 +9384,7 @@ class ThinMCPServer {
                 analysis.tool_name,
                 nextArgs,
                 requestId,
+                signal,
               );
               console.error(`      ✅ Sub-tool completed after SSH execution`);
             }
@@ -4541,6 +9439,8 @@ class ThinMCPServer {
                 },
               ],
               requestId,
+              signal,
+              toolName,
             );
 
             // 合并结果到 results
@@ -4571,7 +9471,7 @@ class ThinMCPServer {
 
             for (const query of analysis.prometheus_queries) {
               try {
-                const queryResult = await this.queryPrometheusRange(query);
+                const queryResult = await this.queryPrometheusRange(query, signal);
                 prometheusResults[query.id] = queryResult;
                 console.error(
                   `   Prometheus query '${query.id}' completed`,
@@ -4609,7 +9509,7 @@ class ThinMCPServer {
             const metaDownloaded = analysis._intermediate._current_partition_meta_downloaded;
             const metaParsed = analysis._intermediate._current_partition_meta_parsed;
             const dataListed = analysis._intermediate._current_partition_data_listed;
-            fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} INTERMEDIATE: partition_idx=${partIdx}, meta_downloaded=${metaDownloaded}, meta_parsed=${metaParsed}, data_listed=${dataListed}\n`);
+            this.clientLog('debug', 'phase', `INTERMEDIATE: partition_idx=${partIdx}, meta_downloaded=${metaDownloaded}, meta_parsed=${metaParsed}, data_listed=${dataListed}`);
           }
 
           // 执行下一阶段的 SQL 查询
@@ -4620,6 +9520,8 @@ class ThinMCPServer {
             const additionalResults = await this.executeQueries(
               analysis.next_queries,
               requestId,
+              signal,
+              toolName,
             );
 
             // 特殊处理 desc_storage_volumes phase：将 desc_volume_<name> 结果转换为 storage_volume_details 格式
@@ -4650,6 +9552,7 @@ class ThinMCPServer {
             results,
             nextArgs,
             requestId,
+            signal,
           );
 
           console.error(`   [DEBUG] Re-analysis result:`);
@@ -4662,8 +9565,7 @@ class ThinMCPServer {
           console.error(`   [DEBUG] - cli_commands count: ${analysis.cli_commands?.length || 0}`);
           console.error(`   [DEBUG] - cli_result_key: ${analysis.cli_result_key || '-'}`);
 
-          // 🔍 调试：写入文件
-          fs.appendFileSync('/tmp/mcp_debug.log', `${new Date().toISOString()} Re-analysis: phase=${analysis.phase}, requires_cli=${analysis.requires_cli_execution}, cli_commands=${analysis.cli_commands?.length || 0}, cli_result_key=${analysis.cli_result_key || '-'}\n`);
+          this.clientLog('debug', 'phase', `Re-analysis: phase=${analysis.phase}, requires_cli=${analysis.requires_cli_execution}, cli_commands=${analysis.cli_commands?.length || 0}, cli_result_key=${analysis.cli_result_key || '-'}`);
 
           // 检测到步骤完成时，主动退出循环以便向用户显示进度
           // 这样用户可以看到每个步骤的完成状态，而不是所有步骤在循环中被"吞掉"
@@ -4694,6 +9596,7 @@ class ThinMCPServer {
           console.error(`\n   🔧 [${requestId}] AUTO-EXECUTING suggested_actions (${suggestedActions.length} actions)`);
 
           for (const action of suggestedActions) {
+            this.throwIfCancelled(signal);
             console.error(`      📍 ${action.tool}: ${action.reason}`);
 
             let actionResult;
@@ -4707,7 +9610,7 @@ class ThinMCPServer {
               } else {
                 // 其他都是工具调用，通过 Central API 编排
                 console.error(`         🌐 Tool call via Central API...`);
-                actionResult = await this.handleSolutionCTool(action.tool, action.params || {}, requestId);
+                actionResult = await this.handleSolutionCTool(action.tool, action.params || {}, requestId, signal);
               }
 
               // 将结果存储到 analysis 中
@@ -4720,6 +9623,7 @@ class ThinMCPServer {
                 analysis[`${action.tool}_report`] = actionResult.content[0].text;
               }
             } catch (err) {
+              if (signal?.aborted || err.approvalRequired) throw err;
               console.error(`         ❌ ${action.tool} failed: ${err.message}`);
               analysis[`${action.tool}_error`] = err.message;
             }
@@ -4753,10 +9657,22 @@ class ThinMCPServer {
           this.storeSession(sessionId, sessionData);
           console.error(`   💾 Session ${sessionId} 已存储 (key: ${sessionKey}, nextContinueFromStep: ${analysis.next_args?.continue_from_step})`);
 
+          const dryRunNext = continueDryRun(sessionId);
+          if (dryRunNext) {
+            return dryRunNext;
+          }
+
+          // 需要用户输入（如 sudo 密码）且客户端支持 elicitation 时，直接询问用户并自动重试该步骤
+          setPhase('elicitation');
+          const userInputArgs = await this.elicitUserInput(server, analysis, args || {}, sessionId, signal);
+          if (userInputArgs) {
+            return resumeWithArgs(userInputArgs);
+          }
+
           const stepReport = this.formatStepCompletedReport(analysis, sessionId);
           return {
             content: [{ type: 'text', text: stepReport }],
-            _raw: analysis,
+            structuredContent: this.buildStepStructuredContent(analysis, toolName, sessionId),
           };
         }
 
@@ -4774,12 +9690,27 @@ class ThinMCPServer {
             selectionReport += `\n\n💡 ${analysis.next_action.instruction}`;
           }
 
+          // 客户端支持 elicitation 时直接让用户选择，选择后自动继续执行
+          setPhase('elicitation');
+          const selectedArgs = await this.elicitSelection(server, analysis, args || {}, signal);
+          if (selectedArgs) {
+            return resumeWithArgs(selectedArgs);
+          }
+
           // 添加指令，提醒 Claude 询问用户选择
           selectionReport += `\n\n⚠️ **Claude 请注意**：请询问用户要分析哪个任务（提供序号），不要自行选择。`;
 
           return {
             content: [{ type: 'text', text: selectionReport }],
-            _raw: analysis,
+            structuredContent: this.buildStructuredContent('needs_selection', toolName, {
+              message: analysis.message,
+              selection: {
+                jobs: analysis.jobs,
+                jobs_count: analysis.jobs_count,
+                display_table: analysis.display_table,
+                next_action: analysis.next_action,
+              },
+            }),
           };
         }
 
@@ -4818,7 +9749,7 @@ class ThinMCPServer {
               : `✅ 步骤 ${completedStep}/${totalSteps} 完成`;
             return {
               content: [{ type: 'text', text: stepReport }],
-              _raw: analysis,
+              structuredContent: this.buildStepStructuredContent(analysis, toolName, sessionId),
             };
           } else {
             // 中间阶段（没有 completed_step），也需要保存会话并返回让 Claude 继续
@@ -4829,7 +9760,11 @@ class ThinMCPServer {
             const stepReport = `⏳ 步骤 ${currentStep}/${totalSteps}: ${stepName}\n\n${analysis.message || '请继续执行下一阶段'}`;
             return {
               content: [{ type: 'text', text: stepReport }],
-              _raw: analysis,
+              structuredContent: this.buildStructuredContent('in_progress', toolName, {
+                session_id: sessionId,
+                message: analysis.message,
+                step: { current: currentStep, total: totalSteps, name: stepName },
+              }),
             };
           }
         }
@@ -4863,18 +9798,34 @@ class ThinMCPServer {
         }
         console.error('   Analysis completed\n');
 
+        // dry run 不写报告，清除演练会话；将要执行的命令由 CallTool 外层统一附加
+        if (requestContext?.dryRun) {
+          const dryRunSession = activeSessionId ? { sessionId: activeSessionId } : this.findActiveSessionByKey(sessionKey);
+          if (dryRunSession) {
+            this.deleteSession(dryRunSession.sessionId);
+          }
+          return {
+            content: [{ type: 'text', text: '🧪 Dry run 完成：已走完整个分析流程，未对集群执行任何操作。' }],
+            structuredContent: this.buildStructuredContent('completed', toolName, {
+              message: 'dry run',
+            }),
+          };
+        }
+
         // 4. 格式化报告
         const report = this.formatAnalysisReport(analysis);
 
         // 对于 HTML 报告，写入文件并移除大内容避免传输阻塞
+        const reportLinks = [];
         if (analysis.html_content && analysis.output_path) {
           try {
             fs.writeFileSync(
               analysis.output_path,
-              analysis.html_content,
+              secrets.redact(analysis.html_content),
               'utf-8',
             );
             console.error(`   HTML report written to: ${analysis.output_path}`);
+            reportLinks.push(this.registerReportResource(analysis.output_path, toolName, 'text/html'));
           } catch (writeErr) {
             console.error(
               `   Failed to write HTML report: ${writeErr.message}`,
@@ -4885,18 +9836,23 @@ class ThinMCPServer {
         // ========== 方案 B：报告写入文件 + 返回摘要 ==========
         // 将完整报告写入文件
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-        const reportFileName = `${toolName}_${timestamp}.md`;
-        const reportPath = `/tmp/${reportFileName}`;
+        const reportFileName = `${toolName}_${this.currentCluster().name}_${timestamp}.md`;
+        const reportPath = path.join(this.reportDir, reportFileName);
 
         try {
-          fs.writeFileSync(reportPath, report, 'utf-8');
+          fs.mkdirSync(this.reportDir, { recursive: true });
+          fs.writeFileSync(reportPath, secrets.redact(report), 'utf-8');
           console.error(`   📄 完整报告已写入: ${reportPath}`);
+          reportLinks.unshift(this.registerReportResource(reportPath, toolName, 'text/markdown'));
         } catch (writeErr) {
           console.error(`   ⚠️ 报告写入失败: ${writeErr.message}`);
         }
 
-        // 生成简短摘要
-        const summary = this.generateBriefSummary(analysis, reportPath, toolName);
+        // 生成简短摘要（附带报告资源 URI，客户端可通过 resources/read 读取完整报告）
+        let summary = this.generateBriefSummary(analysis, reportPath, toolName);
+        for (const link of reportLinks) {
+          summary += `\n🔗 MCP 资源: \`${link.uri}\``;
+        }
 
         // 分析完成后清除会话，确保下次调用是全新分析
         if (activeSessionId) {
@@ -4917,15 +9873,54 @@ class ThinMCPServer {
               type: 'text',
               text: summary,
             },
+            ...reportLinks.map(({ uri, name, title, mimeType }) => ({
+              type: 'resource_link',
+              uri,
+              name,
+              title,
+              mimeType,
+            })),
           ],
+          structuredContent: this.buildStructuredContent('completed', toolName, {
+            report_path: reportPath,
+            report_uri: reportLinks.find((link) => link.path === reportPath)?.uri,
+            result: this.buildStructuredResult(analysis, await this.getToolResultSchema(toolName)),
+          }),
         };
       } catch (error) {
+        // 客户端已取消：记录取消并结束（SDK 不会再把响应发给客户端）
+        if (signal?.aborted) {
+          const reason = signal.reason?.message || String(signal.reason || 'cancelled');
+          this.recordCancellation(requestId, toolName, cancelState, reason);
+          return {
+            content: [{ type: 'text', text: `🛑 请求已取消 (阶段: ${cancelState.phase})` }],
+            isError: true,
+          };
+        }
+
+        // 审批模式：遇到未审批的命令，记录待审批步骤；客户端支持 elicitation 时直接请用户确认
+        if (error.approvalRequired) {
+          const pending = error.approvalRequired;
+          const { sessionId, token } = this.recordPendingApproval(toolName, cancelState, pending, args);
+          const decision = await this.elicitApproval(server, pending, signal);
+          if (decision === 'approved') {
+            return resumeWithArgs({ ...args, session_id: sessionId, approval_token: token });
+          }
+          if (decision === 'declined') {
+            return this.rejectPendingApproval(toolName, sessionId, pending);
+          }
+          this.deliverApprovalToken(sessionId, { ...pending, token });
+          return this.buildApprovalResult(toolName, sessionId, pending);
+        }
+
         console.error('Tool execution error:', error);
 
         // 根据错误信息分类，提供更精确的诊断
         const errMsg = error.message || String(error);
         let diagnosis = '';
         let failedStep = '';
+        const { name: clusterName, dbConfig } = this.currentCluster();
+        const dbTarget = `数据库 ${clusterName} (${dbConfig.host}:${dbConfig.port})`;
 
         // 识别失败步骤
         if (errMsg.includes('Failed to get queries for') || errMsg.includes('Failed to get plan for')) {
@@ -4939,20 +9934,20 @@ class ThinMCPServer {
         // 识别错误类型并给出针对性诊断
         if (errMsg.includes('ETIMEDOUT')) {
           const target = errMsg.includes('Failed to get queries') || errMsg.includes('Failed to analyze') || errMsg.includes('Failed to get plan')
-            ? `中心 API (${this.centralAPI})` : `数据库 (${this.dbConfig.host}:${this.dbConfig.port})`;
+            ? `中心 API (${this.centralAPI})` : dbTarget;
           diagnosis = `连接超时 - 无法连接到${target}\n\n请检查:\n1. ${target} 是否可访问\n2. 网络连接是否正常\n3. 防火墙是否放行`;
         } else if (errMsg.includes('ECONNREFUSED')) {
           const target = errMsg.includes('Failed to get queries') || errMsg.includes('Failed to analyze') || errMsg.includes('Failed to get plan')
-            ? `中心 API (${this.centralAPI})` : `数据库 (${this.dbConfig.host}:${this.dbConfig.port})`;
+            ? `中心 API (${this.centralAPI})` : dbTarget;
           diagnosis = `连接被拒绝 - ${target} 未响应\n\n请检查:\n1. ${target} 服务是否已启动\n2. 端口是否正确`;
         } else if (errMsg.includes('ECONNRESET') || errMsg.includes('socket hang up')) {
-          diagnosis = `连接被重置\n\n请检查:\n1. 中心 API (${this.centralAPI}) 是否稳定运行\n2. 数据库 (${this.dbConfig.host}:${this.dbConfig.port}) 是否正常`;
+          diagnosis = `连接被重置\n\n请检查:\n1. 中心 API (${this.centralAPI}) 是否稳定运行\n2. ${dbTarget} 是否正常`;
         } else if (errMsg.includes('API returned')) {
           diagnosis = `中心 API 返回错误\n\n请检查:\n1. 中心 API (${this.centralAPI}) 服务状态\n2. API Token 是否正确`;
         } else if (errMsg.includes('ENOTFOUND') || errMsg.includes('getaddrinfo')) {
           diagnosis = `域名解析失败\n\n请检查:\n1. 中心 API 地址 (${this.centralAPI}) 是否正确\n2. DNS 配置是否正常`;
         } else {
-          diagnosis = `请检查:\n1. 中心 API 是否运行 (${this.centralAPI})\n2. 数据库连接是否正常 (${this.dbConfig.host}:${this.dbConfig.port})\n3. API Token 是否正确`;
+          diagnosis = `请检查:\n1. 中心 API 是否运行 (${this.centralAPI})\n2. ${dbTarget} 连接是否正常\n3. API Token 是否正确`;
         }
 
         const stepInfo = failedStep ? `\n失败步骤: ${failedStep}` : '';
@@ -4968,20 +9963,254 @@ class ThinMCPServer {
           isError: true,
         };
       }
+    };
+    // 在请求上下文中执行，使执行过程中的 clientLog 只发给发起请求的客户端
+    // dry run 时在最终结果前附上整个流程中将要执行的命令；有结果被脱敏时在末尾附上脱敏报告
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+      const context = { server, requestId: null };
+      return this.requestContext.run(context, async () => {
+        let result = await handleCallTool(request, extra);
+        if (context.dryRun) result = this.attachDryRunCommands(result, context.dryRunCommands);
+        if (context.maskingReport?.size) result = this.attachMaskingReport(result, [...context.maskingReport.values()]);
+        return result;
+      });
+    });
+
+    return server;
+  }
+
+  /**
+   * 加载 HTTP 客户端令牌（每个客户端一个 Bearer Token）
+   * 来源：MCP_HTTP_TOKENS="alice:token1,bob:token2" 和/或 MCP_HTTP_TOKENS_FILE（JSON 对象 { clientId: token }）
+   * @returns {Map<string, string>} token -> clientId
+   */
+  loadHttpClientTokens() {
+    const tokens = new Map();
+
+    if (this.httpConfig.tokens) {
+      for (const entry of this.httpConfig.tokens.split(',')) {
+        const idx = entry.indexOf(':');
+        if (idx <= 0) continue;
+        const clientId = entry.substring(0, idx).trim();
+        const token = entry.substring(idx + 1).trim();
+        if (clientId && token) {
+          tokens.set(token, clientId);
+          secrets.register(token);
+        }
+      }
+    }
+
+    if (this.httpConfig.tokensFile) {
+      const fileTokens = JSON.parse(fs.readFileSync(this.httpConfig.tokensFile, 'utf-8'));
+      for (const [clientId, token] of Object.entries(fileTokens)) {
+        if (clientId && typeof token === 'string' && token) {
+          tokens.set(token, clientId);
+          secrets.register(token);
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 校验 HTTP 请求的 Bearer Token，成功时返回 SDK 约定的 AuthInfo（透传到 handler 的 extra.authInfo）
+   * @returns {Object|null} { token, clientId, scopes } 或 null
+   */
+  authenticateHttpRequest(req, clientTokens) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+
+    const presented = Buffer.from(match[1].trim());
+    for (const [token, clientId] of clientTokens) {
+      const expected = Buffer.from(token);
+      // 使用定长比较，避免时序侧信道
+      if (expected.length === presented.length && crypto.timingSafeEqual(expected, presented)) {
+        return { token: match[1].trim(), clientId, scopes: [] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 启动 HTTP 传输（Streamable HTTP: /mcp，旧版 SSE: /sse + /messages）
+   * 每个会话绑定创建它的客户端，其他客户端的令牌无法复用该会话
+   */
+  async startHttpServer() {
+    const clientTokens = this.loadHttpClientTokens();
+    if (clientTokens.size === 0) {
+      throw new Error('HTTP 传输需要至少一个客户端令牌，请配置 MCP_HTTP_TOKENS 或 MCP_HTTP_TOKENS_FILE');
+    }
+
+    const app = express();
+    app.use(express.json({ limit: '50mb' }));
+
+    // 健康检查（无需认证）
+    app.get('/healthz', (req, res) => {
+      res.json({ status: 'ok', sessions: this.httpSessions.size });
+    });
+
+    // Bearer Token 认证
+    const requireAuth = (req, res, next) => {
+      const authInfo = this.authenticateHttpRequest(req, clientTokens);
+      if (!authInfo) {
+        res.status(401)
+          .set('WWW-Authenticate', 'Bearer')
+          .json({ jsonrpc: '2.0', error: { code: -32001, message: 'Unauthorized' }, id: null });
+        return;
+      }
+      req.auth = authInfo;
+      next();
+    };
+
+    // 查找会话并校验归属
+    const lookupSession = (req, res, sessionId, kind) => {
+      const session = sessionId ? this.httpSessions.get(sessionId) : null;
+      if (!session || session.kind !== kind) {
+        res.status(404).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Session not found' }, id: null });
+        return null;
+      }
+      if (session.clientId !== req.auth.clientId) {
+        res.status(403).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session belongs to another client' }, id: null });
+        return null;
+      }
+      return session;
+    };
+
+    // Express 4 不处理 async 处理函数的 rejection：记录后返回 500，避免请求挂起
+    const handleErrors = (handler) => async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (error) {
+        console.error(`   ❌ HTTP 请求处理失败 (${req.method} ${req.path}): ${error.message}`);
+        if (!res.headersSent) {
+          res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: 'Internal server error' }, id: null });
+        }
+      }
+    };
+
+    // === Streamable HTTP ===
+    app.post('/mcp', requireAuth, handleErrors(async (req, res) => {
+      const sessionId = req.headers['mcp-session-id'];
+      if (sessionId) {
+        const session = lookupSession(req, res, sessionId, 'streamable');
+        if (!session) return;
+        await session.transport.handleRequest(req, res, req.body);
+        return;
+      }
+
+      if (!isInitializeRequest(req.body)) {
+        res.status(400).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Bad Request: missing mcp-session-id' }, id: null });
+        return;
+      }
+
+      const clientId = req.auth.clientId;
+      const server = this.createMcpServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (newSessionId) => {
+          this.httpSessions.set(newSessionId, { transport, server, clientId, kind: 'streamable' });
+          console.error(`   🌐 HTTP 会话已建立: ${newSessionId} (client=${clientId})`);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          this.httpSessions.delete(transport.sessionId);
+          console.error(`   🌐 HTTP 会话已关闭: ${transport.sessionId} (client=${clientId})`);
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    }));
+
+    // GET 用于服务端推送流，DELETE 用于结束会话
+    const handleSessionRequest = async (req, res) => {
+      const session = lookupSession(req, res, req.headers['mcp-session-id'], 'streamable');
+      if (!session) return;
+      await session.transport.handleRequest(req, res);
+    };
+    app.get('/mcp', requireAuth, handleErrors(handleSessionRequest));
+    app.delete('/mcp', requireAuth, handleErrors(handleSessionRequest));
+
+    // === 旧版 SSE（兼容尚未支持 Streamable HTTP 的客户端） ===
+    app.get('/sse', requireAuth, handleErrors(async (req, res) => {
+      const clientId = req.auth.clientId;
+      const server = this.createMcpServer();
+      const transport = new SSEServerTransport('/messages', res);
+      this.httpSessions.set(transport.sessionId, { transport, server, clientId, kind: 'sse' });
+      console.error(`   🌐 SSE 会话已建立: ${transport.sessionId} (client=${clientId})`);
+
+      res.on('close', () => {
+        this.httpSessions.delete(transport.sessionId);
+        console.error(`   🌐 SSE 会话已关闭: ${transport.sessionId} (client=${clientId})`);
+      });
+
+      await server.connect(transport);
+    }));
+
+    app.post('/messages', requireAuth, handleErrors(async (req, res) => {
+      const session = lookupSession(req, res, req.query.sessionId, 'sse');
+      if (!session) return;
+      await session.transport.handlePostMessage(req, res, req.body);
+    }));
+
+    await new Promise((resolve, reject) => {
+      const httpServer = app.listen(this.httpConfig.port, this.httpConfig.host, resolve);
+      httpServer.on('error', reject);
+      this.httpServer = httpServer;
     });
 
+    console.error('✅ Thin MCP Server started successfully');
+    console.error(`   Streamable HTTP: http://${this.httpConfig.host}:${this.httpConfig.port}/mcp`);
+    console.error(`   Legacy SSE:      http://${this.httpConfig.host}:${this.httpConfig.port}/sse`);
+    console.error(`   Authorized clients: ${[...new Set(clientTokens.values())].join(', ')}\n`);
+  }
+
+  /**
+   * 启动服务器
+   */
+  async start() {
     // 初始化数据库连接（探测直连，必要时建 SSH 隧道）
     this.initDbConnection();
 
-    // 启动 Stdio 传输
+    // 后台刷新工具目录
+    this.startToolsRefresh();
+
+    // 退出时关闭数据库连接池和 SSH 隧道
+    process.once('SIGINT', () => this.shutdown('收到 SIGINT'));
+    process.once('SIGTERM', () => this.shutdown('收到 SIGTERM'));
+
+    if (this.transportMode === 'http') {
+      await this.startHttpServer();
+      return;
+    }
+
+    // 启动 Stdio 传输，客户端关闭 stdin 即退出
+    process.stdin.once('end', () => this.shutdown('客户端已断开'));
+    const server = this.createMcpServer();
     const transport = new StdioServerTransport();
     await server.connect(transport);
+    this.stdioServer = server;
 
     console.error('✅ Thin MCP Server started successfully');
     console.error('   Waiting for requests from Gemini CLI...\n');
   }
 }
 
+// 校验审计日志：node starrocks-mcp.js --verify-audit [file]
+if (process.argv[2] === '--verify-audit') {
+  const auditFile = process.argv[3] || AuditJournal.defaultFile();
+  const result = AuditJournal.verify(auditFile);
+  result.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+  result.errors.forEach((error) => console.log(`❌ ${error}`));
+  console.log(result.ok
+    ? `✅ 审计日志校验通过: ${auditFile}（${result.entries} 条，最后一条 hash ${result.lastHash}）`
+    : `❌ 审计日志校验失败: ${auditFile}（${result.errors.length} 处问题）`);
+  process.exit(result.ok ? 0 : 1);
+}
+
 // 启动服务器
 const server = new ThinMCPServer();
 server.start().catch((error) => {